@@ -0,0 +1,575 @@
+// AccountsLogic.js
+const mongoose = require("mongoose");
+const XLSX = require("xlsx");
+const { Order, Payment } = require("../Models/Schema");
+const logger = require("../utils/logger");
+const { recordPayment, voidPayment } = require("../utils/paymentLedger");
+const { orderTargets, notify } = require("../utils/notifier");
+const { diffOrderFields, recordOrderHistory } = require("../utils/orderHistory");
+const { transitionCheque, replaceCheque } = require("../utils/cheques");
+const { orderVisibilityFilter, findVisibleOrder } = require("../utils/orderAccess");
+const {
+  BUCKETS,
+  GROUPINGS,
+  ageOrders,
+  summarizeAgeing,
+} = require("../utils/receivables");
+
+const loadOrder = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid order ID" });
+    return null;
+  }
+  // Sales only reach their own and their team's orders, as in receivables
+  const order = await findVisibleOrder(req.user, id);
+  if (!order) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  return order;
+};
+
+const notifyPayment = (req, order, message, extraRoles = []) => {
+  const targets = orderTargets(order);
+  return notify(req.app?.get("io"), {
+    message: `${message} by ${req.user.username || req.user.email || req.user.id} for ${order.customername || "Unknown"} (Order ID: ${order.orderId || "N/A"})`,
+    category: "payment",
+    targets: { ...targets, roles: [...targets.roles, ...extraRoles] },
+    order,
+    actor: req.user.id,
+  });
+};
+
+// GET /api/orders/:id/payments — all payments (voided ones included) and totals
+const getOrderPayments = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const payments = await Payment.find({ order: order._id })
+      .sort({ paymentDate: 1, createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        total: order.total,
+        amountReceived: order.amountReceived || 0,
+        unclearedAmount: order.unclearedAmount || 0,
+        balanceDue: order.balanceDue ?? order.total,
+        paymentReceived: order.paymentReceived,
+        payments,
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getOrderPayments", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payments",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/orders/:id/payments
+// Body: { amount, paymentDate, method, reference, bank, remarks }
+const addPayment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const result = await recordPayment(order, req.body || {}, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    await notifyPayment(
+      req,
+      order,
+      `Payment of ₹${result.payment.amount} (${result.payment.method}) recorded`,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Payment recorded",
+      data: { payment: result.payment, summary: result.summary },
+    });
+  } catch (error) {
+    logger.error("Error in addPayment", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to record payment",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/payments/:paymentId/void  Body: { reason }
+const voidOrderPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ success: false, message: "Invalid payment ID" });
+    }
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res
+        .status(400)
+        .json({ success: false, message: "A reason is required to void a payment" });
+    }
+
+    const result = await voidPayment(paymentId, reason, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    const order = await Order.findById(result.payment.order).lean();
+    if (order) {
+      await notifyPayment(
+        req,
+        order,
+        `Payment of ₹${result.payment.amount} (${result.payment.method}) voided`,
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payment voided",
+      data: { payment: result.payment, summary: result.summary },
+    });
+  } catch (error) {
+    logger.error("Error in voidOrderPayment", {
+      error: error.message,
+      paymentId: req.params.paymentId,
+    });
+    res.status(500).json({
+      success: false,
+      message: "Failed to void payment",
+      error: error.message,
+    });
+  }
+};
+
+const RECEIVABLE_FIELDS =
+  "orderId customername gstno company dispatchFrom soDate invoiceDate invoiceNo creditDays paymentTerms total paymentCollected paymentDue balanceDue amountReceived lastPaymentDate createdBy";
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+// Shared by the JSON report and its Excel export.
+// Query: asOf, groupBy, company, dispatchFrom, salesPerson (user id), bucket
+const buildReceivables = async (req) => {
+  const { company, dispatchFrom, salesPerson, bucket } = req.query;
+  const groupBy = GROUPINGS[req.query.groupBy] ? req.query.groupBy : "customer";
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  if (isNaN(asOf.getTime())) return { error: "Invalid asOf date" };
+
+  // The filters narrow the orders the caller can see (their own and their
+  // team's for Sales, their queue scope for other roles), never widen them
+  const query = {
+    $and: [
+      {
+        dispatchStatus: { $ne: "Order Cancelled" },
+        paymentReceived: { $ne: "Received" },
+        soDate: { $lte: asOf },
+      },
+      await orderVisibilityFilter(req.user),
+    ],
+  };
+  if (company) query.$and.push({ company });
+  if (dispatchFrom) query.$and.push({ dispatchFrom });
+  if (salesPerson && mongoose.Types.ObjectId.isValid(salesPerson)) {
+    query.$and.push({ createdBy: salesPerson });
+  }
+
+  const orders = await Order.find(query)
+    .select(RECEIVABLE_FIELDS)
+    .populate({
+      path: "createdBy",
+      select: "username assignedToLeader",
+      populate: { path: "assignedToLeader", select: "username" },
+    })
+    .lean();
+
+  let entries = ageOrders(orders, { asOf });
+  if (bucket && BUCKETS.some((b) => b.key === bucket)) {
+    entries = entries.filter((entry) => entry.bucket === bucket);
+  }
+  entries.sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+  return { asOf, groupBy, entries, ...summarizeAgeing(entries, groupBy) };
+};
+
+const entryRow = (entry) => ({
+  orderId: entry.order.orderId,
+  _id: entry.order._id,
+  customername: entry.order.customername,
+  company: entry.order.company,
+  dispatchFrom: entry.order.dispatchFrom,
+  salesPerson: entry.creator?.username || "",
+  leader: entry.leader?.username || "",
+  invoiceNo: entry.order.invoiceNo || "",
+  invoiceDate: entry.order.invoiceDate || null,
+  creditDays: entry.creditDays,
+  dueDate: entry.dueDate,
+  dueBasis: entry.dueBasis,
+  daysOverdue: entry.daysOverdue,
+  bucket: entry.bucket,
+  total: entry.order.total,
+  outstanding: entry.outstanding,
+  lastPaymentDate: entry.order.lastPaymentDate || null,
+});
+
+// GET /api/receivables — ageing buckets grouped by ?groupBy=
+// (customer | salesperson | leader | company | dispatchFrom)
+const getReceivables = async (req, res) => {
+  try {
+    const report = await buildReceivables(req);
+    if (report.error) {
+      return res.status(400).json({ success: false, message: report.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: report.asOf,
+        groupBy: report.groupBy,
+        buckets: BUCKETS.map(({ key, label }) => ({ key, label })),
+        totals: report.totals,
+        rows: report.rows,
+        orders: report.entries.map(entryRow),
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getReceivables", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to build receivables report",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/receivables/export — same report as an Excel workbook
+const exportReceivables = async (req, res) => {
+  try {
+    const report = await buildReceivables(req);
+    if (report.error) {
+      return res.status(400).json({ success: false, message: report.error });
+    }
+
+    const bucketColumns = (row) =>
+      Object.fromEntries(BUCKETS.map(({ key, label }) => [label, row[key]]));
+    const groupLabel = {
+      customer: "Customer",
+      salesperson: "Sales Person",
+      leader: "Leader",
+      company: "Company",
+      dispatchFrom: "Dispatch From",
+    }[report.groupBy];
+
+    const summary = [...report.rows, { label: "Total", ...report.totals }].map((row) => ({
+      [groupLabel]: row.label,
+      Orders: row.orders,
+      ...bucketColumns(row),
+      Overdue: row.overdue,
+      "Total Outstanding": row.total,
+    }));
+    const details = report.entries.map((entry) => {
+      const row = entryRow(entry);
+      return {
+        "Order ID": row.orderId || "",
+        "Customer Name": row.customername || "",
+        Company: row.company || "",
+        "Dispatch From": row.dispatchFrom || "",
+        "Sales Person": row.salesPerson,
+        Leader: row.leader,
+        "Invoice No": row.invoiceNo,
+        "Invoice Date": formatDate(row.invoiceDate),
+        "Credit Days": row.creditDays,
+        "Due Date": formatDate(row.dueDate),
+        "Due Date Basis": row.dueBasis === "invoice" ? "Invoice Date" : "SO Date",
+        "Days Overdue": Math.max(row.daysOverdue, 0),
+        Bucket: BUCKETS.find((b) => b.key === row.bucket).label,
+        "Order Total": row.total,
+        Outstanding: row.outstanding,
+        "Last Payment": formatDate(row.lastPaymentDate),
+      };
+    });
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summary), "Summary");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(details), "Orders");
+    const fileBuffer = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=receivables_${report.groupBy}_${formatDate(report.asOf)}.xlsx`,
+    );
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.send(fileBuffer);
+  } catch (error) {
+    logger.error("Error in exportReceivables", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to export receivables",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/orders/:id/reminders — pause state and reminders sent so far
+const getOrderReminders = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const reminders = order.toObject().paymentReminders || {};
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        paused: Boolean(reminders.paused),
+        pausedAt: reminders.pausedAt || null,
+        pauseReason: reminders.pauseReason || "",
+        sent: reminders.sent || [],
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getOrderReminders", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reminders",
+      error: error.message,
+    });
+  }
+};
+
+const setRemindersPaused = async (req, res, paused) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const before = { remindersPaused: Boolean(order.paymentReminders?.paused) };
+    const reason = String(req.body?.reason || "").trim();
+    await Order.updateOne(
+      { _id: order._id },
+      paused
+        ? {
+            $set: {
+              "paymentReminders.paused": true,
+              "paymentReminders.pausedAt": new Date(),
+              "paymentReminders.pausedBy": req.user.id,
+              "paymentReminders.pauseReason": reason,
+            },
+          }
+        : {
+            $set: { "paymentReminders.paused": false },
+            $unset: {
+              "paymentReminders.pausedAt": "",
+              "paymentReminders.pausedBy": "",
+              "paymentReminders.pauseReason": "",
+            },
+          },
+    );
+
+    await recordOrderHistory({
+      order: order._id,
+      orderId: order.orderId || "",
+      action: "update",
+      changes: diffOrderFields(before, { remindersPaused: paused }, ["remindersPaused"]),
+      actor: req.user.id,
+      actorName: req.user.username || req.user.email || "Unknown User",
+      actorRole: req.user.role || "",
+      timestamp: new Date(),
+    });
+    logger.info(paused ? "Payment reminders paused" : "Payment reminders resumed", {
+      orderId: order.orderId,
+      userId: req.user.id,
+      reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: paused ? "Payment reminders paused" : "Payment reminders resumed",
+    });
+  } catch (error) {
+    logger.error("Error updating payment reminders", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update payment reminders",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/orders/:id/reminders/pause  Body: { reason }
+const pauseOrderReminders = (req, res) => setRemindersPaused(req, res, true);
+
+// POST /api/orders/:id/reminders/resume
+const resumeOrderReminders = (req, res) => setRemindersPaused(req, res, false);
+
+// POST /api/cheques/:paymentId/:action  (deposit | clear | bounce)
+// Body: { date, reason, charges, note } — reason is required for bounce
+const updateCheque = async (req, res) => {
+  try {
+    const { paymentId, action } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ success: false, message: "Invalid payment ID" });
+    }
+
+    const result = await transitionCheque(paymentId, action, req.body || {}, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    if (action === "bounce") {
+      const order = await Order.findById(result.payment.order).lean();
+      if (order) {
+        await notifyPayment(
+          req,
+          order,
+          `Cheque ${result.payment.reference} of ₹${result.payment.amount} bounced (${result.payment.cheque.bounceReason}); payment reversed`,
+          ["Accounts"],
+        );
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Cheque ${result.payment.cheque.status}`,
+      data: { payment: result.payment, summary: result.summary },
+    });
+  } catch (error) {
+    logger.error("Error in updateCheque", { error: error.message, paymentId: req.params.paymentId });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update cheque",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/cheques/:paymentId/replace — record the payment that replaces a
+// bounced cheque. Body: same as POST /api/orders/:id/payments
+const replaceBouncedCheque = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ success: false, message: "Invalid payment ID" });
+    }
+    const bounced = await Payment.findById(paymentId).select("order").lean();
+    const order = bounced && (await Order.findById(bounced.order));
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Cheque payment not found" });
+    }
+
+    const result = await replaceCheque(paymentId, order, req.body || {}, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    await notifyPayment(
+      req,
+      order,
+      `Bounced cheque ${result.replaced.reference} replaced by ${result.payment.method} payment of ₹${result.payment.amount}`,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Replacement payment recorded",
+      data: { payment: result.payment, summary: result.summary },
+    });
+  } catch (error) {
+    logger.error("Error in replaceBouncedCheque", {
+      error: error.message,
+      paymentId: req.params.paymentId,
+    });
+    res.status(500).json({
+      success: false,
+      message: "Failed to replace cheque",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/cheques/pending — cheques received or deposited but not cleared,
+// oldest first. Query: status (received | deposited), company, dispatchFrom
+const getPendingCheques = async (req, res) => {
+  try {
+    const statuses = ["received", "deposited"].includes(req.query.status)
+      ? [req.query.status]
+      : ["received", "deposited"];
+    // company / dispatchFrom narrow the orders the caller can see
+    const orderFilters = [await orderVisibilityFilter(req.user)];
+    if (req.query.company) orderFilters.push({ company: req.query.company });
+    if (req.query.dispatchFrom) orderFilters.push({ dispatchFrom: req.query.dispatchFrom });
+    const scoped = orderFilters.filter((filter) => Object.keys(filter).length > 0);
+
+    const query = { method: "Cheque", status: "active", "cheque.status": { $in: statuses } };
+    if (scoped.length > 0) {
+      query.order = { $in: await Order.find({ $and: scoped }).distinct("_id") };
+    }
+
+    const cheques = await Payment.find(query)
+      .sort({ "cheque.chequeDate": 1, paymentDate: 1 })
+      .populate({
+        path: "order",
+        select: "orderId customername company dispatchFrom createdBy",
+        populate: { path: "createdBy", select: "username" },
+      })
+      .lean();
+
+    const now = Date.now();
+    const data = cheques.map((payment) => {
+      const since = payment.cheque.depositedAt || payment.cheque.chequeDate || payment.paymentDate;
+      return {
+        _id: payment._id,
+        chequeNumber: payment.reference,
+        bank: payment.bank,
+        amount: payment.amount,
+        status: payment.cheque.status,
+        chequeDate: payment.cheque.chequeDate || payment.paymentDate,
+        depositedAt: payment.cheque.depositedAt || null,
+        daysPending: Math.max(Math.floor((now - new Date(since).getTime()) / (24 * 60 * 60 * 1000)), 0),
+        order: payment.order?._id,
+        orderId: payment.order?.orderId || payment.orderId,
+        customername: payment.order?.customername || "",
+        company: payment.order?.company || "",
+        dispatchFrom: payment.order?.dispatchFrom || "",
+        salesPerson: payment.order?.createdBy?.username || "",
+      };
+    });
+    const totals = data.reduce(
+      (acc, row) => {
+        acc[row.status] = Math.round((acc[row.status] + row.amount) * 100) / 100;
+        acc.total = Math.round((acc.total + row.amount) * 100) / 100;
+        return acc;
+      },
+      { received: 0, deposited: 0, total: 0 },
+    );
+
+    res.status(200).json({ success: true, data, totals, count: data.length });
+  } catch (error) {
+    logger.error("Error in getPendingCheques", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch pending cheques",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getOrderPayments,
+  addPayment,
+  voidOrderPayment,
+  getReceivables,
+  exportReceivables,
+  getOrderReminders,
+  pauseOrderReminders,
+  resumeOrderReminders,
+  updateCheque,
+  replaceBouncedCheque,
+  getPendingCheques,
+};
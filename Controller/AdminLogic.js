@@ -0,0 +1,579 @@
+// AdminLogic.js
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
+const User = require("../Models/Model");
+const logger = require("../utils/logger");
+const { revokeAllSessions } = require("../utils/session");
+const { createResetToken, sendResetEmail } = require("../utils/passwordReset");
+const { LoginHistory, Invite } = require("../Models/AuthSchema");
+const { Order } = require("../Models/Schema");
+const { ROLES } = require("../utils/permissions");
+const { createInvite, sendInviteEmail } = require("../utils/invites");
+const { recordOrderHistory } = require("../utils/orderHistory");
+const { disableTwoFactor } = require("../utils/twoFactor");
+const { disconnectUserSockets } = require("../Middleware/socketAuth");
+const { emitTeamUpdate } = require("../utils/realtime");
+const {
+  accountKey,
+  listLockouts,
+  unlockAccount,
+  unlockIp,
+} = require("../utils/loginGuard");
+
+const USER_FIELDS =
+  "username email role assignedToLeader isActive deactivatedAt dispatchLocations companies";
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const loadUser = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid user ID" });
+    return null;
+  }
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+  return user;
+};
+
+// List and search users (?search=, ?role=, ?status=active|inactive, ?leader=)
+const ListUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { search, role, status, leader } = req.query;
+
+    const query = {};
+    if (search) {
+      const regex = new RegExp(escapeRegex(search), "i");
+      query.$or = [{ username: regex }, { email: regex }];
+    }
+    if (role && role !== "All") query.role = role;
+    if (status === "active") query.isActive = { $ne: false };
+    if (status === "inactive") query.isActive = false;
+    if (leader && mongoose.Types.ObjectId.isValid(leader)) {
+      query.assignedToLeader = leader;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_FIELDS)
+        .populate("assignedToLeader", "username email")
+        .sort({ username: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    logger.error("List Users Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to fetch users" });
+  }
+};
+
+// Change a user's role. The role is part of the JWT, so sessions are revoked.
+const ChangeUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+    const user = await loadUser(req, res);
+    if (!user) return;
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({ success: false, message: "You cannot change your own role" });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await revokeAllSessions(user._id, "role-change");
+    disconnectUserSockets(req.app.get("io"), user._id, "role-change");
+
+    logger.info("ChangeUserRole: Role changed by admin", {
+      userId: String(user._id),
+      from: previousRole,
+      to: role,
+      adminId: req.user.id,
+    });
+    res.status(200).json({ success: true, message: "Role updated", data: { id: user._id, role } });
+  } catch (error) {
+    logger.error("Change User Role Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to change role" });
+  }
+};
+
+// Dispatch locations / companies that scope a user's department queues
+const UpdateUserScope = async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+    const { dispatchLocations, companies } = req.body;
+    if (dispatchLocations !== undefined) user.dispatchLocations = dispatchLocations || [];
+    if (companies !== undefined) user.companies = companies || [];
+    await user.save();
+
+    logger.info("UpdateUserScope: Queue scope updated by admin", {
+      userId: String(user._id),
+      dispatchLocations: user.dispatchLocations,
+      companies: user.companies,
+      adminId: req.user.id,
+    });
+    res.status(200).json({
+      success: true,
+      message: "Queue scope updated",
+      data: { dispatchLocations: user.dispatchLocations, companies: user.companies },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error("Update User Scope Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to update queue scope" });
+  }
+};
+
+const DeactivateUser = async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+    if (user._id.equals(req.user.id)) {
+      return res.status(400).json({ success: false, message: "You cannot deactivate yourself" });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.id;
+    await user.save();
+    await revokeAllSessions(user._id, "deactivated");
+    disconnectUserSockets(req.app.get("io"), user._id, "deactivated");
+
+    logger.info("DeactivateUser: Account deactivated by admin", {
+      userId: String(user._id),
+      adminId: req.user.id,
+    });
+    res.status(200).json({ success: true, message: "User deactivated" });
+  } catch (error) {
+    logger.error("Deactivate User Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to deactivate user" });
+  }
+};
+
+const ReactivateUser = async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    await user.save();
+
+    logger.info("ReactivateUser: Account reactivated by admin", {
+      userId: String(user._id),
+      adminId: req.user.id,
+    });
+    res.status(200).json({ success: true, message: "User reactivated" });
+  } catch (error) {
+    logger.error("Reactivate User Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to reactivate user" });
+  }
+};
+
+// Move a user to another leader's team (leaderId: null removes them from any team)
+const ChangeUserLeader = async (req, res) => {
+  try {
+    const { leaderId } = req.body;
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    let leader = null;
+    if (leaderId) {
+      if (!mongoose.Types.ObjectId.isValid(leaderId) || user._id.equals(leaderId)) {
+        return res.status(400).json({ success: false, message: "Invalid leader" });
+      }
+      leader = await User.findById(leaderId).select("username assignedToLeader isActive");
+      if (!leader || leader.isActive === false) {
+        return res.status(404).json({ success: false, message: "Leader not found" });
+      }
+      if (leader.assignedToLeader && leader.assignedToLeader.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot assign a user to a member of their own team",
+        });
+      }
+    }
+
+    const previousLeader = user.assignedToLeader;
+    user.assignedToLeader = leader ? leader._id : null;
+    await user.save();
+
+    emitTeamUpdate(req.app.get("io"), {
+      userId: user._id,
+      leaderId: leader ? leader._id : null,
+      previousLeaderId: previousLeader,
+      action: leader ? "assign" : "unassign",
+    });
+
+    logger.info("ChangeUserLeader: Team changed by admin", {
+      userId: String(user._id),
+      from: previousLeader ? String(previousLeader) : null,
+      to: leader ? String(leader._id) : null,
+      adminId: req.user.id,
+    });
+    res.status(200).json({ success: true, message: "Team updated" });
+  } catch (error) {
+    logger.error("Change User Leader Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to change team" });
+  }
+};
+
+// Hand over all orders created by a (departing) user to another user
+const TransferUserOrders = async (req, res) => {
+  try {
+    const { toUserId } = req.body;
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (!toUserId || !mongoose.Types.ObjectId.isValid(toUserId) || user._id.equals(toUserId)) {
+      return res.status(400).json({ success: false, message: "Invalid target user" });
+    }
+    const target = await User.findById(toUserId).select("username isActive");
+    if (!target || target.isActive === false) {
+      return res.status(404).json({ success: false, message: "Target user not found" });
+    }
+
+    const orders = await Order.find({ createdBy: user._id }).select("_id orderId").lean();
+    if (orders.length === 0) {
+      return res.status(200).json({ success: true, message: "No orders to transfer", transferred: 0 });
+    }
+
+    const result = await Order.updateMany(
+      { _id: { $in: orders.map((o) => o._id) }, createdBy: user._id },
+      { $set: { createdBy: target._id } },
+    );
+
+    await recordOrderHistory(
+      orders.map((order) => ({
+        order: order._id,
+        orderId: order.orderId || "",
+        action: "update",
+        changes: [
+          { field: "createdBy", oldValue: String(user._id), newValue: String(target._id) },
+        ],
+        actor: req.user.id,
+        actorName: req.user.username || req.user.email,
+        actorRole: req.user.role,
+        timestamp: new Date(),
+      })),
+    );
+
+    logger.info("TransferUserOrders: Orders transferred by admin", {
+      from: String(user._id),
+      to: String(target._id),
+      count: result.modifiedCount,
+      adminId: req.user.id,
+    });
+    res.status(200).json({
+      success: true,
+      message: `Transferred ${result.modifiedCount} orders to ${target.username}`,
+      transferred: result.modifiedCount,
+    });
+  } catch (error) {
+    logger.error("Transfer User Orders Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to transfer orders" });
+  }
+};
+
+// Invite a new user; signup is only possible through an invite
+const InviteUser = async (req, res) => {
+  try {
+    const { email, role, leaderId } = req.body;
+    if (!email || !role) {
+      return res.status(400).json({ success: false, message: "Email and role are required" });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+    if (leaderId && !mongoose.Types.ObjectId.isValid(leaderId)) {
+      return res.status(400).json({ success: false, message: "Invalid leader" });
+    }
+
+    const existing = await User.findOne({ email: String(email).trim() })
+      .collation({ locale: "en", strength: 2 });
+    if (existing) {
+      return res.status(400).json({ success: false, message: "A user with this email already exists" });
+    }
+
+    const { invite, token } = await createInvite({
+      email,
+      role,
+      assignedToLeader: leaderId,
+      invitedBy: req.user.id,
+    });
+    await sendInviteEmail(invite, token, req.user.username);
+
+    logger.info("InviteUser: Invite sent", {
+      email: invite.email,
+      role,
+      adminId: req.user.id,
+    });
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invite.email}`,
+      data: { id: invite._id, email: invite.email, role, expiresAt: invite.expiresAt },
+    });
+  } catch (error) {
+    logger.error("Invite User Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to send invitation" });
+  }
+};
+
+const ListInvites = async (req, res) => {
+  try {
+    const invites = await Invite.find({ acceptedAt: null, revokedAt: null })
+      .select("-tokenHash")
+      .populate("invitedBy", "username email")
+      .sort({ createdAt: -1 })
+      .lean();
+    res.status(200).json({ success: true, data: invites });
+  } catch (error) {
+    logger.error("List Invites Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to fetch invitations" });
+  }
+};
+
+const RevokeInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid invite ID" });
+    }
+    const invite = await Invite.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+    );
+    if (!invite) {
+      return res.status(404).json({ success: false, message: "Invitation not found" });
+    }
+    logger.info("RevokeInvite: Invite revoked", { inviteId: id, adminId: req.user.id });
+    res.status(200).json({ success: true, message: "Invitation revoked" });
+  } catch (error) {
+    logger.error("Revoke Invite Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to revoke invitation" });
+  }
+};
+
+// Force a password reset: the current password stops working, every session
+// is revoked and the user receives a reset link by email
+const ForceResetPassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+    await user.save();
+    await revokeAllSessions(user._id, "admin-reset");
+    disconnectUserSockets(req.app.get("io"), user._id, "admin-reset");
+
+    const { token, ttl } = await createResetToken(user, {
+      ip: req.ip,
+      initiatedBy: req.user.id,
+      forced: true,
+    });
+    await sendResetEmail(user, token, ttl, true);
+
+    logger.info("ForceResetPassword: Password reset by admin", {
+      userId: String(user._id),
+      adminId: req.user.id,
+      ip: req.ip,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Password reset link sent to ${user.email}`,
+    });
+  } catch (error) {
+    logger.error("Force Reset Password Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while resetting the password",
+    });
+  }
+};
+
+// Clear a user's 2FA (lost phone and recovery codes). Users of roles that
+// require 2FA are asked to enroll again on their next login.
+const ResetTwoFactor = async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    await disableTwoFactor(user._id);
+    await revokeAllSessions(user._id, "2fa-reset");
+    disconnectUserSockets(req.app.get("io"), user._id, "2fa-reset");
+
+    logger.info("ResetTwoFactor: 2FA reset by admin", {
+      userId: String(user._id),
+      adminId: req.user.id,
+      ip: req.ip,
+    });
+    res.status(200).json({ success: true, message: "Two-factor authentication reset" });
+  } catch (error) {
+    logger.error("Reset Two Factor Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to reset 2FA" });
+  }
+};
+
+// Accounts (and IPs) currently locked out after failed logins
+const GetLockouts = async (req, res) => {
+  try {
+    const type = ["account", "ip"].includes(req.query.type) ? req.query.type : undefined;
+    const lockouts = await listLockouts(type);
+
+    // Attach the matching user to account lockouts
+    const emails = lockouts
+      .filter((entry) => entry.type === "account")
+      .map((entry) => entry.key.slice("account:".length));
+    const users = await User.find({ email: { $in: emails } })
+      .collation({ locale: "en", strength: 2 })
+      .select("username email role");
+    const usersByKey = new Map(users.map((u) => [accountKey(u.email), u]));
+
+    const data = lockouts.map((entry) => ({
+      type: entry.type,
+      key: entry.key,
+      failures: entry.failures,
+      lastFailureAt: entry.lastFailureAt,
+      lockedUntil: entry.lockedUntil,
+      user: usersByKey.get(entry.key) || null,
+    }));
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error("Get Lockouts Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to fetch lockouts" });
+  }
+};
+
+const UnlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+    const user = await User.findById(id).select("email");
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    await unlockAccount(user.email);
+    logger.info("UnlockUser: Account unlocked by admin", {
+      userId: id,
+      adminId: req.user.id,
+    });
+    res.status(200).json({ success: true, message: "Account unlocked" });
+  } catch (error) {
+    logger.error("Unlock User Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to unlock account" });
+  }
+};
+
+const UnlockIp = async (req, res) => {
+  try {
+    const { ip } = req.body;
+    if (!ip) {
+      return res.status(400).json({ success: false, message: "IP address is required" });
+    }
+    await unlockIp(ip);
+    logger.info("UnlockIp: IP unlocked by admin", { ip, adminId: req.user.id });
+    res.status(200).json({ success: true, message: "IP address unlocked" });
+  } catch (error) {
+    logger.error("Unlock IP Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to unlock IP address" });
+  }
+};
+
+// Login history of any user (?userId=, ?email=, ?success=true|false)
+const GetLoginHistory = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { userId, email, success } = req.query;
+
+    const query = {};
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, message: "Invalid user ID" });
+      }
+      query.user = userId;
+    }
+    if (email) query.email = String(email).trim().toLowerCase();
+    if (success === "true" || success === "false") query.success = success === "true";
+
+    const [entries, total] = await Promise.all([
+      LoginHistory.find(query)
+        .populate("user", "username email role")
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LoginHistory.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    logger.error("Admin Login History Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to fetch login history" });
+  }
+};
+
+module.exports = {
+  ListUsers,
+  ChangeUserRole,
+  UpdateUserScope,
+  DeactivateUser,
+  ReactivateUser,
+  ChangeUserLeader,
+  TransferUserOrders,
+  InviteUser,
+  ListInvites,
+  RevokeInvite,
+  ForceResetPassword,
+  ResetTwoFactor,
+  GetLockouts,
+  UnlockUser,
+  UnlockIp,
+  GetLoginHistory,
+};
@@ -1,37 +1,60 @@
 // AuthLogic.js 
 const User = require("../Models/Model");
 const bcrypt = require("bcrypt");
-const { generateToken } = require("../utils/config jwt");
+const {
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/session");
+const { isStrongPassword, PASSWORD_RULES } = require("../utils/passwordPolicy");
+const {
+  MAX_REQUESTS_PER_HOUR,
+  recentRequestCount,
+  createResetToken,
+  consumeResetToken,
+  sendResetEmail,
+} = require("../utils/passwordReset");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  logLoginAttempt,
+} = require("../utils/loginGuard");
+const { LoginHistory, Invite } = require("../Models/AuthSchema");
+const { findPendingInvite, acceptInvite } = require("../utils/invites");
+const { issueChallenge, isTwoFactorRequired } = require("../utils/twoFactor");
+const { disconnectUserSockets } = require("../Middleware/socketAuth");
 const logger = require("../utils/logger");
 
-// Valid roles from User schema
-const VALID_ROLES = [
-  "Production",
-  "Sales",
-  "Installation",
-  "Finish",
-  "Accounts",
-  "Admin",
-  "Verification",
-  "Bill",
-  "ProductionApproval",
-];
-
-// Signup Controller
+// Signup Controller (invite-only: the invite decides the role and team)
 const Signup = async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password, inviteToken } = req.body;
 
-    if (!username || !email || !password || !role) {
+    if (!username || !email || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
-    if (!VALID_ROLES.includes(role)) {
-      return res.status(400).json({
-        message: `Invalid role. Must be one of: ${VALID_ROLES.join(", ")}`,
+    if (!inviteToken) {
+      logger.warn("Signup attempt without invite", { email, ip: req.ip });
+      return res.status(403).json({
+        message: "Signup is by invitation only. Please ask an administrator for an invite.",
       });
     }
 
+    const invite = await findPendingInvite(inviteToken);
+    if (!invite || invite.email !== String(email).trim().toLowerCase()) {
+      logger.warn("Signup attempt with invalid invite", { email, ip: req.ip });
+      return res
+        .status(403)
+        .json({ message: "This invitation is invalid, expired or for another email" });
+    }
+
+    if (!isStrongPassword(password)) {
+      return res.status(400).json({ message: `Password must be ${PASSWORD_RULES}` });
+    }
+
     const existingEmailUser = await User.findOne({ email });
     if (existingEmailUser) {
       return res.status(400).json({ message: "Email already exists" });
@@ -43,12 +66,28 @@ const Signup = async (req, res) => {
       username,
       email,
       password: hashedPassword,
-      role,
+      role: invite.role,
+      assignedToLeader: invite.assignedToLeader,
     });
 
-    await newUser.save();
+    if (!(await acceptInvite(invite._id, newUser._id))) {
+      return res.status(409).json({ message: "This invitation has already been used" });
+    }
+    try {
+      await newUser.save();
+    } catch (saveError) {
+      // Give the invite back so the user can retry
+      await Invite.updateOne({ _id: invite._id }, { acceptedAt: null, acceptedUser: null });
+      throw saveError;
+    }
 
-    const token = generateToken(newUser);
+    logger.info("Signup: Account created from invite", {
+      userId: String(newUser._id),
+      role: newUser.role,
+      invitedBy: String(invite.invitedBy),
+    });
+
+    const { token, refreshToken, expiresIn } = await issueSession(newUser, req);
 
     res.status(201).json({
       message: "User created successfully",
@@ -59,6 +98,8 @@ const Signup = async (req, res) => {
         role: newUser.role,
       },
       token,
+      refreshToken,
+      expiresIn,
     });
   } catch (error) {
     logger.error("Signup Error", { error: error.message, stack: error.stack });
@@ -78,19 +119,75 @@ const Login = async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    // Brute-force protection: progressive delay, then temporary lockout
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      logger.warn("Login attempt blocked", {
+        email,
+        ip: req.ip,
+        locked: throttle.locked,
+        retryAfter: throttle.retryAfter,
+      });
+      await logLoginAttempt(req, {
+        email,
+        success: false,
+        reason: throttle.locked ? "locked" : "throttled",
+      });
+      res.set("Retry-After", String(throttle.retryAfter));
+      return res.status(429).json({
+        message: throttle.locked
+          ? "Too many failed attempts. Your account is temporarily locked."
+          : "Too many failed attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
       logger.warn("Login attempt failed: User not found", { email });
+      await recordLoginFailure(email, req.ip);
+      await logLoginAttempt(req, { email, success: false, reason: "unknown-user" });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
       logger.warn("Login attempt failed: Incorrect password", { email });
+      await recordLoginFailure(email, req.ip);
+      await logLoginAttempt(req, { user, email, success: false, reason: "bad-password" });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = generateToken(user);
+    // Checked after the password so it does not reveal which accounts exist
+    if (user.isActive === false) {
+      logger.warn("Login attempt failed: Account deactivated", { email });
+      await logLoginAttempt(req, { user, email, success: false, reason: "deactivated" });
+      return res
+        .status(403)
+        .json({ message: "Your account has been deactivated. Please contact an administrator." });
+    }
+
+    // Second factor: the password alone only buys a short-lived challenge
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        message: "Two-factor code required",
+        twoFactorRequired: true,
+        challengeToken: issueChallenge(user, "2fa"),
+      });
+    }
+    if (isTwoFactorRequired(user.role)) {
+      logger.info("Login: Two-factor enrollment required", { userId: String(user._id) });
+      return res.status(200).json({
+        message: "Two-factor authentication must be set up for your role",
+        twoFactorSetupRequired: true,
+        challengeToken: issueChallenge(user, "2fa-enroll"),
+      });
+    }
+
+    await recordLoginSuccess(email);
+    await logLoginAttempt(req, { user, email, success: true, reason: "password" });
+
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
 
     res.status(200).json({
       message: "Login successful",
@@ -101,6 +198,8 @@ const Login = async (req, res) => {
         role: user.role,
       },
       token,
+      refreshToken,
+      expiresIn,
     });
   } catch (error) {
     logger.error("Login Error", { error: error.message, stack: error.stack });
@@ -135,13 +234,10 @@ const ChangePassword = async (req, res) => {
     }
 
     // Password complexity validation
-    const passwordRegex =
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-    if (!passwordRegex.test(newPassword)) {
+    if (!isStrongPassword(newPassword)) {
       return res.status(400).json({
         success: false,
-        message:
-          "New password must be at least 8 characters long and include uppercase, lowercase, number, and special character",
+        message: `New password must be ${PASSWORD_RULES}`,
       });
     }
 
@@ -166,12 +262,16 @@ const ChangePassword = async (req, res) => {
     user.lastPasswordChange = new Date();
     await user.save();
 
+    // Sign out every other device; the caller gets a fresh session below
+    const updatedUser = await revokeAllSessions(user._id, "password-change");
+    const session = await issueSession(updatedUser, req);
+
     logger.info("ChangePassword: Password changed successfully", { userId });
 
     // Emit Socket.IO event for audit logging
     const io = req.app.get("io");
     if (io) {
-      io.to(userId.toString()).emit("passwordChange", {
+      io.to(`user:${userId}`).emit("passwordChange", {
         userId,
         email: user.email,
         timestamp: new Date(),
@@ -181,6 +281,7 @@ const ChangePassword = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Password changed successfully",
+      ...session,
     });
   } catch (error) {
     logger.error("Change Password Error", { error: error.message, stack: error.stack, userId });
@@ -191,4 +292,224 @@ const ChangePassword = async (req, res) => {
   }
 };
 
-module.exports = { Signup, Login, ChangePassword };
+// Email a single-use reset link. Always answers the same way so the
+// endpoint cannot be used to find out which emails have accounts.
+const ForgotPassword = async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for this email, a reset link has been sent",
+  };
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email: String(email).trim() });
+    if (!user) {
+      logger.warn("ForgotPassword: Unknown email", { email, ip: req.ip });
+      return res.status(200).json(genericResponse);
+    }
+
+    if ((await recentRequestCount(user._id)) >= MAX_REQUESTS_PER_HOUR) {
+      logger.warn("ForgotPassword: Too many reset requests", {
+        userId: String(user._id),
+        ip: req.ip,
+      });
+      return res.status(200).json(genericResponse);
+    }
+
+    const { token, ttl } = await createResetToken(user, { ip: req.ip });
+    await sendResetEmail(user, token, ttl);
+    logger.info("ForgotPassword: Reset link sent", {
+      userId: String(user._id),
+      ip: req.ip,
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.error("Forgot Password Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while requesting a password reset",
+    });
+  }
+};
+
+// Set a new password with a reset token from ForgotPassword or an Admin reset
+const ResetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset token and new password are required",
+      });
+    }
+
+    if (!isStrongPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be ${PASSWORD_RULES}`,
+      });
+    }
+
+    const reset = await consumeResetToken(token);
+    if (!reset) {
+      logger.warn("ResetPassword: Invalid or expired token", { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        message: "This reset link is invalid or has expired",
+      });
+    }
+
+    const user = await User.findById(reset.user);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.lastPasswordChange = new Date();
+    await user.save();
+    await revokeAllSessions(user._id, "password-reset");
+
+    logger.info("ResetPassword: Password reset successfully", {
+      userId: String(user._id),
+      ip: req.ip,
+      initiatedBy: reset.initiatedBy ? String(reset.initiatedBy) : "self",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password",
+    });
+  } catch (error) {
+    logger.error("Reset Password Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while resetting the password",
+    });
+  }
+};
+
+// Login history of the current user
+const GetLoginHistory = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { user: req.user.id };
+
+    const [entries, total] = await Promise.all([
+      LoginHistory.find(query)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LoginHistory.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    logger.error("Login History Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch login history",
+    });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const RefreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Refresh token is required" });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+    if (!session) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid or expired refresh token" });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+    });
+  } catch (error) {
+    logger.error("Refresh Session Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while refreshing the session",
+    });
+  }
+};
+
+// Log out the current device
+const Logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Refresh token is required" });
+    }
+
+    const userId = await revokeSession(refreshToken, "logout");
+    if (userId) {
+      logger.info("Logout: Session revoked", { userId: String(userId) });
+    }
+
+    res.status(200).json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    logger.error("Logout Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred during logout",
+    });
+  }
+};
+
+// Log out every device of the current user
+const LogoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id, "logout-all");
+    disconnectUserSockets(req.app.get("io"), req.user.id, "logout-all");
+    res
+      .status(200)
+      .json({ success: true, message: "Logged out from all devices" });
+  } catch (error) {
+    logger.error("Logout All Error", { error: error.message, stack: error.stack, userId: req.user?.id });
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred during logout",
+    });
+  }
+};
+
+module.exports = {
+  Signup,
+  Login,
+  ChangePassword,
+  ForgotPassword,
+  ResetPassword,
+  RefreshSession,
+  Logout,
+  LogoutAll,
+  GetLoginHistory,
+};
@@ -0,0 +1,148 @@
+// DocumentLogic.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { Order } = require("../Models/Schema");
+const logger = require("../utils/logger");
+const { DOCUMENT_TYPES, documentNumber, renderDocument } = require("../utils/documents");
+const { recordOrderHistory, recordUpdate } = require("../utils/orderHistory");
+const { SERIES, assignNumber } = require("../utils/numberSeries");
+const { findVisibleOrder } = require("../utils/orderAccess");
+
+const DOCUMENTS_DIR = path.join(__dirname, "../Uploads/documents");
+
+const loadOrder = async (req, res) => {
+  const { id, type } = req.params;
+  if (!DOCUMENT_TYPES[type]) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown document type. Use: ${Object.keys(DOCUMENT_TYPES).join(", ")}`,
+    });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid order ID" });
+    return null;
+  }
+  // Invoices carry customer and pricing details: only orders the caller can see
+  const order = await findVisibleOrder(req.user, id);
+  if (!order) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  return order;
+};
+
+// POST /api/orders/:id/documents/:type — render the PDF, store it under
+// Uploads/documents and link it on the order. An order without a PI /
+// invoice / challan number gets the next one from its company's series.
+// Regenerating keeps the older copies on the order; the latest one is what
+// GET returns. Invoices need an approved order that is not cancelled.
+const generateDocument = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const { type } = req.params;
+    // Taking an invoice number is final: only for approved, live orders
+    const invoiceable = order.sostatus === "Approved" && order.dispatchStatus !== "Order Cancelled";
+    if (type === "invoice" && !invoiceable) {
+      return res.status(409).json({
+        success: false,
+        message: "An invoice can only be generated for an approved order that is not cancelled",
+      });
+    }
+
+    const before = order.toObject();
+    const numbered = (await assignNumber(order, type, req)).order.toObject();
+    const pdf = await renderDocument(numbered, type);
+
+    await fs.promises.mkdir(DOCUMENTS_DIR, { recursive: true });
+    // Uploads is served statically, so file names must not be guessable
+    const fileName = `${type}-${crypto.randomBytes(16).toString("hex")}.pdf`;
+    await fs.promises.writeFile(path.join(DOCUMENTS_DIR, fileName), pdf);
+
+    const entry = {
+      type,
+      number: documentNumber(numbered, DOCUMENT_TYPES[type]),
+      filePath: `/Uploads/documents/${fileName}`,
+      generatedAt: new Date(),
+      generatedBy: req.user.id,
+      generatedByName: req.user.username || req.user.email,
+    };
+    const updated = await Order.findByIdAndUpdate(
+      order._id,
+      { $push: { documents: entry } },
+      { new: true },
+    );
+    await recordOrderHistory(
+      recordUpdate(req, before, updated, ["documents", SERIES[type].field, "invoiceDate"]),
+    );
+
+    logger.info("Order document generated", {
+      orderId: order.orderId,
+      type,
+      number: entry.number,
+      userId: req.user.id,
+    });
+    res.status(201).json({
+      success: true,
+      message: `${DOCUMENT_TYPES[type].title} generated`,
+      data: updated.documents[updated.documents.length - 1],
+    });
+  } catch (error) {
+    logger.error("Error in generateDocument", {
+      orderId: req.params.id,
+      type: req.params.type,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate document",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/orders/:id/documents/:type — the latest generated PDF of that type
+const downloadDocument = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const { type } = req.params;
+
+    const latest = [...(order.documents || [])].reverse().find((doc) => doc.type === type);
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${DOCUMENT_TYPES[type].title.toLowerCase()} has been generated for this order`,
+      });
+    }
+
+    const file = path.join(DOCUMENTS_DIR, path.basename(latest.filePath));
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ success: false, message: "Document file is missing" });
+    }
+
+    const downloadName = `${String(latest.number || order.orderId).replace(/[^\w.-]+/g, "_")}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename=${downloadName}`);
+    fs.createReadStream(file).pipe(res);
+  } catch (error) {
+    logger.error("Error in downloadDocument", {
+      orderId: req.params.id,
+      type: req.params.type,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch document",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  generateDocument,
+  downloadDocument,
+};
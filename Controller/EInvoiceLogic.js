@@ -0,0 +1,278 @@
+// EInvoiceLogic.js
+const mongoose = require("mongoose");
+const { Order } = require("../Models/Schema");
+const logger = require("../utils/logger");
+const { recordOrderHistory, recordUpdate } = require("../utils/orderHistory");
+const {
+  CANCEL_REASONS,
+  CANCEL_WINDOW_MS,
+  buildEInvoice,
+  validateEInvoice,
+  validateRegistration,
+  getSubmitter,
+} = require("../utils/eInvoice");
+
+const HISTORY_FIELDS = ["eInvoice.status", "eInvoice.irn", "eInvoice.ackNo"];
+
+const loadOrder = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid order ID" });
+    return null;
+  }
+  const order = await Order.findById(id);
+  if (!order) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  return order;
+};
+
+// The e-invoice fields as flat keys, so the history shows them without the payload
+const registrationView = (order) => ({
+  _id: order._id,
+  orderId: order.orderId,
+  "eInvoice.status": order.eInvoice?.status,
+  "eInvoice.irn": order.eInvoice?.irn,
+  "eInvoice.ackNo": order.eInvoice?.ackNo,
+});
+
+const isRegistered = (order) => order.eInvoice?.status === "registered";
+
+// Store a registration unless the order got one in the meantime
+const saveRegistration = async (req, order, registration, submitter, payload) => {
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, "eInvoice.status": { $ne: "registered" } },
+    {
+      $set: {
+        eInvoice: {
+          status: "registered",
+          ...registration,
+          submitter,
+          payload,
+          registeredAt: new Date(),
+          registeredBy: req.user.id,
+          registeredByName: req.user.username || req.user.email,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (updated) {
+    await recordOrderHistory(
+      recordUpdate(req, registrationView(order), registrationView(updated), HISTORY_FIELDS),
+    );
+    logger.info("E-invoice registered", {
+      orderId: order.orderId,
+      irn: registration.irn,
+      submitter,
+      userId: req.user.id,
+    });
+  }
+  return updated;
+};
+
+const alreadyRegistered = (res, order) =>
+  res.status(409).json({
+    success: false,
+    message: `Order already has a registered e-invoice (IRN ${order.eInvoice.irn})`,
+  });
+
+// GET /api/orders/:id/e-invoice — the NIC v1.1 JSON for the order's tax
+// invoice, local validation errors, and the stored registration if any
+const getEInvoice = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const payload = buildEInvoice(order.toObject());
+    const errors = validateEInvoice(payload);
+    const { payload: registeredPayload, ...registration } = order.toObject().eInvoice || {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: errors.length === 0,
+        errors,
+        payload: isRegistered(order) ? registeredPayload : payload,
+        registration: registration.status ? registration : null,
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getEInvoice", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to build e-invoice",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/orders/:id/e-invoice/submit — validate and send through the
+// configured submitter (EINVOICE_SUBMITTER), storing the IRN it returns
+const submitEInvoice = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (isRegistered(order)) return alreadyRegistered(res, order);
+
+    const payload = buildEInvoice(order.toObject());
+    const errors = validateEInvoice(payload);
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: "E-invoice has validation errors",
+        errors,
+      });
+    }
+
+    const submitter = getSubmitter();
+    if (submitter.error) {
+      return res.status(503).json({
+        success: false,
+        message: `${submitter.error}. Register the invoice on the portal and enter the IRN details instead.`,
+      });
+    }
+    const { name, submit } = submitter;
+    const result = await submit(payload, order);
+    const checked = validateRegistration(result);
+    if (!checked.ok) {
+      logger.error("E-invoice submitter returned an invalid registration", {
+        orderId: order.orderId,
+        submitter: name,
+        errors: checked.errors,
+      });
+      return res.status(502).json({
+        success: false,
+        message: "The e-invoice submitter returned an invalid response",
+        errors: checked.errors,
+      });
+    }
+
+    const updated = await saveRegistration(req, order, checked.value, name, payload);
+    if (!updated) return alreadyRegistered(res, await Order.findById(order._id).lean());
+
+    res.status(201).json({
+      success: true,
+      message: name === "stub" ? "E-invoice registered with the local stub (not filed with the IRP)" : "E-invoice registered",
+      data: { ...checked.value, submitter: name },
+    });
+  } catch (error) {
+    logger.error("Error in submitEInvoice", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit e-invoice",
+      error: error.message,
+    });
+  }
+};
+
+// PUT /api/orders/:id/e-invoice — IRN details entered back after uploading
+// on the portal. Body: { irn, ackNo, ackDate, signedQrCode }
+const recordEInvoice = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (isRegistered(order)) return alreadyRegistered(res, order);
+
+    const checked = validateRegistration(req.body || {});
+    if (!checked.ok) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid e-invoice registration details",
+        errors: checked.errors,
+      });
+    }
+
+    const payload = buildEInvoice(order.toObject());
+    const updated = await saveRegistration(req, order, checked.value, "manual", payload);
+    if (!updated) return alreadyRegistered(res, await Order.findById(order._id).lean());
+
+    res.status(200).json({
+      success: true,
+      message: "E-invoice details saved",
+      data: { ...checked.value, submitter: "manual" },
+    });
+  } catch (error) {
+    logger.error("Error in recordEInvoice", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to save e-invoice details",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/orders/:id/e-invoice/cancel — record the cancellation of the IRN
+// (done on the portal). Body: { reasonCode: 1-4, remarks }
+const cancelEInvoice = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!isRegistered(order)) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Order has no registered e-invoice" });
+    }
+
+    const reason = CANCEL_REASONS[req.body?.reasonCode];
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: `reasonCode must be one of: ${Object.entries(CANCEL_REASONS)
+          .map(([code, label]) => `${code} (${label})`)
+          .join(", ")}`,
+      });
+    }
+    const registeredAt = order.eInvoice.ackDate || order.eInvoice.registeredAt;
+    if (Date.now() - new Date(registeredAt).getTime() > CANCEL_WINDOW_MS) {
+      return res.status(422).json({
+        success: false,
+        message: "An IRN can only be cancelled within 24 hours of registration; issue a credit note instead",
+      });
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, "eInvoice.status": "registered" },
+      {
+        $set: {
+          "eInvoice.status": "cancelled",
+          "eInvoice.cancelledAt": new Date(),
+          "eInvoice.cancelReason": reason,
+          "eInvoice.cancelRemarks": String(req.body.remarks || "").trim(),
+        },
+      },
+      { new: true },
+    );
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Order has no registered e-invoice" });
+    }
+    await recordOrderHistory(
+      recordUpdate(req, registrationView(order), registrationView(updated), HISTORY_FIELDS),
+    );
+    logger.info("E-invoice cancelled", {
+      orderId: order.orderId,
+      irn: order.eInvoice.irn,
+      reason,
+      userId: req.user.id,
+    });
+
+    res.status(200).json({ success: true, message: "E-invoice marked as cancelled" });
+  } catch (error) {
+    logger.error("Error in cancelEInvoice", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel e-invoice",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getEInvoice,
+  submitEInvoice,
+  recordEInvoice,
+  cancelEInvoice,
+};
@@ -0,0 +1,300 @@
+// EwayBillLogic.js
+const mongoose = require("mongoose");
+const { Order } = require("../Models/Schema");
+const logger = require("../utils/logger");
+const { recordOrderHistory, recordUpdate } = require("../utils/orderHistory");
+const { buildEwayBill, validateEwayBill, validateRecord } = require("../utils/ewayBill");
+const { expiringFilter } = require("../utils/ewayBillAlerts");
+
+const HISTORY_FIELDS = ["ewayBill.status", "ewayBill.number", "ewayBill.validUntil"];
+// The portal allows cancelling an e-way bill within 24 hours
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const loadOrder = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid order ID" });
+    return null;
+  }
+  const order = await Order.findById(id);
+  if (!order) {
+    res.status(404).json({ success: false, message: "Order not found" });
+    return null;
+  }
+  return order;
+};
+
+// The e-way bill fields as flat keys, so the history shows them without the payload
+const ewayBillView = (order) => ({
+  _id: order._id,
+  orderId: order.orderId,
+  "ewayBill.status": order.ewayBill?.status,
+  "ewayBill.number": order.ewayBill?.number,
+  "ewayBill.validUntil": order.ewayBill?.validUntil,
+});
+
+const actor = (req) => ({
+  "ewayBill.recordedBy": req.user.id,
+  "ewayBill.recordedByName": req.user.username || req.user.email,
+});
+
+// GET /api/orders/:id/eway-bill — the recorded e-way bill and a preview of
+// the JSON with its validation errors
+const getEwayBill = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const plain = order.toObject();
+    const { payload, bill } = buildEwayBill(plain);
+    const { payload: savedPayload, ...ewayBill } = plain.ewayBill || {};
+    const errors = validateEwayBill(bill, { voluntary: ewayBill.voluntary });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ewayBill: ewayBill.status ? ewayBill : null,
+        valid: errors.length === 0,
+        errors,
+        payload: ewayBill.status === "active" && savedPayload ? savedPayload : payload,
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getEwayBill", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch e-way bill",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/orders/:id/eway-bill/json — build the bulk-upload JSON for the
+// portal. Body (all optional except distance the first time): { distance,
+// transMode, vehicleNo, vehicleType, transporterId, transporterName,
+// transDocNo, transDocDate, voluntary }. The transport details are saved on
+// the order for the next time.
+const generateEwayBillJson = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const input = req.body || {};
+    const voluntary = input.voluntary !== undefined ? input.voluntary === true : Boolean(order.ewayBill?.voluntary);
+    const { payload, bill, transport } = buildEwayBill(order.toObject(), input);
+    const errors = validateEwayBill(bill, { voluntary });
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: "E-way bill has validation errors",
+        errors,
+      });
+    }
+
+    const set = {
+      "ewayBill.distance": Number(bill.transDistance),
+      "ewayBill.transMode": transport.transMode,
+      "ewayBill.vehicleNo": transport.vehicleNo,
+      "ewayBill.vehicleType": transport.vehicleType,
+      "ewayBill.transporterId": transport.transporterId,
+      "ewayBill.transporterName": transport.transporterName,
+      "ewayBill.transDocNo": transport.transDocNo,
+      "ewayBill.transDocDate": transport.transDocDate,
+      "ewayBill.voluntary": voluntary,
+      "ewayBill.payload": payload,
+      "ewayBill.jsonGeneratedAt": new Date(),
+    };
+    if (!order.ewayBill?.status || order.ewayBill.status === "cancelled") {
+      set["ewayBill.status"] = "draft";
+    }
+    const updated = await Order.findByIdAndUpdate(order._id, { $set: set }, { new: true });
+    await recordOrderHistory(
+      recordUpdate(req, ewayBillView(order), ewayBillView(updated), HISTORY_FIELDS),
+    );
+
+    logger.info("E-way bill JSON generated", {
+      orderId: order.orderId,
+      docNo: bill.docNo,
+      value: bill.totInvValue,
+      userId: req.user.id,
+    });
+    res.status(200).json({
+      success: true,
+      message: "E-way bill JSON generated. Upload it on the e-way bill portal and record the number here.",
+      data: payload,
+    });
+  } catch (error) {
+    logger.error("Error in generateEwayBillJson", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate e-way bill JSON",
+      error: error.message,
+    });
+  }
+};
+
+// PUT /api/orders/:id/eway-bill — record the e-way bill from the portal, or
+// the new validity after an extension. Body: { ewbNo, ewbDate, validUpto }
+const recordEwayBill = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const checked = validateRecord(req.body || {}, order);
+    if (!checked.ok) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid e-way bill details",
+        errors: checked.errors,
+      });
+    }
+    const { number, generatedAt, validUntil } = checked.value;
+    const current = order.ewayBill || {};
+    if (current.status === "active" && current.number !== number) {
+      return res.status(409).json({
+        success: false,
+        message: `Order already has e-way bill ${current.number}; cancel it before recording another`,
+      });
+    }
+
+    const updated = await Order.findByIdAndUpdate(
+      order._id,
+      {
+        $set: {
+          "ewayBill.status": "active",
+          "ewayBill.number": number,
+          "ewayBill.generatedAt": generatedAt,
+          "ewayBill.validUntil": validUntil,
+          ...actor(req),
+        },
+        // A new validity period gets its own expiry warning
+        $unset: { "ewayBill.expiryWarnedAt": "" },
+      },
+      { new: true },
+    );
+    await recordOrderHistory(
+      recordUpdate(req, ewayBillView(order), ewayBillView(updated), HISTORY_FIELDS),
+    );
+
+    logger.info("E-way bill recorded", {
+      orderId: order.orderId,
+      number,
+      validUntil,
+      extended: current.number === number,
+      userId: req.user.id,
+    });
+    res.status(200).json({
+      success: true,
+      message: current.number === number ? "E-way bill validity updated" : "E-way bill recorded",
+      data: { number, generatedAt, validUntil },
+    });
+  } catch (error) {
+    logger.error("Error in recordEwayBill", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to record e-way bill",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/orders/:id/eway-bill/cancel — record that the bill was cancelled
+// on the portal. Body: { reason }
+const cancelEwayBill = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "A cancellation reason is required" });
+    }
+    if (order.ewayBill?.status !== "active") {
+      return res.status(409).json({ success: false, message: "Order has no active e-way bill" });
+    }
+    if (Date.now() - new Date(order.ewayBill.generatedAt).getTime() > CANCEL_WINDOW_MS) {
+      return res.status(422).json({
+        success: false,
+        message: "An e-way bill can only be cancelled within 24 hours of generation",
+      });
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, "ewayBill.status": "active" },
+      {
+        $set: {
+          "ewayBill.status": "cancelled",
+          "ewayBill.cancelledAt": new Date(),
+          "ewayBill.cancelReason": reason,
+          ...actor(req),
+        },
+      },
+      { new: true },
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: "Order has no active e-way bill" });
+    }
+    await recordOrderHistory(
+      recordUpdate(req, ewayBillView(order), ewayBillView(updated), HISTORY_FIELDS),
+    );
+
+    logger.info("E-way bill cancelled", {
+      orderId: order.orderId,
+      number: order.ewayBill.number,
+      reason,
+      userId: req.user.id,
+    });
+    res.status(200).json({ success: true, message: "E-way bill marked as cancelled" });
+  } catch (error) {
+    logger.error("Error in cancelEwayBill", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel e-way bill",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/eway-bills/expiring?hours=24 — active e-way bills of orders not
+// yet delivered that expire within the window (or already have)
+const getExpiringEwayBills = async (req, res) => {
+  try {
+    const hours = Number(req.query.hours) || 24;
+    if (hours <= 0 || hours > 24 * 30) {
+      return res
+        .status(400)
+        .json({ success: false, message: "hours must be between 1 and 720" });
+    }
+
+    const orders = await Order.find(expiringFilter(new Date(Date.now() + hours * 60 * 60 * 1000)))
+      .select(
+        "orderId customername dispatchFrom dispatchStatus transporter docketNo ewayBill.number ewayBill.validUntil ewayBill.vehicleNo ewayBill.distance ewayBill.expiryWarnedAt",
+      )
+      .sort({ "ewayBill.validUntil": 1 })
+      .lean();
+
+    const now = Date.now();
+    res.status(200).json({
+      success: true,
+      data: orders.map((order) => ({
+        ...order,
+        expired: new Date(order.ewayBill.validUntil).getTime() <= now,
+      })),
+    });
+  } catch (error) {
+    logger.error("Error in getExpiringEwayBills", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch expiring e-way bills",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getEwayBill,
+  generateEwayBillJson,
+  recordEwayBill,
+  cancelEwayBill,
+  getExpiringEwayBills,
+};
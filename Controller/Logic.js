@@ -2,9 +2,57 @@ const mongoose = require("mongoose");
 const XLSX = require("xlsx");
 const { Server } = require("socket.io");
 const User = require("../Models/Model");
-const { Order, Notification } = require("../Models/Schema");
+const {
+  Order,
+  Notification,
+  OrderHistory,
+  NOTIFICATION_CATEGORIES,
+} = require("../Models/Schema");
 const { sendMail } = require("../utils/mailer");
 const logger = require("../utils/logger");
+const {
+  diffOrderFields,
+  recordOrderHistory,
+  recordCreate,
+  recordUpdate,
+  recordDelete,
+} = require("../utils/orderHistory");
+const {
+  DISPATCH_LOCATIONS,
+  applyWorkflow,
+  getQueueFilter,
+  getDashboardFilter,
+  getQueueScope,
+} = require("../utils/orderWorkflow");
+const { forbiddenEditFields, isAdminRole } = require("../utils/permissions");
+const { findVisibleOrder } = require("../utils/orderAccess");
+const { socketAuth, serverRooms, watchSession } = require("../Middleware/socketAuth");
+const {
+  watchOrders,
+  stopOrders,
+  emitTeamUpdate,
+  replayEvents,
+} = require("../utils/realtime");
+const { attachAdapter } = require("../utils/socketAdapter");
+const { createLeaderElection } = require("../utils/leaderElection");
+const {
+  DERIVED_PAYMENT_FIELDS,
+  parseAmount,
+  recalcOrderPayments,
+  importLegacyPayment,
+} = require("../utils/paymentLedger");
+const { GST_OPTIONS, GST_RATES, computeOrderTax } = require("../utils/gst");
+const {
+  allocateNumber,
+  cancelNumbers,
+  isIssuedElsewhere,
+} = require("../utils/numberSeries");
+const {
+  categoryForFields,
+  orderTargets,
+  notify,
+  visibleTo,
+} = require("../utils/notifier");
 let io;
 
 const initSocket = (server, app) => {
@@ -19,141 +67,83 @@ const initSocket = (server, app) => {
   if (app && typeof app.set === "function") {
     app.set("io", io);
   }
+  io.use(socketAuth);
   io.on("connection", (socket) => {
-    logger.info("Client connected", { socketId: socket.id });
-    // Explicit, scoped room joins
-    socket.on("join", async (data) => {
-      try {
-        const userId = data?.userId;
-        const role = data?.role;
-        if (userId) {
-          socket.join(`user:${userId}`);
-
-          try {
-            const dbUser = await User.findById(userId).select(
-              "assignedToLeader role",
-            );
-            if (dbUser?.assignedToLeader) {
-              socket.join(`leader:${dbUser.assignedToLeader}`);
-            }
-          } catch (lookupErr) {
-            logger.warn("Failed to look up user for leader room join", {
-              error: lookupErr?.message,
-            });
-          }
-        }
-        if (role === "Admin") {
-          socket.join("admins");
-        }
-        logger.info("Socket joined scoped rooms", {
-          socketId: socket.id,
-          userId: userId || "unknown",
-        });
-      } catch (err) {
-        logger.warn("Join handler error", {
+    const user = socket.data.user;
+    socket.join(serverRooms(user));
+    watchSession(socket);
+    logger.info("Client connected", {
+      socketId: socket.id,
+      userId: user.id,
+      role: user.role,
+    });
+
+    // Rooms are derived from the verified token on connect. "join" is kept
+    // for older clients but its userId/role are ignored.
+    socket.on("join", (data) => {
+      const claimedUser = data?.userId ? String(data.userId) : null;
+      const claimedRole = data?.role || null;
+      if (
+        (claimedUser && claimedUser !== user.id) ||
+        (claimedRole && claimedRole !== user.role)
+      ) {
+        logger.warn("Unauthorized socket join attempt", {
           socketId: socket.id,
-          error: err?.message,
+          userId: user.id,
+          role: user.role,
+          claimedUser,
+          claimedRole,
+          ip: socket.handshake.address,
         });
       }
+      socket.join(serverRooms(user));
     });
-    socket.on("disconnect", () => {
-      logger.info("Client disconnected", { socketId: socket.id });
-    });
-  });
-  // Set up MongoDB change stream to watch for Order collection changes
-  try {
-    const changeStream = Order.watch([], { fullDocument: "updateLookup" });
-    changeStream.on("change", (change) => {
-      logger.info("Order collection change detected", {
-        operationType: change.operationType,
-      });
-      const fullDoc = change.fullDocument;
-      const documentId = change.documentKey?._id;
-
-      // Always notify admins for any change
-      io.to("admins").emit("orderUpdate", {
-        operationType: change.operationType,
-        documentId,
-        fullDocument: fullDoc,
-      });
-
-      if (change.operationType === "delete") {
-        io.to("admins").emit("deleteOrder", { _id: documentId });
-      }
-
-      // Scoped notifications for users and leaders
-      if (fullDoc?.createdBy) {
-        const targetRooms = new Set();
-        const createdBy = String(fullDoc.createdBy);
-        targetRooms.add(`user:${createdBy}`);
-
-        if (fullDoc.assignedTo) {
-          targetRooms.add(`user:${String(fullDoc.assignedTo)}`);
-        }
-
-        // Notify specific users
-        const payload = {
-          operationType: change.operationType,
-          documentId,
-          createdBy,
-          assignedTo: fullDoc.assignedTo ? String(fullDoc.assignedTo) : null,
-          fullDocument: fullDoc,
-        };
-
-        for (const room of targetRooms) {
-          io.to(room).emit("orderUpdate", payload);
-          if (change.operationType === "delete") {
-            io.to(room).emit("deleteOrder", { _id: documentId });
-          }
-        }
-
-        // Notify leaders of creator and assignee
-        (async () => {
-          try {
-            const userIds = [fullDoc.createdBy];
-            if (fullDoc.assignedTo) userIds.push(fullDoc.assignedTo);
-
-            const users = await User.find({ _id: { $in: userIds } }).select("assignedToLeader");
-            users.forEach(u => {
-              if (u.assignedToLeader) {
-                io.to(`leader:${String(u.assignedToLeader)}`).emit("orderUpdate", payload);
-                if (change.operationType === "delete") {
-                  io.to(`leader:${String(u.assignedToLeader)}`).emit("deleteOrder", { _id: documentId });
-                }
-              }
-            });
-          } catch (err) {
-            logger.warn("Failed to notify leaders in change stream", { error: err.message });
-          }
-        })();
+    // Missed-event replay: the client sends the last eventId it saw, either
+    // in the handshake (auth.lastEventId) or with a "replay" message
+    const replay = async (lastEventId, ack) => {
+      try {
+        const result = await replayEvents(socket, lastEventId);
+        if (result.resync) socket.emit("resyncRequired", { lastEventId });
+        logger.info("Replayed missed order events", {
+          socketId: socket.id,
+          userId: user.id,
+          lastEventId,
+          ...result,
+        });
+        if (typeof ack === "function") ack({ success: true, ...result });
+      } catch (error) {
+        logger.warn("Order event replay failed", { socketId: socket.id, error: error.message });
+        if (typeof ack === "function") ack({ success: false, message: "Replay failed" });
       }
-    });
-
-    // Handle change stream errors
-    changeStream.on("error", (error) => {
-      logger.error("Change stream error", { error });
-    });
+    };
+    if (socket.handshake.auth?.lastEventId) replay(socket.handshake.auth.lastEventId);
+    socket.on("replay", (data, ack) => replay(data?.lastEventId, ack));
 
-    // Handle change stream close
-    changeStream.on("close", () => {
-      logger.info("Change stream closed");
+    socket.on("disconnect", (reason) => {
+      logger.info("Client disconnected", { socketId: socket.id, userId: user.id, reason });
     });
-  } catch (error) {
-    logger.error("Error setting up change stream", { error });
-  }
+  });
+  // Shared adapter first, then only the elected instance consumes the order
+  // change stream (role-projected updates and queue events) and fans out
+  // through the adapter. Resolves once the socket layer is ready.
+  return attachAdapter(io).then(() =>
+    createLeaderElection({
+      name: "order-change-stream",
+      onElected: () => watchOrders(io),
+      onRevoked: () => stopOrders(),
+    }).start(),
+  );
 };
-// Shared function to create notifications
-function createNotification(req, order, action) {
-  const username = req.user?.username || "User";
-  const customerName = order.customername || "Unknown";
-  const orderId = order.orderId || "N/A";
-
-  return new Notification({
-    message: `${action} by ${username} for ${customerName} (Order ID: ${orderId})`,
-    timestamp: new Date(),
-    isRead: false,
-    role: "All",
-    userId: req.user?.id || null,
+// Shared function to notify everyone concerned with an order
+function notifyOrderEvent(req, order, action, category = "general") {
+  const username =
+    req.user?.username || req.user?.email || req.user?.id || "Unknown User";
+  return notify(req.app?.get("io") || io, {
+    message: `${action} by ${username} for ${order.customername || "Unknown"} (Order ID: ${order.orderId || "N/A"})`,
+    category,
+    targets: orderTargets(order),
+    order,
+    actor: req.user?.id,
   });
 }
 // Get Dashbord Count
@@ -185,32 +175,17 @@ const getDashboardCounts = async (req, res) => {
 
     const installation = await Order.countDocuments({
       ...baseQuery,
-      dispatchStatus: "Delivered",
-      installationStatus: {
-        $in: ["Pending", "In Progress", "Site Not Ready", "Hold"],
-      },
+      ...getDashboardFilter("installation"),
     });
 
     const dispatch = await Order.countDocuments({
       ...baseQuery,
-      fulfillingStatus: "Fulfilled",
-      dispatchStatus: { $ne: "Delivered" },
+      ...getDashboardFilter("dispatch"),
     });
 
-    const dispatchFromOptions = [
-      "Patna",
-      "Bareilly",
-      "Ranchi",
-      "Lucknow",
-      "Delhi",
-      "Jaipur",
-      "Rajasthan",
-    ];
     const production = await Order.countDocuments({
       ...baseQuery,
-      sostatus: "Approved",
-      dispatchFrom: { $nin: dispatchFromOptions },
-      fulfillingStatus: { $ne: "Fulfilled" },
+      ...getDashboardFilter("production"),
     });
 
     return res.status(200).json({ totalOrders: all, installation, production, dispatch });
@@ -296,6 +271,20 @@ const getSalesAnalytics = async (req, res) => {
       // For now, we'll keep it simple and filter after grouping if name is provided
     }
 
+    // Ledger totals; orders not yet migrated fall back to the old string fields
+    const amountReceivedExpr = {
+      $ifNull: [
+        "$amountReceived",
+        { $convert: { input: "$paymentCollected", to: "double", onError: 0, onNull: 0 } },
+      ],
+    };
+    const balanceDueExpr = {
+      $ifNull: [
+        "$balanceDue",
+        { $convert: { input: "$paymentDue", to: "double", onError: 0, onNull: 0 } },
+      ],
+    };
+
     const aggregationPipeline = [
       { $match: matchQuery },
       {
@@ -324,33 +313,32 @@ const getSalesAnalytics = async (req, res) => {
           leaderId: { $first: "$creator.assignedToLeader" },
           totalOrders: { $sum: 1 },
           totalAmount: { $sum: "$total" },
-          totalPaymentCollected: {
-            $sum: {
-              $convert: {
-                input: "$paymentCollected",
-                to: "double",
-                onError: 0,
-                onNull: 0
-              }
-            }
-          },
-          totalPaymentDue: {
+          totalPaymentCollected: { $sum: amountReceivedExpr },
+          totalPaymentDue: { $sum: balanceDueExpr },
+          // Taxable value from the GST breakup; older orders without one
+          // fall back to qty x unitPrice
+          totalUnitPrice: {
             $sum: {
-              $convert: {
-                input: "$paymentDue",
-                to: "double",
-                onError: 0,
-                onNull: 0
-              }
-            }
+              $ifNull: [
+                "$taxSummary.taxableValue",
+                {
+                  $reduce: {
+                    input: "$products",
+                    initialValue: 0,
+                    in: { $add: ["$$value", { $multiply: ["$$this.unitPrice", "$$this.qty"] }] },
+                  },
+                },
+              ],
+            },
           },
-          totalUnitPrice: {
+          totalGst: {
             $sum: {
-              $reduce: {
-                input: "$products",
-                initialValue: 0,
-                in: { $add: ["$$value", { $multiply: ["$$this.unitPrice", "$$this.qty"] }] },
-              },
+              $add: [
+                { $ifNull: ["$taxSummary.cgst", 0] },
+                { $ifNull: ["$taxSummary.sgst", 0] },
+                { $ifNull: ["$taxSummary.igst", 0] },
+                { $ifNull: ["$taxSummary.cess", 0] },
+              ],
             },
           },
           dueOver30Days: {
@@ -358,19 +346,7 @@ const getSalesAnalytics = async (req, res) => {
               $cond: [
                 {
                   $and: [
-                    {
-                      $gt: [
-                        {
-                          $convert: {
-                            input: "$paymentDue",
-                            to: "double",
-                            onError: 0,
-                            onNull: 0
-                          }
-                        },
-                        0
-                      ]
-                    },
+                    { $gt: [balanceDueExpr, 0] },
                     {
                       $gt: [
                         { $divide: [{ $subtract: [new Date(), "$soDate"] }, 1000 * 60 * 60 * 24] },
@@ -379,14 +355,7 @@ const getSalesAnalytics = async (req, res) => {
                     },
                   ],
                 },
-                {
-                  $convert: {
-                    input: "$paymentDue",
-                    to: "double",
-                    onError: 0,
-                    onNull: 0
-                  }
-                },
+                balanceDueExpr,
                 0,
               ],
             },
@@ -432,13 +401,11 @@ const createOrder = async (req, res) => {
       shippingAddress,
       billingAddress,
       sameAddress,
-      total,
       gstno,
       freightstatus,
       installchargesstatus,
       paymentCollected,
       paymentMethod,
-      paymentDue,
       neftTransactionId,
       chequeId,
       remarks,
@@ -490,17 +457,7 @@ const createOrder = async (req, res) => {
       });
     }
     // Validate dispatchFrom
-    const validDispatchLocations = [
-      "Patna",
-      "Bareilly",
-      "Ranchi",
-      "Morinda",
-      "Lucknow",
-      "Delhi",
-      "Jaipur",
-      "Rajasthan",
-    ];
-    if (dispatchFrom && !validDispatchLocations.includes(dispatchFrom)) {
+    if (dispatchFrom && !DISPATCH_LOCATIONS.includes(dispatchFrom)) {
       return res.status(400).json({
         success: false,
         error: "Invalid dispatchFrom value",
@@ -526,13 +483,14 @@ const createOrder = async (req, res) => {
         Number(product.qty) <= 0 ||
         isNaN(Number(product.unitPrice)) ||
         Number(product.unitPrice) < 0 ||
-        (product.gst !== "including" && isNaN(Number(product.gst)))
+        !GST_OPTIONS.includes(String(product.gst)) ||
+        (product.inclusiveRate !== undefined && !GST_RATES.includes(String(product.inclusiveRate))) ||
+        Number(product.cess || 0) < 0
       ) {
         return res.status(400).json({
           success: false,
           error: "Invalid product data",
-          details:
-            "qty must be positive, unitPrice must be non-negative, and gst must be valid",
+          details: `qty must be positive, unitPrice must be non-negative, and gst must be one of ${GST_OPTIONS.join(", ")}`,
         });
       }
       if (
@@ -562,20 +520,24 @@ const createOrder = async (req, res) => {
       product.brand = product.brand || "";
     }
 
-    // Calculate total
-    const calculatedTotal =
-      parsedProducts.reduce((sum, product) => {
-        const qty = Number(product.qty) || 0;
-        const unitPrice = Number(product.unitPrice) || 0;
-        const gstRate =
-          product.gst === "including" ? 0 : Number(product.gst) || 0;
-        return sum + qty * unitPrice * (1 + gstRate / 100);
-      }, 0) +
-      Number(freightcs || 0) +
-      Number(installation || 0);
+    // Calculate total and GST breakup
+    const tax = computeOrderTax({
+      products: parsedProducts,
+      dispatchFrom,
+      state,
+      gstno,
+      freightcs,
+      installation,
+    });
+    const orderTotal = tax.total;
+    const calculatedPaymentDue = orderTotal - Number(paymentCollected || 0);
 
-    const calculatedPaymentDue =
-      calculatedTotal - Number(paymentCollected || 0);
+    if (parseAmount(paymentCollected) > orderTotal + 1) {
+      return res.status(400).json({
+        success: false,
+        error: "Payment collected cannot exceed the order total",
+      });
+    }
 
     // Get submission timestamp
     const submissionTime = new Date().toLocaleString("en-IN", {
@@ -595,7 +557,8 @@ const createOrder = async (req, res) => {
       alterno,
       customerEmail,
       customername,
-      products: parsedProducts,
+      products: tax.products,
+      taxSummary: tax.taxSummary,
       gstno,
       freightcs,
       freightstatus: freightstatus || "Extra",
@@ -608,14 +571,10 @@ const createOrder = async (req, res) => {
       shippingAddress,
       billingAddress,
       sameAddress,
-      total:
-        total !== undefined && !isNaN(total) ? Number(total) : calculatedTotal,
+      total: orderTotal,
       paymentCollected: String(paymentCollected || ""),
       paymentMethod: paymentMethod || "",
-      paymentDue:
-        paymentDue !== undefined && !isNaN(paymentDue)
-          ? String(paymentDue)
-          : String(calculatedPaymentDue),
+      paymentDue: String(calculatedPaymentDue),
       neftTransactionId: neftTransactionId || "",
       chequeId: chequeId || "",
       remarks,
@@ -633,45 +592,17 @@ const createOrder = async (req, res) => {
 
     // Save order
     const savedOrder = await order.save();
+    await recordOrderHistory(recordCreate(req, savedOrder));
 
-    const notification = new Notification({
-      message: `New sales order created by ${req.user.username || "User"} for ${savedOrder.customername || "Unknown"
-        } (Order ID: ${savedOrder.orderId || "N/A"})`,
-      timestamp: new Date(),
-      isRead: false,
-      role: "All",
-      userId: req.user.id,
-    });
-    await notification.save();
-
-    try {
-      const notifRooms = new Set();
-
-      if (savedOrder?.createdBy)
-        notifRooms.add(`user:${String(savedOrder.createdBy)}`);
+    // The advance taken on the form becomes the first ledger entry
+    const paymentSummary = await importLegacyPayment(savedOrder, req, "order-form");
 
-      if (savedOrder?.assignedTo)
-        notifRooms.add(`user:${String(savedOrder.assignedTo)}`);
+    await notifyOrderEvent(req, savedOrder, "New sales order created", "approval");
 
-      notifRooms.add("admins");
-
-      const notifPayload = {
-        _id: String(notification._id),
-        message: notification.message,
-        timestamp: notification.timestamp,
-        isRead: notification.isRead,
-        userId: notification.userId ? String(notification.userId) : null,
-        orderId: savedOrder.orderId || String(savedOrder._id),
-      };
-
-      io.to([...notifRooms]).emit("notification", notifPayload); // FIX: single, instant notification
-    } catch (emitErr) {
-      logger.warn("Failed to emit scoped notification", {
-        error: emitErr?.message,
-      });
-    }
-
-    res.status(201).json({ success: true, data: savedOrder });
+    res.status(201).json({
+      success: true,
+      data: { ...savedOrder.toObject(), ...paymentSummary },
+    });
   } catch (error) {
     logger.error("Error in createOrder", { error });
     if (error.name === "ValidationError") {
@@ -701,6 +632,32 @@ const createOrder = async (req, res) => {
   }
 };
 
+// Order fields that change the GST breakup (a client-sent total is
+// recomputed rather than trusted)
+const TAX_INPUT_FIELDS = [
+  "products",
+  "freightcs",
+  "installation",
+  "state",
+  "gstno",
+  "dispatchFrom",
+  "total",
+];
+
+// Fields an IRN was issued for; frozen while the e-invoice is registered
+const E_INVOICE_FIELDS = [
+  ...TAX_INPUT_FIELDS,
+  "invoiceNo",
+  "invoiceDate",
+  "customername",
+  "billingAddress",
+  "city",
+  "pinCode",
+];
+
+// Document numbers that identify one order only
+const UNIQUE_NUMBER_FIELDS = ["piNumber", "invoiceNo", "billNumber"];
+
 // Edit an existing order
 const editEntry = async (req, res) => {
   // Helper function to compare arrays for equality (deep comparison for products)
@@ -712,6 +669,9 @@ const editEntry = async (req, res) => {
         arr1[i].qty !== arr2[i]?.qty ||
         arr1[i].unitPrice !== arr2[i]?.unitPrice ||
         arr1[i].gst !== arr2[i]?.gst ||
+        (arr1[i].inclusiveRate || "18") !== (arr2[i]?.inclusiveRate || "18") ||
+        (arr1[i].hsn || "") !== (arr2[i]?.hsn || "") ||
+        Number(arr1[i].cess || 0) !== Number(arr2[i]?.cess || 0) ||
         arr1[i].brand !== arr2[i]?.brand ||
         arr1[i].warranty !== arr2[i]?.warranty ||
         !deepEqual(arr1[i].serialNos, arr2[i]?.serialNos) ||
@@ -865,7 +825,8 @@ const editEntry = async (req, res) => {
             ...p,
             qty: Number(p.qty),
             unitPrice: Number(p.unitPrice),
-            gst: p.gst || "18",
+            gst: String(p.gst || "18"),
+            cess: Number(p.cess) || 0,
             warranty: p.warranty || "1 Year",
           }));
 
@@ -874,7 +835,9 @@ const editEntry = async (req, res) => {
               !p.productType ||
               !p.qty ||
               p.unitPrice < 0 ||
-              !p.gst ||
+              !GST_OPTIONS.includes(p.gst) ||
+              (p.inclusiveRate !== undefined && !GST_RATES.includes(String(p.inclusiveRate))) ||
+              p.cess < 0 ||
               !p.warranty
             ) {
               return res
@@ -905,77 +868,94 @@ const editEntry = async (req, res) => {
       }
     }
 
-    // Handle approval timestamp
-    if (
-      updateFields.sostatus === "Approved" &&
-      existingOrder.sostatus !== "Approved"
-    ) {
-      updateFields.approvalTimestamp = new Date();
-
-      // -------------------------------------------------------------------------
-      // ✅ APPROVAL-BASED FULFILLMENT RULE
-      // -------------------------------------------------------------------------
-      // Business Rule: When order is approved, auto-fulfill if:
-      // - orderType === "Demo" OR
-      // - dispatchFrom !== "Morinda"
-
-      const finalOrderType = updateFields.orderType || existingOrder.orderType;
-      const finalDispatchFrom = updateFields.dispatchFrom || existingOrder.dispatchFrom;
-
-      if (
-        finalOrderType === "Demo" ||
-        (finalDispatchFrom && finalDispatchFrom !== "Morinda")
-      ) {
-        updateFields.fulfillingStatus = "Fulfilled";
-        updateFields.fulfillmentDate = new Date();
-        updateFields.completionStatus = "Complete";
-      }
+    // Field-level permissions: only fields whose value actually changes count
+    const changedFields = diffOrderFields(
+      existingOrder.toObject(),
+      updateFields,
+      Object.keys(updateFields),
+    ).map((change) => change.field);
+    const derivedFields = changedFields.filter((field) =>
+      DERIVED_PAYMENT_FIELDS.includes(field),
+    );
+    if (derivedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Payment fields are derived from recorded payments and cannot be edited: ${derivedFields.join(", ")}. Use POST /api/orders/${orderId}/payments instead.`,
+        details: derivedFields,
+      });
+    }
+    const forbiddenFields = forbiddenEditFields(req.user.role, changedFields);
+    if (forbiddenFields.length > 0) {
+      logger.warn("Unauthorized order field edit attempt", {
+        orderId,
+        userId: req.user.id,
+        role: req.user.role,
+        fields: forbiddenFields,
+      });
+      return res.status(403).json({
+        success: false,
+        error: `Your role (${req.user.role}) is not allowed to edit: ${forbiddenFields.join(", ")}`,
+        details: forbiddenFields,
+      });
     }
 
-    // =========================================================================
-    // ✅ BIDIRECTIONAL SYNCHRONIZATION: sostatus ↔ dispatchStatus
-    // =========================================================================
-
-    // RULE 1: When sostatus → "Order Cancelled", auto-set dispatchStatus → "Order Cancelled"
-    // (only if user didn't explicitly set dispatchStatus)
-    if (
-      updateFields.sostatus === "Order Cancelled" &&
-      existingOrder.sostatus !== "Order Cancelled" &&
-      !has("dispatchStatus") // User didn't explicitly set dispatchStatus
-    ) {
-      updateFields.dispatchStatus = "Order Cancelled";
+    if (existingOrder.eInvoice?.status === "registered") {
+      const frozen = changedFields.filter((field) => E_INVOICE_FIELDS.includes(field));
+      if (frozen.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Order has a registered e-invoice (IRN ${existingOrder.eInvoice.irn}); cancel it before changing: ${frozen.join(", ")}`,
+          details: frozen,
+        });
+      }
     }
 
-    // RULE 2: When dispatchStatus → "Order Cancelled", auto-set sostatus → "Order Cancelled"
-    // (only if user didn't explicitly set sostatus)
-    if (
-      updateFields.dispatchStatus === "Order Cancelled" &&
-      existingOrder.dispatchStatus !== "Order Cancelled" &&
-      !has("sostatus") // User didn't explicitly set sostatus
-    ) {
-      updateFields.sostatus = "Order Cancelled";
+    // PI / invoice / bill numbers typed in by hand must not belong to another order
+    for (const field of UNIQUE_NUMBER_FIELDS) {
+      const value = String(updateFields[field] || "").trim();
+      if (!changedFields.includes(field) || !value) continue;
+      const taken =
+        (await Order.exists({ [field]: value, _id: { $ne: existingOrder._id } })) ||
+        (await isIssuedElsewhere(value, existingOrder._id));
+      if (taken) {
+        return res.status(409).json({
+          success: false,
+          error: `${field} ${value} is already used by another order`,
+          details: { field, value },
+        });
+      }
     }
 
-    // RULE 3: When sostatus changes FROM "Order Cancelled" to something else,
-    // reset dispatchStatus → "Not Dispatched" (only if user didn't explicitly set it)
-    if (
-      existingOrder.sostatus === "Order Cancelled" &&
-      updateFields.sostatus &&
-      updateFields.sostatus !== "Order Cancelled" &&
-      !has("dispatchStatus") // User didn't explicitly set dispatchStatus
-    ) {
-      updateFields.dispatchStatus = "Not Dispatched";
+    // Validate status transitions and apply their side-effects
+    // (approval timestamp, sostatus <-> dispatchStatus sync, Morinda rule, auto-dates)
+    const workflow = applyWorkflow({
+      existingOrder,
+      updateFields,
+      explicit: has,
+      role: req.user.role,
+    });
+    if (!workflow.ok) {
+      logger.warn("Rejected order status transition", {
+        orderId,
+        userId: req.user.id,
+        role: req.user.role,
+        field: workflow.field,
+        from: workflow.from,
+        to: workflow.to,
+      });
+      return res.status(workflow.status).json({
+        success: false,
+        error: workflow.error,
+        details: { field: workflow.field, from: workflow.from, to: workflow.to },
+      });
     }
 
-    // RULE 4: When dispatchStatus changes FROM "Order Cancelled" to something else,
-    // reset sostatus → "Pending for Approval" (only if user didn't explicitly set it)
-    if (
-      existingOrder.dispatchStatus === "Order Cancelled" &&
-      updateFields.dispatchStatus &&
-      updateFields.dispatchStatus !== "Order Cancelled" &&
-      !has("sostatus") // User didn't explicitly set sostatus
-    ) {
-      updateFields.sostatus = "Pending for Approval";
+    // Anything that feeds the GST computation re-derives the breakup and total
+    if (TAX_INPUT_FIELDS.some((field) => changedFields.includes(field))) {
+      const tax = computeOrderTax({ ...existingOrder.toObject(), ...updateFields });
+      updateFields.products = tax.products;
+      updateFields.taxSummary = tax.taxSummary;
+      updateFields.total = tax.total;
     }
 
     // Handle products edit timestamp if products were edited
@@ -983,57 +963,6 @@ const editEntry = async (req, res) => {
       updateFields.productsEditTimestamp = new Date();
     }
 
-    // -------------------------------------------------------------------------
-    // ✅ FULFILLMENT & MORINDA RULE
-    // -------------------------------------------------------------------------
-
-    // Check if dispatchFrom is being changed
-    if (
-      updateFields.dispatchFrom &&
-      updateFields.dispatchFrom !== existingOrder.dispatchFrom
-    ) {
-      // RULE: If "Morinda" is selected, Production Status MUST be "Pending"
-      if (updateFields.dispatchFrom === "Morinda") {
-        updateFields.fulfillingStatus = "Pending";
-        updateFields.completionStatus = "In Progress";
-        // We intentionally do NOT clear fulfillmentDate logic here to leave traces, or we can:
-        // updateFields.fulfillmentDate = null; // Mongoose might complain if schema is strict Date, usually safe to ignore or set undefined
-      } else {
-        // RULE: Any other location implies "Fulfilled" (as per user request)
-        updateFields.fulfillingStatus = "Fulfilled";
-        updateFields.completionStatus = "Complete";
-        updateFields.fulfillmentDate = new Date();
-      }
-    }
-    // If dispatchFrom is NOT changing, handle manual status updates
-    else if (has("fulfillingStatus")) {
-      if (updateFields.fulfillingStatus === "Fulfilled") {
-        updateFields.completionStatus = "Complete";
-        if (!existingOrder.fulfillmentDate) {
-          updateFields.fulfillmentDate = new Date();
-        }
-      }
-    }
-
-    // Auto-set Dispatch Date if status changes to Dispatched or Delivered
-    if (
-      has("dispatchStatus") &&
-      (updateFields.dispatchStatus === "Dispatched" ||
-        updateFields.dispatchStatus === "Delivered") &&
-      !has("dispatchDate") &&
-      !existingOrder.dispatchDate
-    ) {
-      updateFields.dispatchDate = new Date();
-    }
-
-    // Set receiptDate if dispatchStatus is "Delivered"
-    if (
-      updateFields.dispatchStatus === "Delivered" &&
-      !existingOrder.receiptDate
-    ) {
-      updateFields.receiptDate = new Date();
-    }
-
     // Update the order
     const updatedOrder = await Order.findByIdAndUpdate(
       orderId,
@@ -1047,6 +976,22 @@ const editEntry = async (req, res) => {
         error: "Order not found",
       });
     }
+    await recordOrderHistory(
+      recordUpdate(req, existingOrder, updatedOrder, Object.keys(updateFields)),
+    );
+    // A series number replaced by hand is cancelled, never reused
+    for (const field of UNIQUE_NUMBER_FIELDS) {
+      if (changedFields.includes(field) && existingOrder[field]) {
+        await cancelNumbers(
+          { order: existingOrder._id, number: existingOrder[field] },
+          `Replaced by ${updatedOrder[field] || "blank"} on edit`,
+        );
+      }
+    }
+    // A new total changes the balance due
+    if (updatedOrder.total !== existingOrder.total) {
+      Object.assign(updatedOrder, await recalcOrderPayments(updatedOrder._id, req));
+    }
     // Send confirmation email if sostatus is updated to "Approved"
     if (
       updateFields.sostatus === "Approved" &&
@@ -1388,47 +1333,13 @@ The Promark Tech Solutions Crew
       }
     }
 
-    // Create and save notification
-    console.log("req.user for notification:", req.user);
-    const notification = new Notification({
-      message: `Order updated by ${req.user?.username ||
-        req.user?.name ||
-        req.user?.email ||
-        req.user?.id ||
-        "Unknown User"
-        } for ${updatedOrder.customername || "Unknown"} (Order ID: ${updatedOrder.orderId || "N/A"
-        })`,
-      timestamp: new Date(),
-      isRead: false,
-      role: "All",
-      userId: req.user?.id || null,
-    });
-    await notification.save();
-
-    try {
-      const notifRooms = new Set();
-      if (updatedOrder?.createdBy)
-        notifRooms.add(`user:${String(updatedOrder.createdBy)}`);
-      if (updatedOrder?.assignedTo)
-        notifRooms.add(`user:${String(updatedOrder.assignedTo)}`);
-      notifRooms.add("admins");
-
-      const notifPayload = {
-        _id: String(notification._id),
-        message: notification.message,
-        timestamp: notification.timestamp,
-        isRead: notification.isRead,
-        userId: notification.userId ? String(notification.userId) : null,
-        orderId: updatedOrder.orderId || String(updatedOrder._id),
-      };
-      // Hinglish: Ek hi emit me multiple rooms pass karo taaki same socket pe duplicate na aaye
-      io.to([...notifRooms]).emit("notification", notifPayload);
-    } catch (emitErr) {
-      console.warn(
-        "Failed to emit scoped notification (editEntry):",
-        emitErr?.message,
-      );
-    }
+    // Notification category follows the most important field that changed
+    await notifyOrderEvent(
+      req,
+      updatedOrder,
+      "Order updated",
+      categoryForFields(changedFields),
+    );
 
     res.status(200).json({ success: true, data: updatedOrder });
   } catch (error) {
@@ -1629,16 +1540,10 @@ const DeleteData = async (req, res) => {
 
     // Delete the order
     await Order.findByIdAndDelete(req.params.id);
+    await cancelNumbers({ order: order._id }, "Order deleted");
+    await recordOrderHistory(recordDelete(req, order));
 
-    // Create and save notification
-    const notification = new Notification({
-      message: `Order deleted by ${req.user?.username || req.user?.name || req.user?.email || req.user?.id || "Unknown User"} for ${order.customername || "Unknown"} (Order ID: ${order.orderId || "N/A"})`,
-      timestamp: new Date(),
-      isRead: false,
-      role: "All",
-      userId: req.user?.id || null,
-    });
-    await notification.save();
+    await notifyOrderEvent(req, order, "Order deleted");
 
     // Emit only to owner and assignee rooms
     const targetRooms = new Set();
@@ -1654,26 +1559,6 @@ const DeleteData = async (req, res) => {
     // Hinglish: Single emit to multiple rooms -> duplicate delivery avoid
     io.to([...targetRooms]).emit("deleteOrder", payload);
 
-    // Hinglish: Consistent 'notification' event bhi emit karein, jisse UI toast aur list update ek jaise rahein
-    try {
-      const notifRooms = new Set(targetRooms);
-      notifRooms.add("admins");
-      const notifPayload = {
-        _id: String(notification._id),
-        message: notification.message,
-        timestamp: notification.timestamp,
-        isRead: notification.isRead,
-        userId: notification.userId ? String(notification.userId) : null,
-        orderId: order.orderId || String(order._id),
-      };
-      io.to([...notifRooms]).emit("notification", notifPayload);
-    } catch (emitErr) {
-      console.warn(
-        "Failed to emit scoped notification (deleteOrder):",
-        emitErr?.message,
-      );
-    }
-
     res
       .status(200)
       .json({ success: true, message: "Order deleted successfully" });
@@ -1710,16 +1595,6 @@ const bulkUploadOrders = async (req, res) => {
     const jsonData = XLSX.utils.sheet_to_json(sheet);
 
     const orders = [];
-    const validDispatchLocations = [
-      "Patna",
-      "Bareilly",
-      "Ranchi",
-      "Morinda",
-      "Lucknow",
-      "Delhi",
-      "Jaipur",
-      "Rajasthan",
-    ];
 
     for (const row of jsonData) {
       // ✅ Helper to get value checking both old and new header formats
@@ -1732,7 +1607,9 @@ const bulkUploadOrders = async (req, res) => {
           spec: getVal("Specification", "Specification") || "N/A",
           qty: Number(getVal("Quantity", "Quantity")) || 0,
           unitPrice: Number(getVal("Unit Price", "Unit Price")) || 0,
-          gst: getVal("GST", "GST") || "18",
+          gst: String(getVal("GST", "GST") || "18"),
+          hsn: String(getVal("HSN", "HSN/SAC") || ""),
+          cess: Number(getVal("Cess", "Cess %")) || 0,
           modelNos: (row["Model Nos"] || row["Model Number"])
             ? String(row["Model Nos"] || row["Model Number"])
               .split(",")
@@ -1767,7 +1644,7 @@ const bulkUploadOrders = async (req, res) => {
           isNaN(Number(product.qty)) ||
           Number(product.qty) <= 0 ||
           isNaN(Number(product.unitPrice)) ||
-          (product.gst !== "including" && isNaN(Number(product.gst)))
+          !GST_OPTIONS.includes(product.gst)
         ) {
           return res.status(400).json({
             success: false,
@@ -1787,25 +1664,10 @@ const bulkUploadOrders = async (req, res) => {
         }
       }
 
-      // Calculate total
-      const calculatedTotal =
-        products.reduce((sum, product) => {
-          const qty = Number(product.qty) || 0;
-          const unitPrice = Number(product.unitPrice) || 0;
-          const gstRate =
-            product.gst === "including" ? 0 : Number(product.gst) || 0;
-          return sum + qty * unitPrice * (1 + gstRate / 100);
-        }, 0) +
-        Number(getVal("Freight Charges", "Freight Charges") || 0) +
-        Number(getVal("Installation Charges", "Installation Charges") || 0);
-
-      const calculatedPaymentDue =
-        calculatedTotal - Number(getVal("Payment Collected", "Payment Collected") || 0);
-
       // Validate dispatchFrom
       if (
         getVal("Dispatch From", "Dispatch From") &&
-        !validDispatchLocations.includes(getVal("Dispatch From", "Dispatch From"))
+        !DISPATCH_LOCATIONS.includes(getVal("Dispatch From", "Dispatch From"))
       ) {
         return res.status(400).json({
           success: false,
@@ -1813,6 +1675,19 @@ const bulkUploadOrders = async (req, res) => {
         });
       }
 
+      // Calculate total and GST breakup
+      const tax = computeOrderTax({
+        products,
+        dispatchFrom: getVal("Dispatch From", "Dispatch From") || "",
+        state: getVal("State", "State") || "",
+        gstno: getVal("GST No", "GST Number") || "",
+        freightcs: getVal("Freight Charges", "Freight Charges"),
+        installation: getVal("Installation Charges", "Installation Charges"),
+      });
+
+      const calculatedPaymentDue =
+        tax.total - Number(getVal("Payment Collected", "Payment Collected") || 0);
+
       // Create order object
       const order = {
         soDate: getVal("SO Date", "SO Date") ? new Date(getVal("SO Date", "SO Date")) : new Date(),
@@ -1825,8 +1700,9 @@ const bulkUploadOrders = async (req, res) => {
         alterno: getVal("Alternate No", "Alternate Number") || "",
         customerEmail: getVal("Customer Email", "Customer Email") || "",
         customername: getVal("Customer Name", "Customer Name") || "",
-        products,
-        total: calculatedTotal,
+        products: tax.products,
+        taxSummary: tax.taxSummary,
+        total: tax.total,
         gstno: getVal("GST No", "GST Number") || "",
         freightcs: getVal("Freight Charges", "Freight Charges") || "",
         freightstatus: getVal("Freight Status", "Freight Status") || "Extra",
@@ -1857,8 +1733,35 @@ const bulkUploadOrders = async (req, res) => {
       orders.push(order);
     }
 
+    // insertMany skips the save hook, so order ids are drawn here
+    for (const order of orders) {
+      order._id = new mongoose.Types.ObjectId();
+      const { number } = await allocateNumber({
+        company: order.company,
+        docType: "order",
+        order,
+        actor: { by: req.user.id, byName: req.user.username || req.user.email },
+      });
+      order.orderId = number;
+    }
+
     // Save orders
-    const savedOrders = await Order.insertMany(orders);
+    let savedOrders;
+    try {
+      savedOrders = await Order.insertMany(orders);
+    } catch (error) {
+      await cancelNumbers(
+        { order: { $in: orders.map((order) => order._id) } },
+        "Bulk upload failed",
+      );
+      throw error;
+    }
+    await recordOrderHistory(
+      savedOrders.map((order) => recordCreate(req, order, "bulk-create")),
+    );
+    for (const order of savedOrders) {
+      await importLegacyPayment(order, req, "order-form");
+    }
 
     // Emit newOrder events only to scoped rooms
     savedOrders.forEach((order) => {
@@ -1915,13 +1818,22 @@ const buildOrderQuery = async (params) => {
     startDate,
     endDate,
     dashboardFilter,
+    queue,
+    departmentScope,
   } = params;
 
   let query = {};
+  let queueScope = null;
 
   // 1. Role-based Access Control
   if (userRole === "Admin" || userRole === "SuperAdmin") {
     query = {};
+  } else if (queue || departmentScope) {
+    // Department queues (and department-wide exports) are not limited to the
+    // caller's team, but may be limited to the dispatch locations / companies
+    // assigned to the caller
+    const scopeUser = await User.findById(userId).select("dispatchLocations companies");
+    queueScope = getQueueScope(scopeUser);
   } else {
     const teamMembers = await User.find({ assignedToLeader: userId }).select("_id");
     const teamMemberIds = teamMembers.map((member) => member._id);
@@ -2032,32 +1944,92 @@ const buildOrderQuery = async (params) => {
 
   // 4. Dashboard Logic Filters
   if (dashboardFilter && dashboardFilter !== "all" && dashboardFilter !== "undefined") {
-    switch (dashboardFilter) {
-      case "production":
-        query.sostatus = "Approved";
-        query.dispatchFrom = {
-          $nin: ["Patna", "Bareilly", "Ranchi", "Lucknow", "Delhi", "Jaipur", "Rajasthan"]
-        };
-        query.fulfillingStatus = { $ne: "Fulfilled" };
-        break;
-      case "installation":
-        query.dispatchStatus = "Delivered";
-        query.installationStatus = {
-          $in: ["Pending", "In Progress", "Site Not Ready", "Hold"]
-        };
-        break;
-      case "dispatch":
-        query.fulfillingStatus = "Fulfilled";
-        query.dispatchStatus = { $ne: "Delivered" };
-        break;
-      default:
-        break;
-    }
+    Object.assign(query, getDashboardFilter(dashboardFilter) || {});
+  }
+
+  // 5. Department queue criteria (may carry their own $or, so combine with $and)
+  if (queue) {
+    const clauses = [query, getQueueFilter(queue)];
+    if (queueScope && Object.keys(queueScope).length > 0) clauses.push(queueScope);
+    query = { $and: clauses };
+  } else if (queueScope && Object.keys(queueScope).length > 0) {
+    query = { $and: [query, queueScope] };
   }
 
   return query;
 };
 
+// Whitelisted sort fields for list endpoints (?sortBy=soDate&sortOrder=asc)
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "soDate",
+  "orderId",
+  "customername",
+  "total",
+  "dispatchDate",
+  "deliveryDate",
+  "receiptDate",
+  "invoiceDate",
+  "company",
+  "dispatchFrom",
+];
+
+const buildSort = (sortBy, sortOrder) => {
+  const field = SORTABLE_FIELDS.includes(sortBy) ? sortBy : "createdAt";
+  const direction = String(sortOrder).toLowerCase() === "asc" ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+// Shared fetch for the department queues: same filters, search, sorting and
+// pagination as getOrdersPaginated, scoped through buildOrderQuery.
+// Without ?page/?limit the full queue is returned, as before.
+const fetchQueueOrders = async (req, queue, { populate = true, lean = false } = {}) => {
+  const {
+    search,
+    approval,
+    orderType,
+    dispatch,
+    salesPerson,
+    dispatchFrom,
+    startDate,
+    endDate,
+    sortBy,
+    sortOrder,
+  } = req.query;
+
+  const query = await buildOrderQuery({
+    userId: req.user.id,
+    userRole: req.user.role,
+    search,
+    approval,
+    orderType,
+    dispatch,
+    salesPerson,
+    dispatchFrom,
+    startDate,
+    endDate,
+    queue,
+  });
+
+  const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+
+  let cursor = Order.find(query).sort(buildSort(sortBy, sortOrder));
+  if (paginate) cursor = cursor.skip((page - 1) * limit).limit(limit);
+  if (populate) cursor = cursor.populate("createdBy", "username email");
+  if (lean) cursor = cursor.lean();
+
+  const [orders, total] = await Promise.all([cursor, Order.countDocuments(query)]);
+  return {
+    data: orders,
+    total,
+    page: paginate ? page : 1,
+    pages: paginate ? Math.ceil(total / limit) : 1,
+  };
+};
+
 // Export orders to Excel
 const exportentry = async (req, res) => {
   try {
@@ -2236,13 +2208,9 @@ const exportentry = async (req, res) => {
 // Fetch finished goods orders
 const getFinishedGoodsOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      fulfillingStatus: { $in: ["Fulfilled", "Partial Dispatch"] },
-      dispatchStatus: { $nin: ["Order Cancelled"] },
-      stamp: { $ne: "Received" },
-    }).populate("createdBy", "username email");
+    const result = await fetchQueueOrders(req, "finishedGoods");
 
-    res.status(200).json({ success: true, data: orders });
+    res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getFinishedGoodsOrders:", error.message);
     res.status(500).json({
@@ -2256,18 +2224,8 @@ const getFinishedGoodsOrders = async (req, res) => {
 // Fetch verification orders
 const getVerificationOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      paymentTerms: { $in: ["100% Advance", "Partial Advance"] },
-      sostatus: {
-        $nin: [
-          "Accounts Approved",
-          "Approved",
-          "Order on Hold Due to Low Price",
-        ],
-      },
-      dispatchStatus: { $ne: "Order Cancelled" }, // Exclude Cancelled
-    }).populate("createdBy", "username email");
-    res.json({ success: true, data: orders });
+    const result = await fetchQueueOrders(req, "verification");
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getVerificationOrders:", error);
     res.status(500).json({
@@ -2280,12 +2238,8 @@ const getVerificationOrders = async (req, res) => {
 // Fetch bill orders
 const getBillOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      sostatus: "Approved",
-      billStatus: { $ne: "Billing Complete" },
-      dispatchStatus: { $ne: "Order Cancelled" }, // Exclude Cancelled
-    }).populate("createdBy", "username email");
-    res.json({ success: true, data: orders });
+    const result = await fetchQueueOrders(req, "bill");
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getBillOrders:", error);
     res.status(500).json({
@@ -2299,13 +2253,9 @@ const getBillOrders = async (req, res) => {
 // Fetch installation orders
 const getInstallationOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      dispatchStatus: "Delivered",
-      installchargesstatus: { $ne: "Not in Scope" },
-      installationStatus: { $ne: "Completed" },
-    }).populate("createdBy", "username email");
+    const result = await fetchQueueOrders(req, "installation");
 
-    res.json({ success: true, data: orders });
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getInstallationOrders:", error);
     res.status(500).json({
@@ -2319,19 +2269,9 @@ const getInstallationOrders = async (req, res) => {
 // Fetch accounts orders
 const getAccountsOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      paymentReceived: { $ne: "Received" },
-      dispatchStatus: { $ne: "Order Cancelled" },
-      $or: [
-        // 🔹 Normal flow: installation completed
-        { installationStatus: "Completed" },
+    const result = await fetchQueueOrders(req, "accounts");
 
-        // 🔹 Bypass flow: Not in Scope (ignore installation status)
-        { installchargesstatus: "Not in Scope" },
-      ],
-    }).populate("createdBy", "username email");
-
-    res.json({ success: true, data: orders });
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getAccountsOrders:", error);
     res.status(500).json({
@@ -2345,29 +2285,9 @@ const getAccountsOrders = async (req, res) => {
 // Fetch production approval orders
 const getProductionApprovalOrders = async (req, res) => {
   try {
-    const orders = await Order.find({
-      $or: [
-        // 🔹 Case 1: Accounts Approved (existing)
-        { sostatus: "Accounts Approved" },
-
-        // 🔹 Case 2: Pending + Credit (existing)
-        {
-          $and: [
-            { sostatus: "Pending for Approval" },
-            { paymentTerms: "Credit" },
-          ],
-        },
-
-        // 🔹 Case 3: Partial Stock + Approved (NEW ✅)
-        {
-          $and: [{ stockStatus: "Partial Stock" }, { sostatus: "Approved" }],
-        },
-      ],
+    const result = await fetchQueueOrders(req, "productionApproval");
 
-      dispatchStatus: { $ne: "Order Cancelled" }, // Exclude Cancelled
-    }).populate("createdBy", "username email");
-
-    res.json({ success: true, data: orders });
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getProductionApprovalOrders:", error);
     res.status(500).json({
@@ -2381,24 +2301,12 @@ const getProductionApprovalOrders = async (req, res) => {
 // Fetch production orders
 const getProductionOrders = async (req, res) => {
   try {
-    const dispatchFromOptions = [
-      "Patna",
-      "Bareilly",
-      "Ranchi",
-      "Lucknow",
-      "Delhi",
-      "Jaipur",
-      "Rajasthan",
-    ];
-
-    const orders = await Order.find({
-      sostatus: "Approved",
-      dispatchFrom: { $nin: dispatchFromOptions },
-      fulfillingStatus: { $ne: "Fulfilled" },
-      dispatchStatus: { $ne: "Order Cancelled" }, // Exclude Cancelled
-    }).lean();
+    const result = await fetchQueueOrders(req, "production", {
+      populate: false,
+      lean: true,
+    });
 
-    res.status(200).json({ success: true, data: orders });
+    res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error("Error in getProductionOrders:", error.message);
     res.status(500).json({
@@ -2409,7 +2317,52 @@ const getProductionOrders = async (req, res) => {
   }
 };
 
+// Get the audit timeline of an order (also available to admins after deletion)
+const getOrderHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid order ID" });
+    }
+
+    // Orders the caller cannot see are reported as missing. A deleted order
+    // is visible to nobody, so only admins can still read its history.
+    const order = await findVisibleOrder(req.user, req.params.id, { lean: true });
+    if (!order && !isAdminRole(req.user.role)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    const history = await OrderHistory.find({ order: req.params.id })
+      .populate("actor", "username email role")
+      .sort({ timestamp: 1 })
+      .lean();
+    if (!order && history.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Order not found" });
+    }
+
+    res.status(200).json({ success: true, data: history });
+  } catch (error) {
+    logger.error("Error in getOrderHistory", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order history",
+      error: error.message,
+    });
+  }
+};
+
 // Notifictions
+// Notification ids from the request body; empty means "all of mine"
+const notificationIds = (req) =>
+  (Array.isArray(req.body?.ids) ? req.body.ids : []).filter((id) =>
+    mongoose.Types.ObjectId.isValid(id),
+  );
+
 const getNotifications = async (req, res) => {
   try {
     if (!req.user || !req.user.id) {
@@ -2418,17 +2371,46 @@ const getNotifications = async (req, res) => {
         message: "Unauthorized: User not authenticated",
       });
     }
-    console.log("Fetching notifications for user:", req.user.id);
-    const notifications = await Notification.find({ role: "All" })
-      .sort({ timestamp: -1 })
-      .limit(50);
-    console.log("Notifications found:", notifications.length);
-    res.status(200).json({ success: true, data: notifications });
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = visibleTo(userId);
+    if (NOTIFICATION_CATEGORIES.includes(req.query.category)) {
+      query.category = req.query.category;
+    }
+    if (req.query.unread === "true") query.readBy = { $ne: userId };
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(query)
+        .select("-recipients -targets -dismissedBy")
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ ...visibleTo(userId), readBy: { $ne: userId } }),
+    ]);
+
+    // Read state is per user; readBy itself is not exposed
+    const data = notifications.map(({ readBy = [], ...notification }) => ({
+      ...notification,
+      isRead: readBy.some((id) => id.equals(userId)),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      total,
+      unread,
+      page,
+      pages: Math.ceil(total / limit),
+    });
   } catch (error) {
-    console.error("Error in getNotifications:", {
-      message: error.message,
+    logger.error("Error in getNotifications", {
+      error: error.message,
       stack: error.stack,
-      name: error.name,
+      userId: req.user?.id,
     });
     res.status(500).json({
       success: false,
@@ -2438,15 +2420,24 @@ const getNotifications = async (req, res) => {
   }
 };
 
-// Mark notifications as read
+// Mark notifications as read for the current user (body.ids, or all)
 const markNotificationsRead = async (req, res) => {
   try {
-    await Notification.updateMany({ role: "All" }, { isRead: true });
-    res
-      .status(200)
-      .json({ success: true, message: "Notifications marked as read" });
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const ids = notificationIds(req);
+    const query = visibleTo(userId);
+    if (ids.length > 0) query._id = { $in: ids };
+
+    const result = await Notification.updateMany(query, {
+      $addToSet: { readBy: userId },
+    });
+    res.status(200).json({
+      success: true,
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    });
   } catch (error) {
-    console.error("Error in markNotificationsRead:", error.stack);
+    logger.error("Error in markNotificationsRead", { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: "Failed to mark notifications as read",
@@ -2455,13 +2446,24 @@ const markNotificationsRead = async (req, res) => {
   }
 };
 
-// Clear notifications
+// Clear (dismiss) notifications for the current user only (body.ids, or all)
 const clearNotifications = async (req, res) => {
   try {
-    await Notification.deleteMany({ role: "All" });
-    res.status(200).json({ success: true, message: "Notifications cleared" });
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const ids = notificationIds(req);
+    const query = visibleTo(userId);
+    if (ids.length > 0) query._id = { $in: ids };
+
+    const result = await Notification.updateMany(query, {
+      $addToSet: { dismissedBy: userId, readBy: userId },
+    });
+    res.status(200).json({
+      success: true,
+      message: "Notifications cleared",
+      cleared: result.modifiedCount,
+    });
   } catch (error) {
-    console.error("Error in clearNotifications:", error.stack);
+    logger.error("Error in clearNotifications", { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: "Failed to clear notifications",
@@ -2470,6 +2472,70 @@ const clearNotifications = async (req, res) => {
   }
 };
 
+// Which notification categories the user receives in-app / by email
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("notificationPreferences");
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    const preferences = {};
+    for (const category of NOTIFICATION_CATEGORIES) {
+      const current = user.notificationPreferences?.[category];
+      preferences[category] = {
+        inApp: current?.inApp ?? true,
+        email: current?.email ?? false,
+      };
+    }
+    res.status(200).json({ success: true, data: preferences });
+  } catch (error) {
+    logger.error("Error in getNotificationPreferences", { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notification preferences",
+    });
+  }
+};
+
+// Body: { dispatch: { email: true }, payment: { inApp: false }, ... }
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const updates = {};
+    for (const [category, channels] of Object.entries(req.body || {})) {
+      if (!NOTIFICATION_CATEGORIES.includes(category) || typeof channels !== "object") {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification category: ${category}`,
+        });
+      }
+      for (const channel of ["inApp", "email"]) {
+        if (channels[channel] === undefined) continue;
+        if (typeof channels[channel] !== "boolean") {
+          return res.status(400).json({
+            success: false,
+            message: `${category}.${channel} must be true or false`,
+          });
+        }
+        updates[`notificationPreferences.${category}.${channel}`] = channels[channel];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, message: "No preferences to update" });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $set: updates });
+    logger.info("Notification preferences updated", { userId: req.user.id, updates });
+    return getNotificationPreferences(req, res);
+  } catch (error) {
+    logger.error("Error in updateNotificationPreferences", { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification preferences",
+    });
+  }
+};
+
 // Assign user to team (fixed notification usage)
 const getCurrentUser = async (req, res) => {
   try {
@@ -2555,13 +2621,11 @@ const assignUser = async (req, res) => {
 
     // Emit socket event
     const io = req.app.get("io");
-    if (io) {
-      io.emit("teamUpdate", {
-        userId: targetUser._id,
-        leaderId: req.user.id,
-        action: "assign",
-      });
-    }
+    emitTeamUpdate(io, {
+      userId: targetUser._id,
+      leaderId: req.user.id,
+      action: "assign",
+    });
 
     res.json({ success: true, message: "User assigned successfully" });
   } catch (error) {
@@ -2599,13 +2663,11 @@ const unassignUser = async (req, res) => {
 
     // Emit socket event
     const io = req.app.get("io");
-    if (io) {
-      io.emit("teamUpdate", {
-        userId: targetUser._id,
-        leaderId: req.user.id,
-        action: "unassign",
-      });
-    }
+    emitTeamUpdate(io, {
+      userId: targetUser._id,
+      leaderId: req.user.id,
+      action: "unassign",
+    });
 
     res.json({ success: true, message: "User unassigned successfully" });
   } catch (error) {
@@ -2670,7 +2732,7 @@ const getOrdersPaginated = async (req, res) => {
         populate: { path: "assignedToLeader", select: "username" },
       })
       .populate({ path: "assignedTo", select: "username email" })
-      .sort({ createdAt: -1 })
+      .sort(buildSort(req.query.sortBy, req.query.sortOrder))
       .skip(skip)
       .limit(limit);
 
@@ -2696,6 +2758,7 @@ module.exports = {
   fetchAvailableUsers,
   getAllOrders,
   getOrdersPaginated,
+  getOrderHistory,
   createOrder,
   editEntry,
   DeleteData,
@@ -2712,7 +2775,10 @@ module.exports = {
   getNotifications,
   markNotificationsRead,
   clearNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   getDashboardCounts,
   getSalesAnalytics,
   sendInstallationCompletionMail,
+  buildOrderQuery,
 };
@@ -0,0 +1,192 @@
+// NumberSeriesLogic.js
+const mongoose = require("mongoose");
+const { Order } = require("../Models/Schema");
+const { NumberSeries, SeriesCounter, SERIES_COMPANIES } = require("../Models/NumberSeriesSchema");
+const logger = require("../utils/logger");
+const { recordOrderHistory, recordUpdate } = require("../utils/orderHistory");
+const {
+  SERIES,
+  SERIES_DOC_TYPES,
+  fiscalYearOf,
+  formatNumber,
+  validateSeries,
+  getSeries,
+  assignNumber,
+  gapReport,
+} = require("../utils/numberSeries");
+
+// POST /api/orders/:id/numbers/:docType — give the order its next PI /
+// invoice / challan number. Returns the existing number if it has one.
+const assignOrderNumber = async (req, res) => {
+  try {
+    const { id, docType } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const before = order.toObject();
+    const result = await assignNumber(order, docType, req);
+    if (!result.existing) {
+      await recordOrderHistory(
+        recordUpdate(req, before, result.order, [SERIES[docType].field, "invoiceDate"]),
+      );
+      logger.info("Order number assigned", {
+        orderId: order.orderId,
+        docType,
+        number: result.number,
+        userId: req.user.id,
+      });
+    }
+
+    res.status(result.existing ? 200 : 201).json({
+      success: true,
+      message: result.existing ? "Order already has a number" : "Number assigned",
+      data: { docType, field: SERIES[docType].field, number: result.number },
+    });
+  } catch (error) {
+    logger.error("Error in assignOrderNumber", { error: error.message, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to assign number",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/number-series/gaps?company=&docType=&fiscalYear=
+// For auditors: per series and year, missing sequences, cancelled numbers
+// and numbers whose order no longer exists.
+const getNumberGaps = async (req, res) => {
+  try {
+    const { company, docType, fiscalYear } = req.query;
+    if (fiscalYear && !/^\d{2}-\d{2}$/.test(fiscalYear)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "fiscalYear must look like 25-26" });
+    }
+
+    const report = await gapReport({ company, docType, fiscalYear });
+
+    // Issued numbers pointing at orders that were never saved or are gone
+    const orderIds = report.flatMap((series) =>
+      series.issued.filter((entry) => entry.order).map((entry) => entry.order),
+    );
+    const existing = new Set(
+      (await Order.find({ _id: { $in: orderIds } }).select("_id").lean()).map((order) =>
+        String(order._id),
+      ),
+    );
+    const data = report.map(({ issued, ...series }) => {
+      const orphaned = issued.filter((entry) => !entry.order || !existing.has(String(entry.order)));
+      return { ...series, orphanedCount: orphaned.length, orphaned };
+    });
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error("Error in getNumberGaps", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to build gap report",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/admin/number-series — effective settings of every series with
+// the current fiscal year's last and next number
+const listNumberSeries = async (req, res) => {
+  try {
+    const fiscalYear = fiscalYearOf();
+    const counters = await SeriesCounter.find({ fiscalYear }).lean();
+    const lastOf = Object.fromEntries(counters.map((counter) => [counter._id, counter.sequence]));
+
+    const data = [];
+    for (const company of SERIES_COMPANIES) {
+      for (const docType of SERIES_DOC_TYPES) {
+        const series = await getSeries(company, docType);
+        const last = lastOf[`${company}:${docType}:${fiscalYear}`] || 0;
+        data.push({
+          ...series,
+          fiscalYear,
+          lastSequence: last,
+          nextNumber: formatNumber(series, fiscalYear, last + 1),
+        });
+      }
+    }
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error("Error in listNumberSeries", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch number series",
+      error: error.message,
+    });
+  }
+};
+
+// PUT /api/admin/number-series/:company/:docType
+// Body: { prefix, format, padding }. Takes effect from the next number;
+// sequences continue, they are not reset.
+const updateNumberSeries = async (req, res) => {
+  try {
+    const { company, docType } = req.params;
+    if (!SERIES_COMPANIES.includes(company) || !SERIES_DOC_TYPES.includes(docType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown series. Companies: ${SERIES_COMPANIES.join(", ")}; types: ${SERIES_DOC_TYPES.join(", ")}`,
+      });
+    }
+
+    const current = await getSeries(company, docType);
+    const next = {
+      prefix: req.body.prefix !== undefined ? String(req.body.prefix).trim() : current.prefix,
+      format: req.body.format !== undefined ? String(req.body.format).trim() : current.format,
+      padding: req.body.padding !== undefined ? Number(req.body.padding) : current.padding,
+    };
+    const invalid = validateSeries(next);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    await NumberSeries.findOneAndUpdate(
+      { company, docType },
+      {
+        $set: {
+          ...next,
+          updatedBy: req.user.id,
+          updatedByName: req.user.username || req.user.email,
+        },
+      },
+      { upsert: true, new: true },
+    );
+
+    logger.info("Number series updated", {
+      company,
+      docType,
+      from: { prefix: current.prefix, format: current.format, padding: current.padding },
+      to: next,
+      userId: req.user.id,
+    });
+    res.status(200).json({
+      success: true,
+      message: "Number series updated",
+      data: { company, docType, ...next, example: formatNumber(next, fiscalYearOf(), 1) },
+    });
+  } catch (error) {
+    logger.error("Error in updateNumberSeries", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update number series",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  assignOrderNumber,
+  getNumberGaps,
+  listNumberSeries,
+  updateNumberSeries,
+};
@@ -0,0 +1,381 @@
+// ReconciliationLogic.js
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { Order, Payment } = require("../Models/Schema");
+const { StatementImport, StatementLine } = require("../Models/ReconciliationSchema");
+const logger = require("../utils/logger");
+const { parseStatement, proposeMatches } = require("../utils/bankStatement");
+const { recordPayment } = require("../utils/paymentLedger");
+const { transitionCheque } = require("../utils/cheques");
+
+const OPEN_ORDER_FIELDS =
+  "orderId customername name total balanceDue paymentDue paymentCollected neftTransactionId chequeId";
+
+// Lines still waiting for Accounts
+const QUEUE_STATUSES = ["unmatched", "proposed"];
+
+// Auto-confirm only when the best proposal is this sure and clearly ahead of
+// the runner-up
+const AUTO_CONFIRM_MIN_SCORE = 90;
+const AUTO_CONFIRM_MARGIN = 20;
+
+const loadOpenOrders = () =>
+  Order.find({
+    paymentReceived: { $ne: "Received" },
+    dispatchStatus: { $ne: "Order Cancelled" },
+  })
+    .select(OPEN_ORDER_FIELDS)
+    .lean();
+
+// Record the payment for a line against an order. The line is locked first
+// (resolvedAt) so two confirmations of the same line cannot both record it.
+const confirmLine = async (lineId, orderId, req) => {
+  const line = await StatementLine.findOneAndUpdate(
+    { _id: lineId, status: { $in: QUEUE_STATUSES }, resolvedAt: null },
+    { $set: { resolvedAt: new Date(), resolvedBy: req.user.id } },
+    { new: true },
+  ).populate("import", "bank fileName");
+  if (!line) {
+    return { ok: false, status: 409, error: "Line not found or already resolved" };
+  }
+
+  const release = () =>
+    StatementLine.updateOne({ _id: line._id }, { $set: { resolvedAt: null, resolvedBy: null } });
+
+  const targetId = orderId || line.proposals[0]?.order;
+  const order = targetId && mongoose.Types.ObjectId.isValid(targetId)
+    ? await Order.findById(targetId)
+    : null;
+  if (!order) {
+    await release();
+    return { ok: false, status: 400, error: "Choose an order to match this line to" };
+  }
+
+  let result;
+  try {
+    result = await recordPayment(
+      order,
+      {
+        amount: line.amount,
+        paymentDate: line.date,
+        method: line.method,
+        // Lines without a UTR still get a unique reference, so the duplicate
+        // check stops the same bank entry being booked twice
+        reference: line.reference || `STMT-${line._id}`,
+        bank: line.import?.bank || "",
+        remarks: `Bank statement ${line.import?.fileName || ""} line ${line.lineNo}`.trim(),
+      },
+      req,
+      // The credit on the statement means a cheque has already cleared
+      { source: "reconciliation", chequeStatus: "cleared" },
+    );
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  if (!result.ok) {
+    await release();
+    return result;
+  }
+
+  await StatementLine.updateOne(
+    { _id: line._id },
+    { $set: { status: "matched", order: order._id, payment: result.payment._id } },
+  );
+  logger.info("Statement line reconciled", {
+    lineId: String(line._id),
+    orderId: order.orderId,
+    amount: line.amount,
+    userId: req.user.id,
+  });
+  return { ok: true, order, payment: result.payment, summary: result.summary };
+};
+
+// POST /api/reconciliation/imports  (multipart, field "statement")
+// Body: { bank }
+const importStatement = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: "Upload a bank statement file" });
+  }
+  try {
+    const buffer = await fs.promises.readFile(req.file.path);
+    const parsed = parseStatement(buffer);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    // Re-uploading an overlapping statement must not duplicate lines
+    const seen = new Set(
+      (
+        await StatementLine.find({
+          fingerprint: { $in: parsed.lines.map((line) => line.fingerprint) },
+        })
+          .select("fingerprint")
+          .lean()
+      ).map((line) => line.fingerprint),
+    );
+    const fresh = parsed.lines.filter((line) => !seen.has(line.fingerprint));
+    const dates = parsed.lines.map((line) => line.date.getTime());
+
+    const statement = await StatementImport.create({
+      fileName: req.file.originalname,
+      bank: String(req.body?.bank || "").trim(),
+      uploadedBy: req.user.id,
+      uploadedByName: req.user.username || req.user.email,
+      rowCount: parsed.rowCount,
+      lineCount: fresh.length,
+      duplicateCount: parsed.lines.length - fresh.length,
+      periodFrom: dates.length ? new Date(Math.min(...dates)) : null,
+      periodTo: dates.length ? new Date(Math.max(...dates)) : null,
+    });
+
+    const openOrders = await loadOpenOrders();
+    const docs = [];
+    for (const line of fresh) {
+      const doc = { ...line, import: statement._id };
+      // Already booked by hand (same UTR and amount in the ledger). A payment
+      // with the same reference but another amount is left for review.
+      const existing = line.reference
+        ? await Payment.findOne({ reference: line.reference, status: "active" }).lean()
+        : null;
+      if (existing && Math.abs(existing.amount - line.amount) < 0.01) {
+        // The cheque booked by hand has now reached the account
+        if (existing.method === "Cheque" && ["received", "deposited"].includes(existing.cheque?.status)) {
+          const cleared = await transitionCheque(
+            existing._id,
+            "clear",
+            { date: line.date, note: `Bank statement ${statement.fileName} line ${line.lineNo}` },
+            req,
+          );
+          if (!cleared.ok) {
+            logger.warn("Could not clear cheque from bank statement", {
+              paymentId: String(existing._id),
+              error: cleared.error,
+            });
+          }
+        }
+        Object.assign(doc, {
+          status: "matched",
+          order: existing.order,
+          payment: existing._id,
+          resolvedAt: new Date(),
+          note: "Payment already recorded",
+        });
+      } else {
+        doc.proposals = proposeMatches(line, openOrders);
+        doc.status = doc.proposals.length > 0 ? "proposed" : "unmatched";
+      }
+      docs.push(doc);
+    }
+    if (docs.length > 0) {
+      // A concurrent upload of the same file may win some lines; keep the rest
+      await StatementLine.insertMany(docs, { ordered: false }).catch((error) => {
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+      });
+    }
+
+    const counts = docs.reduce((acc, doc) => {
+      acc[doc.status] = (acc[doc.status] || 0) + 1;
+      return acc;
+    }, {});
+    logger.info("Bank statement imported", {
+      importId: String(statement._id),
+      fileName: statement.fileName,
+      lines: fresh.length,
+      duplicates: statement.duplicateCount,
+      counts,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${fresh.length} credit lines imported`,
+      data: { import: statement, counts },
+    });
+  } catch (error) {
+    logger.error("Error in importStatement", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to import bank statement",
+      error: error.message,
+    });
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+};
+
+// GET /api/reconciliation/imports
+const listImports = async (req, res) => {
+  try {
+    const imports = await StatementImport.find().sort({ createdAt: -1 }).limit(100).lean();
+    const counts = await StatementLine.aggregate([
+      { $match: { import: { $in: imports.map((item) => item._id) } } },
+      { $group: { _id: { import: "$import", status: "$status" }, count: { $sum: 1 } } },
+    ]);
+    const byImport = {};
+    for (const { _id, count } of counts) {
+      byImport[_id.import] = { ...byImport[_id.import], [_id.status]: count };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: imports.map((item) => ({ ...item, counts: byImport[item._id] || {} })),
+    });
+  } catch (error) {
+    logger.error("Error in listImports", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch statement imports",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/reconciliation/lines — the review queue. Defaults to unmatched
+// and proposed lines. Query: status, importId, page, limit
+const listLines = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const statuses = req.query.status ? String(req.query.status).split(",") : QUEUE_STATUSES;
+    const query = { status: { $in: statuses } };
+    if (req.query.importId && mongoose.Types.ObjectId.isValid(req.query.importId)) {
+      query.import = req.query.importId;
+    }
+
+    const [lines, total] = await Promise.all([
+      StatementLine.find(query)
+        .sort({ date: -1, lineNo: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("import", "fileName bank")
+        .populate("order", "orderId customername")
+        .lean(),
+      StatementLine.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: lines,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    logger.error("Error in listLines", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch statement lines",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/reconciliation/lines/:id/confirm  Body: { orderId } (order _id;
+// defaults to the top proposal)
+const confirmStatementLine = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid line ID" });
+    }
+    const result = await confirmLine(req.params.id, req.body?.orderId, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+    res.status(200).json({
+      success: true,
+      message: `Payment recorded on order ${result.order.orderId}`,
+      data: { payment: result.payment, summary: result.summary },
+    });
+  } catch (error) {
+    logger.error("Error in confirmStatementLine", { error: error.message, lineId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm match",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/reconciliation/imports/:id/auto-confirm  Body: { minScore }
+// Confirms every proposed line whose best match is unambiguous
+const autoConfirmImport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid import ID" });
+    }
+    const minScore = Math.max(Number(req.body?.minScore) || AUTO_CONFIRM_MIN_SCORE, 50);
+    const lines = await StatementLine.find({
+      import: req.params.id,
+      status: "proposed",
+      "proposals.0.score": { $gte: minScore },
+    }).lean();
+
+    const confirmed = [];
+    const skipped = [];
+    for (const line of lines) {
+      const [best, next] = line.proposals;
+      if (next && best.score - next.score < AUTO_CONFIRM_MARGIN) {
+        skipped.push({ lineId: line._id, reason: "Ambiguous: several orders match" });
+        continue;
+      }
+      const result = await confirmLine(line._id, best.order, req);
+      if (result.ok) confirmed.push({ lineId: line._id, orderId: result.order.orderId });
+      else skipped.push({ lineId: line._id, reason: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${confirmed.length} lines reconciled`,
+      data: { confirmed, skipped },
+    });
+  } catch (error) {
+    logger.error("Error in autoConfirmImport", { error: error.message, importId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to auto-confirm matches",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/reconciliation/lines/:id/ignore  Body: { note }
+const ignoreStatementLine = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: "Invalid line ID" });
+    }
+    const line = await StatementLine.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: QUEUE_STATUSES }, resolvedAt: null },
+      {
+        $set: {
+          status: "ignored",
+          note: String(req.body?.note || "").trim(),
+          resolvedAt: new Date(),
+          resolvedBy: req.user.id,
+        },
+      },
+      { new: true },
+    );
+    if (!line) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Line not found or already resolved" });
+    }
+    res.status(200).json({ success: true, message: "Line ignored", data: line });
+  } catch (error) {
+    logger.error("Error in ignoreStatementLine", { error: error.message, lineId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: "Failed to ignore line",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  importStatement,
+  listImports,
+  listLines,
+  confirmStatementLine,
+  autoConfirmImport,
+  ignoreStatementLine,
+};
@@ -0,0 +1,442 @@
+// TallyLogic.js
+const crypto = require("crypto");
+const { Order, Payment, PAYMENT_METHODS } = require("../Models/Schema");
+const { TallyLedgerMap } = require("../Models/TallySchema");
+const { SERIES_COMPANIES } = require("../Models/NumberSeriesSchema");
+const logger = require("../utils/logger");
+const { buildOrderQuery } = require("./Logic");
+const { orderVisibilityFilter } = require("../utils/orderAccess");
+const {
+  LEDGER_KEYS,
+  getLedgerMap,
+  validateLedgerMap,
+  buildSalesVoucher,
+  buildReceiptVoucher,
+  buildEnvelope,
+} = require("../utils/tally");
+
+// Approved, invoiced and not cancelled: what goes to Tally as a sales voucher
+const BILLED_FILTER = {
+  sostatus: "Approved",
+  invoiceNo: { $nin: [null, ""] },
+  dispatchStatus: { $ne: "Order Cancelled" },
+  "eInvoice.status": { $ne: "cancelled" },
+};
+
+// Money actually received: cheques only once cleared (migrated cheques have
+// no lifecycle and count as cleared)
+const RECEIVED_FILTER = {
+  status: "active",
+  $or: [{ method: { $ne: "Cheque" } }, { "cheque.status": { $in: ["cleared", null] } }],
+};
+
+// Most vouchers in one file
+const MAX_VOUCHERS = 1000;
+const LIST_LIMIT = 200;
+
+const isTrue = (value) => String(value).toLowerCase() === "true";
+
+const newBatchId = () =>
+  `TLY-${new Date().toISOString().slice(0, 19).replace(/\D/g, "")}-${crypto.randomBytes(3).toString("hex")}`;
+
+const checkCompany = (req, res) => {
+  const { company } = req.query;
+  if (!SERIES_COMPANIES.includes(company)) {
+    res.status(400).json({
+      success: false,
+      message: `company is required, one of: ${SERIES_COMPANIES.join(", ")}`,
+    });
+    return null;
+  }
+  return company;
+};
+
+// Orders for the sales export: the order list filters (buildOrderQuery),
+// restricted to billed orders of the company
+const salesQuery = async (req, company) => {
+  const { search, approval, orderType, dispatch, salesPerson, dispatchFrom, startDate, endDate, dashboardFilter } =
+    req.query;
+  const query = await buildOrderQuery({
+    userId: req.user.id,
+    userRole: req.user.role,
+    search,
+    approval,
+    orderType,
+    dispatch,
+    salesPerson,
+    dispatchFrom,
+    startDate,
+    endDate,
+    dashboardFilter,
+    departmentScope: true,
+  });
+  return { $and: [query, BILLED_FILTER, { company }] };
+};
+
+// Ids of the company's orders visible to the caller (receipts are filtered
+// through their orders)
+const scopedOrderIds = async (req, company) =>
+  Order.find({ $and: [{ company }, await orderVisibilityFilter(req.user)] }).distinct("_id");
+
+const paymentDateRange = ({ startDate, endDate }) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return Object.keys(range).length > 0 ? { paymentDate: range } : {};
+};
+
+const sendXml = (res, kind, company, batch, xml, counts) => {
+  res.setHeader("Content-Type", "application/xml; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename=tally_${kind}_${company}_${batch}.xml`);
+  res.setHeader("X-Tally-Batch", batch);
+  res.setHeader("X-Tally-Vouchers", String(counts.vouchers));
+  res.setHeader("X-Tally-Skipped", String(counts.skipped));
+  res.send(xml);
+};
+
+// POST /api/tally/sales?company=Promark&<order list filters>
+// Sales vouchers for billed orders not yet exported, as Tally XML; the
+// orders are then marked as exported with the batch id.
+//   includeExported=true  also orders exported before (Tally alters them)
+//   batch=<id>            download an earlier batch again, unchanged
+//   preview=true          JSON summary only, nothing is marked
+const exportSalesVouchers = async (req, res) => {
+  try {
+    const company = checkCompany(req, res);
+    if (!company) return;
+    const { batch: previousBatch } = req.query;
+    const preview = isTrue(req.query.preview);
+
+    let query;
+    if (previousBatch) {
+      // Only the orders of the batch the caller can still see
+      query = {
+        $and: [
+          { company, "tallyExport.batch": String(previousBatch) },
+          await orderVisibilityFilter(req.user),
+        ],
+      };
+    } else {
+      query = await salesQuery(req, company);
+      if (!isTrue(req.query.includeExported)) query.$and.push({ "tallyExport.exportedAt": null });
+    }
+    const orders = await Order.find(query)
+      .sort({ invoiceDate: 1, _id: 1 })
+      .limit(MAX_VOUCHERS)
+      .lean();
+
+    const map = await getLedgerMap(company);
+    const vouchers = [];
+    const exported = [];
+    const skipped = [];
+    for (const order of orders) {
+      const result = buildSalesVoucher(order, map);
+      if (!result.ok) {
+        skipped.push({ orderId: order.orderId, invoiceNo: order.invoiceNo, error: result.error });
+        continue;
+      }
+      vouchers.push(result.xml);
+      exported.push({ _id: order._id, orderId: order.orderId, invoiceNo: order.invoiceNo, total: result.total });
+    }
+
+    if (preview) {
+      return res.status(200).json({
+        success: true,
+        data: { company, tallyCompany: map.tallyCompany, vouchers: exported.length, orders: exported, skipped },
+      });
+    }
+    if (exported.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "No orders to export",
+        data: { vouchers: 0, skipped },
+      });
+    }
+
+    const batch = previousBatch ? String(previousBatch) : newBatchId();
+    if (!previousBatch) {
+      const exportedAt = new Date();
+      await Order.bulkWrite(
+        exported.map((entry) => ({
+          updateOne: {
+            filter: { _id: entry._id },
+            update: {
+              $set: {
+                tallyExport: {
+                  exportedAt,
+                  batch,
+                  total: entry.total,
+                  exportedBy: req.user.id,
+                  exportedByName: req.user.username || req.user.email,
+                },
+              },
+            },
+          },
+        })),
+      );
+    }
+
+    logger.info("Tally sales vouchers exported", {
+      company,
+      batch,
+      redownload: Boolean(previousBatch),
+      vouchers: exported.length,
+      skipped: skipped.length,
+      userId: req.user.id,
+    });
+    if (skipped.length > 0) logger.warn("Orders left out of Tally sales export", { company, batch, skipped });
+
+    sendXml(res, "sales", company, batch, buildEnvelope(map, vouchers), {
+      vouchers: exported.length,
+      skipped: skipped.length,
+    });
+  } catch (error) {
+    logger.error("Error in exportSalesVouchers", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to export sales vouchers",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/tally/receipts?company=Promark&startDate=&endDate=
+// Receipt vouchers for payments received (by payment date) and not yet
+// exported, then marked with the batch id. Same includeExported, batch and
+// preview options as the sales export.
+const exportReceiptVouchers = async (req, res) => {
+  try {
+    const company = checkCompany(req, res);
+    if (!company) return;
+    const { batch: previousBatch } = req.query;
+    const preview = isTrue(req.query.preview);
+
+    const query = { order: { $in: await scopedOrderIds(req, company) } };
+    if (previousBatch) {
+      query["tallyExport.batch"] = String(previousBatch);
+    } else {
+      Object.assign(query, RECEIVED_FILTER, paymentDateRange(req.query));
+      if (!isTrue(req.query.includeExported)) query["tallyExport.exportedAt"] = null;
+    }
+    const payments = await Payment.find(query)
+      .populate("order", "orderId company customername gstno city invoiceNo")
+      .sort({ paymentDate: 1, _id: 1 })
+      .limit(MAX_VOUCHERS)
+      .lean();
+
+    const map = await getLedgerMap(company);
+    const vouchers = [];
+    const exported = [];
+    const skipped = [];
+    for (const payment of payments) {
+      const result = buildReceiptVoucher(payment, payment.order, map);
+      if (!result.ok) {
+        skipped.push({ orderId: payment.orderId, paymentId: payment._id, error: result.error });
+        continue;
+      }
+      vouchers.push(result.xml);
+      exported.push({
+        _id: payment._id,
+        orderId: payment.orderId,
+        amount: payment.amount,
+        paymentDate: payment.paymentDate,
+        method: payment.method,
+      });
+    }
+
+    if (preview) {
+      return res.status(200).json({
+        success: true,
+        data: { company, tallyCompany: map.tallyCompany, vouchers: exported.length, payments: exported, skipped },
+      });
+    }
+    if (exported.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "No payments to export",
+        data: { vouchers: 0, skipped },
+      });
+    }
+
+    const batch = previousBatch ? String(previousBatch) : newBatchId();
+    if (!previousBatch) {
+      await Payment.updateMany(
+        { _id: { $in: exported.map((entry) => entry._id) } },
+        { $set: { tallyExport: { exportedAt: new Date(), batch, exportedBy: req.user.id } } },
+      );
+    }
+
+    logger.info("Tally receipt vouchers exported", {
+      company,
+      batch,
+      redownload: Boolean(previousBatch),
+      vouchers: exported.length,
+      skipped: skipped.length,
+      userId: req.user.id,
+    });
+    if (skipped.length > 0) logger.warn("Payments left out of Tally receipt export", { company, batch, skipped });
+
+    sendXml(res, "receipts", company, batch, buildEnvelope(map, vouchers), {
+      vouchers: exported.length,
+      skipped: skipped.length,
+    });
+  } catch (error) {
+    logger.error("Error in exportReceiptVouchers", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to export receipt vouchers",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/tally/status?company=Promark — what is waiting to be exported, and
+// what changed in the app after it went to Tally and needs fixing there
+const getTallyStatus = async (req, res) => {
+  try {
+    const company = checkCompany(req, res);
+    if (!company) return;
+
+    const sales = await salesQuery(req, company);
+    const orderIds = await scopedOrderIds(req, company);
+    const [pendingSales, pendingReceipts, changedOrders, reversedPayments] = await Promise.all([
+      Order.countDocuments({ $and: [...sales.$and, { "tallyExport.exportedAt": null }] }),
+      Payment.countDocuments({ ...RECEIVED_FILTER, order: { $in: orderIds }, "tallyExport.exportedAt": null }),
+      // Exported orders whose amount changed, or that were cancelled since
+      Order.find({
+        _id: { $in: orderIds },
+        "tallyExport.exportedAt": { $ne: null },
+        $or: [
+          { $expr: { $ne: ["$total", "$tallyExport.total"] } },
+          { dispatchStatus: "Order Cancelled" },
+          { "eInvoice.status": "cancelled" },
+        ],
+      })
+        .select("orderId invoiceNo total dispatchStatus eInvoice.status tallyExport")
+        .limit(LIST_LIMIT)
+        .lean(),
+      // Exported receipts that were voided or bounced since
+      Payment.find({
+        order: { $in: orderIds },
+        "tallyExport.exportedAt": { $ne: null },
+        status: { $in: ["void", "bounced"] },
+      })
+        .select("orderId amount paymentDate method reference status voidReason cheque.bounceReason tallyExport")
+        .limit(LIST_LIMIT)
+        .lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        company,
+        pendingSales,
+        pendingReceipts,
+        changedOrders: changedOrders.map((order) => ({
+          orderId: order.orderId,
+          invoiceNo: order.invoiceNo,
+          total: order.total,
+          exportedTotal: order.tallyExport.total,
+          cancelled: order.dispatchStatus === "Order Cancelled" || order.eInvoice?.status === "cancelled",
+          batch: order.tallyExport.batch,
+          exportedAt: order.tallyExport.exportedAt,
+        })),
+        reversedPayments,
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getTallyStatus", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch Tally export status",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/tally/ledgers — ledger names in use per company
+const listLedgerMaps = async (req, res) => {
+  try {
+    const data = [];
+    for (const company of SERIES_COMPANIES) data.push(await getLedgerMap(company));
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    logger.error("Error in listLedgerMaps", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch Tally ledgers",
+      error: error.message,
+    });
+  }
+};
+
+// PUT /api/tally/ledgers/:company
+// Body: any of { tallyCompany, salesVoucherType, receiptVoucherType, party,
+// sales, cgst, sgst, igst, cess, freight, installation, roundOff, cash, bank,
+// methodLedgers: { UPI: "..." } }. Applies to the next export.
+const updateLedgerMap = async (req, res) => {
+  try {
+    const { company } = req.params;
+    if (!SERIES_COMPANIES.includes(company)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown company. Companies: ${SERIES_COMPANIES.join(", ")}`,
+      });
+    }
+
+    const body = req.body || {};
+    const next = {};
+    for (const key of [...LEDGER_KEYS, "tallyCompany"]) {
+      if (body[key] !== undefined) next[key] = typeof body[key] === "string" ? body[key].trim() : body[key];
+    }
+    if (body.methodLedgers !== undefined) {
+      const unknown = Object.keys(body.methodLedgers || {}).filter((method) => !PAYMENT_METHODS.includes(method));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown payment method(s): ${unknown.join(", ")}. Methods: ${PAYMENT_METHODS.join(", ")}`,
+        });
+      }
+      next.methodLedgers = Object.fromEntries(
+        Object.entries(body.methodLedgers || {}).map(([method, ledger]) => [
+          method,
+          typeof ledger === "string" ? ledger.trim() : ledger,
+        ]),
+      );
+    }
+    const invalid = validateLedgerMap(next);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    await TallyLedgerMap.findOneAndUpdate(
+      { company },
+      { $set: { ...next, updatedBy: req.user.id, updatedByName: req.user.username || req.user.email } },
+      { upsert: true, new: true },
+    );
+
+    logger.info("Tally ledger map updated", { company, changes: next, userId: req.user.id });
+    res.status(200).json({
+      success: true,
+      message: "Tally ledgers updated",
+      data: await getLedgerMap(company),
+    });
+  } catch (error) {
+    logger.error("Error in updateLedgerMap", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update Tally ledgers",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  exportSalesVouchers,
+  exportReceiptVouchers,
+  getTallyStatus,
+  listLedgerMaps,
+  updateLedgerMap,
+};
@@ -0,0 +1,288 @@
+// TwoFactorLogic.js
+const bcrypt = require("bcrypt");
+const User = require("../Models/Model");
+const logger = require("../utils/logger");
+const { authenticateToken } = require("../utils/config jwt");
+const { issueSession } = require("../utils/session");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  logLoginAttempt,
+} = require("../utils/loginGuard");
+const {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  verifyUserCode,
+  consumeRecoveryCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  verifyChallenge,
+} = require("../utils/twoFactor");
+
+const sessionResponse = (user, session) => ({
+  user: {
+    id: user._id.toString(),
+    username: user.username,
+    email: user.email,
+    role: user.role,
+  },
+  ...session,
+});
+
+// Load the user behind a challenge token; null if the token is bad, the user
+// is gone/deactivated or their sessions were revoked after it was issued
+const userFromChallenge = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyChallenge(challengeToken, purpose);
+  } catch {
+    return null;
+  }
+  const user = await User.findById(decoded.id);
+  if (!user || user.isActive === false || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+    return null;
+  }
+  return user;
+};
+
+// Enrollment works for a signed-in user (access token) and during login for
+// a role that requires 2FA (enroll challenge token in the body)
+const resolveEnrollingUser = async (req) => {
+  if (req.body?.challengeToken) {
+    const user = await userFromChallenge(req.body.challengeToken, "2fa-enroll");
+    return user ? { user, duringLogin: true } : null;
+  }
+  const token = req.header("Authorization")?.split(" ")[1];
+  if (!token) return null;
+  try {
+    const decoded = await authenticateToken(token);
+    const user = await User.findById(decoded.id);
+    return user ? { user, duringLogin: false } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Checks a TOTP code, or a recovery code when the app is not at hand
+const checkSecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    return (await verifyUserCode(userId, code)) ? { method: "totp" } : null;
+  }
+  if (recoveryCode) {
+    const remaining = await consumeRecoveryCode(userId, recoveryCode);
+    return remaining === null ? null : { method: "recovery-code", recoveryCodesLeft: remaining };
+  }
+  return null;
+};
+
+const GetTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactor.recoveryCodes");
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enrolledAt: user.twoFactor?.enrolledAt || null,
+        required: isTwoFactorRequired(user.role),
+        recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+      },
+    });
+  } catch (error) {
+    logger.error("2FA Status Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to fetch 2FA status" });
+  }
+};
+
+// Step 1 of enrollment: returns the secret and otpauth:// URI for the app
+const SetupTwoFactor = async (req, res) => {
+  try {
+    const enrolling = await resolveEnrollingUser(req);
+    if (!enrolling) {
+      return res.status(401).json({ success: false, message: "Invalid or expired token" });
+    }
+    const { user } = enrolling;
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, otpauthUrl } = await beginEnrollment(user);
+    logger.info("2FA: Enrollment started", { userId: String(user._id) });
+
+    res.status(200).json({ success: true, secret, otpauthUrl });
+  } catch (error) {
+    logger.error("2FA Setup Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to start 2FA setup" });
+  }
+};
+
+// Step 2 of enrollment: confirm with a code; returns the recovery codes once.
+// When enrolling during login this also completes the login.
+const EnableTwoFactor = async (req, res) => {
+  try {
+    const enrolling = await resolveEnrollingUser(req);
+    if (!enrolling) {
+      return res.status(401).json({ success: false, message: "Invalid or expired token" });
+    }
+    const { user, duringLogin } = enrolling;
+
+    const recoveryCodes = await completeEnrollment(user._id, req.body.code);
+    if (!recoveryCodes) {
+      logger.warn("2FA: Enrollment code rejected", { userId: String(user._id), ip: req.ip });
+      return res.status(400).json({ success: false, message: "Invalid verification code" });
+    }
+
+    logger.info("2FA: Enabled", { userId: String(user._id) });
+    const response = {
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes safely.",
+      recoveryCodes,
+    };
+
+    if (duringLogin) {
+      await recordLoginSuccess(user.email);
+      await logLoginAttempt(req, { user, email: user.email, success: true, reason: "2fa-enroll" });
+      Object.assign(response, sessionResponse(user, await issueSession(user, req)));
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error("2FA Enable Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to enable 2FA" });
+  }
+};
+
+// Second step of Login for users with 2FA enabled
+const VerifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ message: "Challenge token and a code or recovery code are required" });
+    }
+
+    const user = await userFromChallenge(challengeToken, "2fa");
+    if (!user) {
+      return res.status(401).json({ message: "Login session expired. Please log in again." });
+    }
+
+    // Code guessing counts towards the same lockout as password guessing
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      await logLoginAttempt(req, {
+        user,
+        email: user.email,
+        success: false,
+        reason: throttle.locked ? "locked" : "throttled",
+      });
+      res.set("Retry-After", String(throttle.retryAfter));
+      return res.status(429).json({
+        message: "Too many failed attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
+    const result = await checkSecondFactor(user._id, { code, recoveryCode });
+    if (!result) {
+      logger.warn("Login attempt failed: Invalid 2FA code", { email: user.email, ip: req.ip });
+      await recordLoginFailure(user.email, req.ip);
+      await logLoginAttempt(req, { user, email: user.email, success: false, reason: "bad-2fa-code" });
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    await recordLoginSuccess(user.email);
+    await logLoginAttempt(req, { user, email: user.email, success: true, reason: result.method });
+    if (result.method === "recovery-code") {
+      logger.info("2FA: Recovery code used", {
+        userId: String(user._id),
+        recoveryCodesLeft: result.recoveryCodesLeft,
+      });
+    }
+
+    res.status(200).json({
+      message: "Login successful",
+      ...sessionResponse(user, await issueSession(user, req)),
+      ...(result.recoveryCodesLeft !== undefined && { recoveryCodesLeft: result.recoveryCodesLeft }),
+    });
+  } catch (error) {
+    logger.error("2FA Verify Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ message: "An error occurred during login" });
+  }
+};
+
+const DisableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and a code or recovery code are required",
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is mandatory for your role",
+      });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Two-factor authentication is not enabled" });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !(await checkSecondFactor(user._id, { code, recoveryCode }))) {
+      logger.warn("2FA: Disable rejected", { userId: String(user._id), ip: req.ip });
+      return res.status(401).json({ success: false, message: "Invalid password or code" });
+    }
+
+    await disableTwoFactor(user._id);
+    logger.info("2FA: Disabled by user", { userId: String(user._id) });
+    res.status(200).json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    logger.error("2FA Disable Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to disable 2FA" });
+  }
+};
+
+// Replace all recovery codes (e.g. after using some of them)
+const RegenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Verification code is required" });
+    }
+    if (!(await verifyUserCode(req.user.id, code))) {
+      return res.status(401).json({ success: false, message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    logger.info("2FA: Recovery codes regenerated", { userId: req.user.id });
+    res.status(200).json({ success: true, recoveryCodes });
+  } catch (error) {
+    logger.error("2FA Recovery Codes Error", { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, message: "Failed to regenerate recovery codes" });
+  }
+};
+
+module.exports = {
+  GetTwoFactorStatus,
+  SetupTwoFactor,
+  EnableTwoFactor,
+  VerifyTwoFactor,
+  DisableTwoFactor,
+  RegenerateRecoveryCodes,
+};
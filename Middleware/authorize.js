@@ -0,0 +1,26 @@
+const logger = require("../utils/logger");
+const { can } = require("../utils/permissions");
+
+// Route guard: authorize("orders:delete"). Must run after verifyToken,
+// since the role is taken from the verified JWT and never from the request.
+const authorize = (action) => (req, res, next) => {
+  const role = req.user?.role;
+  if (role && can(role, action)) {
+    return next();
+  }
+
+  logger.warn("Unauthorized access attempt", {
+    action,
+    userId: req.user?.id,
+    role: role || "none",
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+  });
+  return res.status(403).json({
+    success: false,
+    message: "You do not have permission to perform this action",
+  });
+};
+
+module.exports = authorize;
@@ -1,12 +1,18 @@
 // middleware/checkProductionRole.js
+const logger = require("../utils/logger");
 
+// Uses the role from the verified JWT (set by verifyToken), not a client header
 const checkProductionRole = (req, res, next) => {
   try {
-    // Extract role from request headers
-    const role = req.headers["role"];
+    const role = req.user?.role;
 
-    // Check if the role is not provided or is not "Production"
     if (!role || role !== "Production") {
+      logger.warn("Unauthorized access attempt", {
+        action: "production-only",
+        userId: req.user?.id,
+        role: role || "none",
+        url: req.originalUrl,
+      });
       return res.status(403).json({
         success: false,
         message: "Access denied. Production role required.",
@@ -0,0 +1,40 @@
+const logger = require("../utils/logger");
+
+// Small fixed-window, in-memory rate limiter for sensitive auth endpoints.
+// rateLimit({ name: "forgot-password", windowMs: 15 * 60 * 1000, max: 5 })
+const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip }) => {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      logger.warn("Rate limit exceeded", { limiter: name, key, ip: req.ip });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many requests. Please try again later.",
+        retryAfter,
+      });
+    }
+    next();
+  };
+};
+
+module.exports = rateLimit;
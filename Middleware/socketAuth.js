@@ -0,0 +1,108 @@
+const User = require("../Models/Model");
+const logger = require("../utils/logger");
+const { authenticateToken } = require("../utils/config jwt");
+const { ADMIN_ROLES } = require("../utils/orderWorkflow");
+
+// How often a connected socket's token is re-checked for revocation
+// (logout-all, password change, deactivation, role change)
+const REVALIDATE_MS = Number(process.env.SOCKET_REVALIDATE_MS) || 60 * 1000;
+
+const handshakeToken = (socket) => {
+  const { auth, headers, query } = socket.handshake;
+  return (
+    auth?.token ||
+    headers?.authorization?.split(" ")[1] ||
+    query?.token ||
+    null
+  );
+};
+
+// io.use() middleware: the handshake must carry the same access token as the
+// REST API. Identity is taken from the token and database, never from the client.
+const socketAuth = async (socket, next) => {
+  const token = handshakeToken(socket);
+  try {
+    if (!token) throw new Error("No token provided");
+    const decoded = await authenticateToken(token);
+    const user = await User.findById(decoded.id).select(
+      "username role assignedToLeader dispatchLocations companies",
+    );
+    if (!user) throw new Error("User not found");
+
+    socket.data.user = {
+      id: String(user._id),
+      username: user.username,
+      role: user.role,
+      leaderId: user.assignedToLeader ? String(user.assignedToLeader) : null,
+      dispatchLocations: [...(user.dispatchLocations || [])],
+      companies: [...(user.companies || [])],
+    };
+    socket.data.token = token;
+    socket.data.tokenExp = decoded.exp;
+    next();
+  } catch (error) {
+    logger.warn("Socket authentication failed", {
+      socketId: socket.id,
+      ip: socket.handshake.address,
+      error: error.message,
+    });
+    const err = new Error("Unauthorized");
+    err.data = { message: "Invalid or expired token" };
+    next(err);
+  }
+};
+
+// Rooms a user belongs to. "leader:<id>" carries the orders of <id>'s team
+// members, so every user joins the room named after themselves.
+const serverRooms = (user) => {
+  const rooms = [`user:${user.id}`, `leader:${user.id}`, `role:${user.role}`];
+  if (ADMIN_ROLES.includes(user.role)) rooms.push("admins");
+  return rooms;
+};
+
+const endSession = (socket, event, reason) => {
+  logger.info("Disconnecting socket", {
+    socketId: socket.id,
+    userId: socket.data.user?.id,
+    reason,
+  });
+  socket.emit(event, { reason });
+  socket.disconnect(true);
+};
+
+// Disconnect when the access token expires or the session is revoked; the
+// client reconnects with a refreshed token
+const watchSession = (socket) => {
+  const timers = [];
+  if (socket.data.tokenExp) {
+    const msLeft = socket.data.tokenExp * 1000 - Date.now();
+    timers.push(setTimeout(() => endSession(socket, "sessionExpired", "token-expired"), Math.max(msLeft, 0)));
+  }
+  const interval = setInterval(async () => {
+    try {
+      await authenticateToken(socket.data.token);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        endSession(socket, "sessionExpired", "token-expired");
+      } else if (error.name === "TokenRevokedError" || error.name === "JsonWebTokenError") {
+        endSession(socket, "sessionRevoked", "token-revoked");
+      } else {
+        logger.warn("Socket session check failed", { socketId: socket.id, error: error.message });
+      }
+    }
+  }, REVALIDATE_MS);
+
+  socket.on("disconnect", () => {
+    timers.forEach(clearTimeout);
+    clearInterval(interval);
+  });
+};
+
+// Immediately drop every socket of a user (deactivation, role change)
+const disconnectUserSockets = (io, userId, reason) => {
+  if (!io) return;
+  io.to(`user:${userId}`).emit("sessionRevoked", { reason });
+  io.in(`user:${userId}`).disconnectSockets(true);
+};
+
+module.exports = { socketAuth, serverRooms, watchSession, disconnectUserSockets };
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+// Server-side refresh tokens. Only a SHA-256 hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // All tokens rotated from the same login share a family, so reuse of an
+    // already-rotated token can revoke the whole chain
+    family: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, trim: true },
+    replacedBy: { type: String, default: null },
+    createdByIp: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// MongoDB removes expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Single-use password reset tokens (self-service or Admin-initiated)
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String, trim: true },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ user: 1, createdAt: -1 });
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Failed-login counters, one document per account ("account:<email>")
+// and per client IP ("ip:<address>")
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    type: { type: String, enum: ["account", "ip"], required: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    nextAttemptAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ type: 1, lockedUntil: 1 });
+
+const loginHistorySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  email: { type: String, trim: true, lowercase: true },
+  ip: { type: String, trim: true },
+  userAgent: { type: String, trim: true },
+  success: { type: Boolean, required: true },
+  reason: { type: String, trim: true },
+  timestamp: { type: Date, default: Date.now },
+});
+
+loginHistorySchema.index({ user: 1, timestamp: -1 });
+loginHistorySchema.index({ email: 1, timestamp: -1 });
+// Keep one year of login history
+loginHistorySchema.index({ timestamp: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// Signup is invite-only: an Admin invites an email address with a role
+const inviteSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, trim: true, lowercase: true },
+    role: { type: String, required: true },
+    assignedToLeader: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    acceptedAt: { type: Date, default: null },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+inviteSchema.index({ email: 1, createdAt: -1 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+const LoginHistory = mongoose.model("LoginHistory", loginHistorySchema);
+const Invite = mongoose.model("Invite", inviteSchema);
+
+module.exports = {
+  RefreshToken,
+  PasswordReset,
+  LoginThrottle,
+  LoginHistory,
+  Invite,
+};
@@ -1,5 +1,11 @@
 const mongoose = require("mongoose");
 
+// In-app / email choice for one notification category
+const channelPreference = {
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: false },
+};
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -39,6 +45,54 @@ const userSchema = new mongoose.Schema({
     ref: "User",
     default: null,
   },
+  // Deactivated users cannot log in and their tokens stop working
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: { type: Date, default: null },
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  // Bumped to invalidate every access token issued before (logout-all,
+  // password change, deactivation)
+  tokenVersion: { type: Number, default: 0 },
+  lastPasswordChange: { type: Date },
+  // TOTP two-factor authentication; secrets are stored encrypted
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null, select: false },
+    pendingSecret: { type: String, default: null, select: false },
+    recoveryCodes: { type: [String], default: [], select: false },
+    enrolledAt: { type: Date, default: null },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: { type: Number, default: null },
+  },
+  // Optional queue scoping: when set, department queues only show these
+  dispatchLocations: [
+    {
+      type: String,
+      enum: [
+        "Patna",
+        "Bareilly",
+        "Ranchi",
+        "Morinda",
+        "Lucknow",
+        "Delhi",
+        "Jaipur",
+        "Rajasthan",
+      ],
+    },
+  ],
+  companies: [
+    {
+      type: String,
+      enum: ["Promark", "Foxmate", "Promine", "Primus"],
+    },
+  ],
+  // Which notification categories the user receives, and how
+  notificationPreferences: {
+    approval: channelPreference,
+    dispatch: channelPreference,
+    installation: channelPreference,
+    payment: channelPreference,
+    general: channelPreference,
+  },
 });
 
 const User = mongoose.model("User", userSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const SERIES_DOC_TYPES = ["order", "proforma", "invoice", "challan"];
+const SERIES_COMPANIES = ["Promark", "Foxmate", "Promine", "Primus"];
+
+// Per company + document type overrides of the default number format
+// (utils/numberSeries.js). Only what an admin changed is stored.
+const numberSeriesSchema = new mongoose.Schema(
+  {
+    company: { type: String, enum: SERIES_COMPANIES, required: true },
+    docType: { type: String, enum: SERIES_DOC_TYPES, required: true },
+    prefix: { type: String, trim: true },
+    format: { type: String, trim: true },
+    padding: { type: Number, min: 1, max: 8 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedByName: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+numberSeriesSchema.index({ company: 1, docType: 1 }, { unique: true });
+
+// Last sequence handed out per series and fiscal year.
+// _id: "<company>:<docType>:<fiscalYear>", e.g. "Promark:invoice:25-26"
+const seriesCounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  company: { type: String, required: true },
+  docType: { type: String, required: true },
+  fiscalYear: { type: String, required: true },
+  sequence: { type: Number, default: 0 },
+});
+
+// Every number ever issued. The unique indexes are the uniqueness guarantee;
+// numbers are never reused, a cancelled number stays here as cancelled.
+const issuedNumberSchema = new mongoose.Schema({
+  number: { type: String, required: true, trim: true },
+  company: { type: String, required: true },
+  docType: { type: String, enum: SERIES_DOC_TYPES, required: true },
+  fiscalYear: { type: String, required: true },
+  sequence: { type: Number, required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  orderId: { type: String, trim: true },
+  status: { type: String, enum: ["issued", "cancelled"], default: "issued" },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String, trim: true },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  issuedByName: { type: String, trim: true },
+});
+
+issuedNumberSchema.index({ number: 1 }, { unique: true });
+issuedNumberSchema.index(
+  { company: 1, docType: 1, fiscalYear: 1, sequence: 1 },
+  { unique: true }
+);
+issuedNumberSchema.index({ order: 1 });
+
+const NumberSeries = mongoose.model("NumberSeries", numberSeriesSchema);
+const SeriesCounter = mongoose.model("SeriesCounter", seriesCounterSchema);
+const IssuedNumber = mongoose.model("IssuedNumber", issuedNumberSchema);
+
+module.exports = {
+  NumberSeries,
+  SeriesCounter,
+  IssuedNumber,
+  SERIES_DOC_TYPES,
+  SERIES_COMPANIES,
+};
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One uploaded bank statement file
+const statementImportSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, trim: true },
+    bank: { type: String, trim: true, default: "" },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    uploadedByName: { type: String, trim: true },
+    // Rows read, credit lines imported, and credit lines skipped because an
+    // earlier upload already contained them
+    rowCount: { type: Number, default: 0 },
+    lineCount: { type: Number, default: 0 },
+    duplicateCount: { type: Number, default: 0 },
+    periodFrom: { type: Date },
+    periodTo: { type: Date },
+  },
+  { timestamps: true }
+);
+
+statementImportSchema.index({ createdAt: -1 });
+
+// A credit line from a statement and what it was reconciled against.
+//   unmatched / proposed -> waiting for Accounts (the review queue)
+//   matched              -> a payment was recorded (or already existed)
+//   ignored              -> not a customer receipt (interest, refunds, ...)
+const statementLineSchema = new mongoose.Schema(
+  {
+    import: { type: mongoose.Schema.Types.ObjectId, ref: "StatementImport", required: true },
+    lineNo: { type: Number },
+    date: { type: Date },
+    description: { type: String, trim: true, default: "" },
+    reference: { type: String, trim: true, default: "" },
+    method: { type: String, trim: true, default: "NEFT" },
+    amount: { type: Number, required: true },
+    // Same date/amount/reference/description (and occurrence of it within
+    // the file) seen before = same bank entry
+    fingerprint: { type: String, required: true, unique: true },
+    status: {
+      type: String,
+      enum: ["unmatched", "proposed", "matched", "ignored"],
+      default: "unmatched",
+    },
+    proposals: [
+      {
+        _id: false,
+        order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        orderId: { type: String },
+        customername: { type: String },
+        balanceDue: { type: Number },
+        score: { type: Number },
+        reasons: [{ type: String }],
+      },
+    ],
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    resolvedAt: { type: Date, default: null },
+    note: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+statementLineSchema.index({ status: 1, date: -1 });
+statementLineSchema.index({ import: 1, lineNo: 1 });
+
+const StatementImport = mongoose.model("StatementImport", statementImportSchema);
+const StatementLine = mongoose.model("StatementLine", statementLineSchema);
+
+module.exports = { StatementImport, StatementLine };
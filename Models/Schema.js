@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { GST_RATES, GST_OPTIONS } = require("../utils/gst");
+const { allocateNumber } = require("../utils/numberSeries");
 
 const counterSchema = new mongoose.Schema({
   _id: { type: String, required: true },
@@ -17,12 +19,25 @@ const productSchema = new mongoose.Schema({
   gst: {
     type: String,
     default: "18",
-    enum: ["18", "28", "including"],
+    enum: GST_OPTIONS,
     trim: true,
     required: true,
   },
+  // Rate already contained in unitPrice when gst is "including"
+  inclusiveRate: { type: String, enum: GST_RATES, default: "18" },
+  // HSN (goods) or SAC (services) code
+  hsn: { type: String, trim: true, default: "" },
+  // Compensation cess, percent of the taxable value
+  cess: { type: Number, min: 0, default: 0 },
   brand: { type: String, trim: true, default: "" },
   warranty: { type: String, trim: true, required: true },
+  // Computed by utils/gst.js
+  taxableValue: { type: Number },
+  cgst: { type: Number },
+  sgst: { type: Number },
+  igst: { type: Number },
+  cessAmount: { type: Number },
+  lineTotal: { type: Number },
 });
 
 const orderSchema = new mongoose.Schema(
@@ -57,16 +72,40 @@ const orderSchema = new mongoose.Schema(
     customername: { type: String, trim: true, required: true },
     products: [productSchema],
     total: { type: Number, min: 0, required: true },
+    // GST breakup behind `total` (utils/gst.js). State codes are GST state
+    // codes ("10" = Bihar).
+    taxSummary: {
+      supplyType: { type: String, enum: ["intra", "inter"] },
+      supplierStateCode: { type: String },
+      placeOfSupply: { type: String },
+      taxableValue: { type: Number },
+      cgst: { type: Number },
+      sgst: { type: Number },
+      igst: { type: Number },
+      cess: { type: Number },
+      otherCharges: { type: Number },
+      roundOff: { type: Number },
+    },
+    // paymentCollected / paymentDue / paymentMethod / neftTransactionId /
+    // chequeId / paymentReceived are derived from the Payment ledger and kept
+    // as strings for existing screens and exports
     paymentCollected: { type: String, trim: true },
     paymentMethod: {
       type: String,
-      enum: ["Cash", "NEFT", "RTGS", "Cheque", ""],
+      enum: ["Cash", "NEFT", "RTGS", "Cheque", "UPI", ""],
       default: "",
     },
     poFilePath: String,
     paymentDue: { type: String, trim: true },
     neftTransactionId: { type: String, trim: true },
     chequeId: { type: String, trim: true },
+    // Numeric ledger totals (see utils/paymentLedger.js)
+    amountReceived: { type: Number, default: 0 },
+    balanceDue: { type: Number },
+    // Part of amountReceived still in cheques that have not cleared
+    unclearedAmount: { type: Number, default: 0 },
+    paymentCount: { type: Number, default: 0 },
+    lastPaymentDate: { type: Date },
     paymentTerms: {
       type: String,
       enum: ["100% Advance", "Partial Advance", "Credit", ""],
@@ -133,6 +172,31 @@ const orderSchema = new mongoose.Schema(
     transporter: { type: String, trim: true },
     transporterDetails: { type: String, trim: true },
     docketNo: { type: String, trim: true },
+    challanNo: { type: String, trim: true },
+    // E-way bill for the dispatch (utils/ewayBill.js). Transport details are
+    // kept so the JSON can be regenerated; number and validity once recorded.
+    ewayBill: {
+      status: { type: String, enum: ["draft", "active", "cancelled"] },
+      number: { type: String, trim: true },
+      generatedAt: { type: Date },
+      validUntil: { type: Date },
+      distance: { type: Number, min: 0 },
+      transMode: { type: String, enum: ["Road", "Rail", "Air", "Ship"] },
+      vehicleNo: { type: String, trim: true },
+      vehicleType: { type: String, enum: ["R", "O"] },
+      transporterId: { type: String, trim: true },
+      transporterName: { type: String, trim: true },
+      transDocNo: { type: String, trim: true },
+      transDocDate: { type: Date },
+      voluntary: { type: Boolean },
+      payload: { type: mongoose.Schema.Types.Mixed },
+      jsonGeneratedAt: { type: Date },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      recordedByName: { type: String, trim: true },
+      expiryWarnedAt: { type: Date },
+      cancelledAt: { type: Date },
+      cancelReason: { type: String, trim: true },
+    },
     receiptDate: { type: Date },
     shippingAddress: { type: String, default: "", trim: true },
     billingAddress: { type: String, default: "", trim: true },
@@ -146,8 +210,69 @@ const orderSchema = new mongoose.Schema(
       enum: ["Not Received", "Received"],
       default: "Not Received",
     },
+    // Credit payment reminders (utils/paymentReminders.js). Each stage is
+    // claimed once in `sent` before its email goes out, so it is never resent.
+    paymentReminders: {
+      paused: { type: Boolean, default: false },
+      pausedAt: { type: Date },
+      pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      pauseReason: { type: String, trim: true },
+      sent: [
+        {
+          _id: false,
+          stage: { type: String, required: true },
+          dueDate: { type: Date },
+          daysOverdue: { type: Number },
+          amount: { type: Number },
+          to: { type: String, trim: true },
+          status: {
+            type: String,
+            enum: ["sending", "sent", "skipped", "failed"],
+            default: "sending",
+          },
+          error: { type: String },
+          sentAt: { type: Date, default: Date.now },
+        },
+      ],
+    },
     billNumber: { type: String, trim: true },
+    documents: [
+      {
+        type: { type: String, enum: ["proforma", "invoice", "challan"], required: true },
+        number: { type: String, trim: true },
+        filePath: { type: String, required: true },
+        generatedAt: { type: Date, default: Date.now },
+        generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        generatedByName: { type: String, trim: true },
+      },
+    ],
     piNumber: { type: String, trim: true },
+    // GST e-invoice registration (utils/eInvoice.js). payload is the JSON the
+    // IRN was issued for.
+    eInvoice: {
+      status: { type: String, enum: ["registered", "cancelled"] },
+      irn: { type: String, trim: true },
+      ackNo: { type: String, trim: true },
+      ackDate: { type: Date },
+      signedQrCode: { type: String },
+      submitter: { type: String, trim: true },
+      payload: { type: mongoose.Schema.Types.Mixed },
+      registeredAt: { type: Date },
+      registeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      registeredByName: { type: String, trim: true },
+      cancelledAt: { type: Date },
+      cancelReason: { type: String, trim: true },
+      cancelRemarks: { type: String, trim: true },
+    },
+    // Last export of the sales voucher to Tally (utils/tally.js). total is
+    // the voucher amount, to spot orders changed after the export.
+    tallyExport: {
+      exportedAt: { type: Date },
+      batch: { type: String, trim: true },
+      total: { type: Number },
+      exportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      exportedByName: { type: String, trim: true },
+    },
     remarksByBilling: { type: String, trim: true },
     verificationRemarks: { type: String, trim: true },
     billStatus: {
@@ -212,16 +337,21 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ soDate: 1 });
 orderSchema.index({ createdBy: 1 });
 orderSchema.index({ assignedTo: 1 }); // Index for team access queries
+orderSchema.index({ paymentTerms: 1, paymentReceived: 1 }); // Payment reminder scan
+orderSchema.index({ "ewayBill.status": 1, "ewayBill.validUntil": 1 }); // E-way bill expiry scan
+orderSchema.index({ "tallyExport.batch": 1 }); // Re-download of a Tally export
 
 orderSchema.pre("save", async function (next) {
   if (this.isNew && !this.orderId) {
     try {
-      const counter = await Counter.findByIdAndUpdate(
-        { _id: "orderId" },
-        { $inc: { sequence: 1 } },
-        { new: true, upsert: true }
-      );
-      this.orderId = `PMTO${counter.sequence}`;
+      // Orders before the number series got PMTO<n> from Counter "orderId"
+      const { number } = await allocateNumber({
+        company: this.company,
+        docType: "order",
+        order: this,
+        actor: { by: this.createdBy },
+      });
+      this.orderId = number;
       next();
     } catch (error) {
       next(error);
@@ -231,16 +361,154 @@ orderSchema.pre("save", async function (next) {
   }
 });
 
+const NOTIFICATION_CATEGORIES = [
+  "approval",
+  "dispatch",
+  "installation",
+  "payment",
+  "general",
+];
+
+// Notifications are addressed to users/roles/teams; the targets are resolved
+// to concrete recipients when created, and each recipient has its own
+// read/dismissed state. Old documents with role "All" and no recipients are
+// still shown to everyone.
 const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
+  category: { type: String, enum: NOTIFICATION_CATEGORIES, default: "general" },
+  targets: {
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    roles: [{ type: String }],
+    // Leader ids: the leader and every member of their team
+    teams: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  },
+  recipients: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  dismissedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+  orderId: { type: String, trim: true },
+  // Legacy fields (global read flag / "All" broadcast)
   isRead: { type: Boolean, default: false },
-  role: { type: String, required: true },
+  role: { type: String },
+  // Who triggered the notification
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 });
 
+notificationSchema.index({ recipients: 1, timestamp: -1 });
+
+// Field-level audit trail for orders (who changed what, and from what)
+const orderHistorySchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  orderId: { type: String, trim: true },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete", "bulk-create"],
+    required: true,
+  },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+      newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+  ],
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  actorName: { type: String, trim: true },
+  actorRole: { type: String, trim: true },
+  timestamp: { type: Date, default: Date.now },
+});
+
+orderHistorySchema.index({ order: 1, timestamp: -1 });
+
+const PAYMENT_METHODS = ["Cash", "NEFT", "RTGS", "Cheque", "UPI"];
+
+// received -> deposited -> cleared | bounced; a bounced cheque becomes
+// replaced once another payment is recorded in its place
+const CHEQUE_STATUSES = ["received", "deposited", "cleared", "bounced", "replaced"];
+
+// One receipt against an order. Voided payments stay for the audit trail but
+// no longer count towards the order totals.
+const paymentSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    orderId: { type: String, trim: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    paymentDate: { type: Date, required: true },
+    method: { type: String, enum: PAYMENT_METHODS, required: true },
+    // UTR / NEFT transaction id / cheque number
+    reference: { type: String, trim: true, default: "" },
+    bank: { type: String, trim: true, default: "" },
+    remarks: { type: String, trim: true, default: "" },
+    // Only active payments count towards the order; bounced cheques are
+    // reversed automatically
+    status: { type: String, enum: ["active", "void", "bounced"], default: "active" },
+    voidedAt: { type: Date, default: null },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    voidReason: { type: String, trim: true },
+    // Where the entry came from: recorded by Accounts, the order form, the
+    // one-off migration of the old string fields, or a bank statement match
+    source: {
+      type: String,
+      enum: ["manual", "order-form", "migration", "reconciliation"],
+      default: "manual",
+    },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    recordedByName: { type: String, trim: true },
+    // Last export of the receipt voucher to Tally (utils/tally.js)
+    tallyExport: {
+      exportedAt: { type: Date },
+      batch: { type: String, trim: true },
+      exportedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+    // Lifecycle of Cheque payments (the cheque number is the reference)
+    cheque: {
+      status: { type: String, enum: CHEQUE_STATUSES },
+      chequeDate: { type: Date },
+      depositedAt: { type: Date },
+      clearedAt: { type: Date },
+      bouncedAt: { type: Date },
+      bounceReason: { type: String, trim: true },
+      bounceCharges: { type: Number, min: 0 },
+      replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+      events: {
+        type: [
+          {
+            _id: false,
+            status: { type: String, enum: CHEQUE_STATUSES },
+            at: { type: Date, default: Date.now },
+            by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            byName: { type: String, trim: true },
+            note: { type: String, trim: true },
+          },
+        ],
+        // Keeps non-cheque payments free of an empty cheque block
+        default: undefined,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ order: 1, paymentDate: 1 });
+paymentSchema.index({ reference: 1 });
+paymentSchema.index({ "cheque.status": 1 });
+paymentSchema.index({ "tallyExport.batch": 1 });
+
 const Order = mongoose.model("Order", orderSchema);
 const Counter = mongoose.model("Counter", counterSchema);
 const Notification = mongoose.model("Notification", notificationSchema);
+const OrderHistory = mongoose.model("OrderHistory", orderHistorySchema);
+const Payment = mongoose.model("Payment", paymentSchema);
 
-module.exports = { Order, Counter, Notification };
+module.exports = {
+  Order,
+  Counter,
+  Notification,
+  OrderHistory,
+  Payment,
+  NOTIFICATION_CATEGORIES,
+  PAYMENT_METHODS,
+  CHEQUE_STATUSES,
+};
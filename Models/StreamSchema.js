@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const EVENT_LOG_MB = Number(process.env.ORDER_EVENT_LOG_MB) || 64;
+const EVENT_LOG_MAX = Number(process.env.ORDER_EVENT_LOG_MAX) || 20000;
+
+// Bounded log of order change events, so reconnecting clients can replay what
+// they missed. Capped: the oldest events are dropped automatically. The _id
+// is the event id sent to clients.
+const orderEventSchema = new mongoose.Schema(
+  {
+    operationType: { type: String, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    fullDocument: { type: mongoose.Schema.Types.Mixed, default: null },
+    fullDocumentBeforeChange: { type: mongoose.Schema.Types.Mixed, default: null },
+    changedFields: [{ type: String }],
+    timestamp: { type: Date, default: Date.now },
+  },
+  {
+    capped: { size: EVENT_LOG_MB * 1024 * 1024, max: EVENT_LOG_MAX },
+    minimize: false,
+  }
+);
+
+// Last processed change-stream resume token, per stream
+const streamStateSchema = new mongoose.Schema({
+  _id: { type: String },
+  resumeToken: { type: mongoose.Schema.Types.Mixed, default: null },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Leader lease: the instance named in holder runs singleton work (the change
+// stream consumer) until expiresAt, renewing well before it runs out
+const leaseSchema = new mongoose.Schema({
+  _id: { type: String },
+  holder: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  renewedAt: { type: Date, default: Date.now },
+});
+
+const OrderEvent = mongoose.model("OrderEvent", orderEventSchema);
+const StreamState = mongoose.model("StreamState", streamStateSchema);
+const Lease = mongoose.model("Lease", leaseSchema);
+
+module.exports = { OrderEvent, StreamState, Lease };
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { SERIES_COMPANIES } = require("./NumberSeriesSchema");
+
+// Per company overrides of the Tally ledger and voucher type names
+// (utils/tally.js). Only what Accounts changed is stored.
+const tallyLedgerMapSchema = new mongoose.Schema(
+  {
+    company: { type: String, enum: SERIES_COMPANIES, required: true, unique: true },
+    // Company name as created in Tally (SVCURRENTCOMPANY)
+    tallyCompany: { type: String, trim: true },
+    salesVoucherType: { type: String, trim: true },
+    receiptVoucherType: { type: String, trim: true },
+    party: { type: String, trim: true },
+    sales: { type: String, trim: true },
+    cgst: { type: String, trim: true },
+    sgst: { type: String, trim: true },
+    igst: { type: String, trim: true },
+    cess: { type: String, trim: true },
+    freight: { type: String, trim: true },
+    installation: { type: String, trim: true },
+    roundOff: { type: String, trim: true },
+    cash: { type: String, trim: true },
+    bank: { type: String, trim: true },
+    // Bank ledger per payment method, e.g. { "UPI": "HDFC Current A/c" }
+    methodLedgers: { type: Map, of: String, default: undefined },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedByName: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+const TallyLedgerMap = mongoose.model("TallyLedgerMap", tallyLedgerMapSchema);
+
+module.exports = { TallyLedgerMap };
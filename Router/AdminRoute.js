@@ -0,0 +1,49 @@
+const {
+  ListUsers,
+  ChangeUserRole,
+  UpdateUserScope,
+  DeactivateUser,
+  ReactivateUser,
+  ChangeUserLeader,
+  TransferUserOrders,
+  InviteUser,
+  ListInvites,
+  RevokeInvite,
+  ForceResetPassword,
+  ResetTwoFactor,
+  GetLockouts,
+  UnlockUser,
+  UnlockIp,
+  GetLoginHistory,
+} = require("../Controller/AdminLogic");
+const {
+  listNumberSeries,
+  updateNumberSeries,
+} = require("../Controller/NumberSeriesLogic");
+const { verifyToken } = require("../utils/config jwt");
+const authorize = require("../Middleware/authorize");
+const express = require("express");
+const router = express.Router();
+
+// Every admin route requires an Admin JWT
+router.use(verifyToken, authorize("users:manage"));
+
+router.route("/users").get(ListUsers);
+router.route("/users/:id/role").patch(ChangeUserRole);
+router.route("/users/:id/scope").patch(UpdateUserScope);
+router.route("/users/:id/deactivate").post(DeactivateUser);
+router.route("/users/:id/reactivate").post(ReactivateUser);
+router.route("/users/:id/leader").post(ChangeUserLeader);
+router.route("/users/:id/transfer-orders").post(TransferUserOrders);
+router.route("/invites").get(ListInvites).post(InviteUser);
+router.route("/invites/:id").delete(RevokeInvite);
+router.route("/users/:id/force-reset").post(ForceResetPassword);
+router.route("/users/:id/reset-2fa").post(ResetTwoFactor);
+router.route("/users/:id/unlock").post(UnlockUser);
+router.route("/lockouts").get(GetLockouts);
+router.route("/lockouts/unlock-ip").post(UnlockIp);
+router.route("/login-history").get(GetLoginHistory);
+router.route("/number-series").get(listNumberSeries);
+router.route("/number-series/:company/:docType").put(updateNumberSeries);
+
+module.exports = router;
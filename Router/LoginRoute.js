@@ -1,10 +1,47 @@
-const { Login, ChangePassword } = require("../Controller/AuthLogic");
+const {
+  Login,
+  ChangePassword,
+  ForgotPassword,
+  ResetPassword,
+  RefreshSession,
+  Logout,
+  LogoutAll,
+  GetLoginHistory,
+} = require("../Controller/AuthLogic");
+const {
+  GetTwoFactorStatus,
+  SetupTwoFactor,
+  EnableTwoFactor,
+  VerifyTwoFactor,
+  DisableTwoFactor,
+  RegenerateRecoveryCodes,
+} = require("../Controller/TwoFactorLogic");
 const { verifyToken } = require("../utils/config jwt");
+const rateLimit = require("../Middleware/rateLimit");
 const express = require("express");
 const router = express.Router();
 
 router.route("/login").post(Login);
 router.route("/change-password").post(verifyToken, ChangePassword);
+router.route("/refresh").post(RefreshSession);
+router
+  .route("/forgot-password")
+  .post(rateLimit({ name: "forgot-password", windowMs: 15 * 60 * 1000, max: 5 }), ForgotPassword);
+router
+  .route("/reset-password")
+  .post(rateLimit({ name: "reset-password", windowMs: 15 * 60 * 1000, max: 10 }), ResetPassword);
+router.route("/logout").post(Logout);
+router.route("/logout-all").post(verifyToken, LogoutAll);
+router.route("/login-history").get(verifyToken, GetLoginHistory);
+router
+  .route("/2fa/verify")
+  .post(rateLimit({ name: "2fa-verify", windowMs: 15 * 60 * 1000, max: 20 }), VerifyTwoFactor);
+// setup/enable accept an access token or a login enrollment challenge
+router.route("/2fa/setup").post(SetupTwoFactor);
+router.route("/2fa/enable").post(EnableTwoFactor);
+router.route("/2fa").get(verifyToken, GetTwoFactorStatus);
+router.route("/2fa/disable").post(verifyToken, DisableTwoFactor);
+router.route("/2fa/recovery-codes").post(verifyToken, RegenerateRecoveryCodes);
 router.get("/verify-token", verifyToken, (req, res) => {
   res.status(200).json({
     success: true,
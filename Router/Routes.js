@@ -1,10 +1,19 @@
 const express = require("express");
 const router = express.Router();
 const Controller = require("../Controller/Logic");
+const AccountsController = require("../Controller/AccountsLogic");
+const ReconciliationController = require("../Controller/ReconciliationLogic");
+const DocumentController = require("../Controller/DocumentLogic");
+const NumberSeriesController = require("../Controller/NumberSeriesLogic");
+const EInvoiceController = require("../Controller/EInvoiceLogic");
+const EwayBillController = require("../Controller/EwayBillLogic");
+const TallyController = require("../Controller/TallyLogic");
 const multer = require("multer");
 const path = require("path");
 const crypto = require("crypto");
 const { verifyToken } = require("../utils/config jwt");
+const authorize = require("../Middleware/authorize");
+const logger = require("../utils/logger");
 
 // Multer setup for file uploads
 const storage = multer.diskStorage({
@@ -30,9 +39,10 @@ const fileFilter = (req, file, cb) => {
     "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
     "application/vnd.ms-excel",
     "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "text/csv",
   ];
 
-  const allowedExtensions = [".pdf", ".png", ".jpg", ".jpeg", ".doc", ".docx", ".xls", ".xlsx"];
+  const allowedExtensions = [".pdf", ".png", ".jpg", ".jpeg", ".doc", ".docx", ".xls", ".xlsx", ".csv"];
   const fileExt = path.extname(file.originalname).toLowerCase();
 
   const isMimeAllowed = allowedMimeTypes.includes(file.mimetype);
@@ -48,7 +58,7 @@ const fileFilter = (req, file, cb) => {
     });
     cb(
       new Error(
-        `Invalid file type (${fileExt}). Only PDF, PNG, JPG, DOCX, XLS, and XLSX are allowed.`
+        `Invalid file type (${fileExt}). Only PDF, PNG, JPG, DOCX, XLS, XLSX and CSV are allowed.`
       ),
       false
     );
@@ -62,57 +72,109 @@ const upload = multer({
   },
 });
 
-router.get("/get-orders", verifyToken, Controller.getAllOrders);
-router.get("/get-orders-paginated", verifyToken, Controller.getOrdersPaginated);
+router.get("/get-orders", verifyToken, authorize("orders:read"), Controller.getAllOrders);
+router.get("/get-orders-paginated", verifyToken, authorize("orders:read"), Controller.getOrdersPaginated);
 router.get(
   "/installation-orders",
   verifyToken,
+  authorize("queue:installation"),
   Controller.getInstallationOrders
 );
-router.get("/accounts-orders", verifyToken, Controller.getAccountsOrders);
+router.get("/accounts-orders", verifyToken, authorize("queue:accounts"), Controller.getAccountsOrders);
 
 router.post(
   "/orders",
   verifyToken,
+  authorize("orders:create"),
   upload.single("poFile"),
   Controller.createOrder
 );
-router.get("/dashboard-counts", verifyToken, Controller.getDashboardCounts);
-router.delete("/delete/:id", verifyToken, Controller.DeleteData);
-router.patch("/edit/:id", verifyToken, upload.fields([{ name: 'installationFile', maxCount: 1 }, { name: 'poFile', maxCount: 1 }]), Controller.editEntry);
-router.get("/export", verifyToken, Controller.exportentry);
-router.post("/bulk-orders", verifyToken, Controller.bulkUploadOrders);
+router.get("/dashboard-counts", verifyToken, authorize("orders:read"), Controller.getDashboardCounts);
+router.delete("/delete/:id", verifyToken, authorize("orders:delete"), Controller.DeleteData);
+router.patch("/edit/:id", verifyToken, authorize("orders:edit"), upload.fields([{ name: 'installationFile', maxCount: 1 }, { name: 'poFile', maxCount: 1 }]), Controller.editEntry);
+router.get("/export", verifyToken, authorize("orders:export"), Controller.exportentry);
+router.post("/bulk-orders", verifyToken, authorize("orders:bulk-upload"), Controller.bulkUploadOrders);
 router.get(
   "/production-orders",
   verifyToken,
-
+  authorize("queue:production"),
   Controller.getProductionOrders
 );
-router.get("/finished-goods", verifyToken, Controller.getFinishedGoodsOrders);
+router.get("/finished-goods", verifyToken, authorize("queue:finished-goods"), Controller.getFinishedGoodsOrders);
 router.get(
   "/get-verification-orders",
   verifyToken,
+  authorize("queue:verification"),
   Controller.getVerificationOrders
 );
 router.get(
   "/production-approval-orders",
   verifyToken,
-
+  authorize("queue:production-approval"),
   Controller.getProductionApprovalOrders
 );
-router.get("/get-bill-orders", verifyToken, Controller.getBillOrders);
-router.get("/notifications", verifyToken, Controller.getNotifications);
-router.post("/assign-user", verifyToken, Controller.assignUser);
-router.post("/unassign-user", verifyToken, Controller.unassignUser);
-router.post("/mark-read", verifyToken, Controller.markNotificationsRead);
-router.delete("/clear", verifyToken, Controller.clearNotifications);
-router.get("/current-user", verifyToken, Controller.getCurrentUser);
+router.get("/get-bill-orders", verifyToken, authorize("queue:bill"), Controller.getBillOrders);
+router.get("/orders/:id/history", verifyToken, authorize("orders:history"), Controller.getOrderHistory);
+router.get("/orders/:id/payments", verifyToken, authorize("payments:read"), AccountsController.getOrderPayments);
+router.post("/orders/:id/payments", verifyToken, authorize("payments:record"), AccountsController.addPayment);
+router.post("/payments/:paymentId/void", verifyToken, authorize("payments:void"), AccountsController.voidOrderPayment);
+router.get("/cheques/pending", verifyToken, authorize("cheques:manage"), AccountsController.getPendingCheques);
+router.post("/cheques/:paymentId/replace", verifyToken, authorize("cheques:manage"), AccountsController.replaceBouncedCheque);
+router.post("/cheques/:paymentId/:action(deposit|clear|bounce)", verifyToken, authorize("cheques:manage"), AccountsController.updateCheque);
+router.post("/orders/:id/documents/:type(proforma)", verifyToken, authorize("documents:proforma"), DocumentController.generateDocument);
+router.post("/orders/:id/documents/:type(invoice)", verifyToken, authorize("documents:invoice"), DocumentController.generateDocument);
+router.post("/orders/:id/documents/:type(challan)", verifyToken, authorize("documents:challan"), DocumentController.generateDocument);
+router.post("/orders/:id/numbers/:docType(proforma)", verifyToken, authorize("documents:proforma"), NumberSeriesController.assignOrderNumber);
+router.post("/orders/:id/numbers/:docType(invoice)", verifyToken, authorize("documents:invoice"), NumberSeriesController.assignOrderNumber);
+router.post("/orders/:id/numbers/:docType(challan)", verifyToken, authorize("documents:challan"), NumberSeriesController.assignOrderNumber);
+router.get("/orders/:id/e-invoice", verifyToken, authorize("einvoice:manage"), EInvoiceController.getEInvoice);
+router.put("/orders/:id/e-invoice", verifyToken, authorize("einvoice:manage"), EInvoiceController.recordEInvoice);
+router.post("/orders/:id/e-invoice/submit", verifyToken, authorize("einvoice:manage"), EInvoiceController.submitEInvoice);
+router.post("/orders/:id/e-invoice/cancel", verifyToken, authorize("einvoice:manage"), EInvoiceController.cancelEInvoice);
+router.get("/orders/:id/eway-bill", verifyToken, authorize("ewaybill:manage"), EwayBillController.getEwayBill);
+router.put("/orders/:id/eway-bill", verifyToken, authorize("ewaybill:manage"), EwayBillController.recordEwayBill);
+router.post("/orders/:id/eway-bill/json", verifyToken, authorize("ewaybill:manage"), EwayBillController.generateEwayBillJson);
+router.post("/orders/:id/eway-bill/cancel", verifyToken, authorize("ewaybill:manage"), EwayBillController.cancelEwayBill);
+router.get("/eway-bills/expiring", verifyToken, authorize("ewaybill:manage"), EwayBillController.getExpiringEwayBills);
+router.get("/number-series/gaps", verifyToken, authorize("numbers:audit"), NumberSeriesController.getNumberGaps);
+router.get("/orders/:id/documents/:type", verifyToken, authorize("orders:read"), DocumentController.downloadDocument);
+router.get("/receivables", verifyToken, authorize("receivables:read"), AccountsController.getReceivables);
+router.get("/receivables/export", verifyToken, authorize("receivables:read"), AccountsController.exportReceivables);
+router.get("/orders/:id/reminders", verifyToken, authorize("payments:read"), AccountsController.getOrderReminders);
+router.post("/orders/:id/reminders/pause", verifyToken, authorize("reminders:manage"), AccountsController.pauseOrderReminders);
+router.post("/orders/:id/reminders/resume", verifyToken, authorize("reminders:manage"), AccountsController.resumeOrderReminders);
+router.post(
+  "/reconciliation/imports",
+  verifyToken,
+  authorize("reconciliation:manage"),
+  upload.single("statement"),
+  ReconciliationController.importStatement
+);
+router.get("/reconciliation/imports", verifyToken, authorize("reconciliation:manage"), ReconciliationController.listImports);
+router.post("/reconciliation/imports/:id/auto-confirm", verifyToken, authorize("reconciliation:manage"), ReconciliationController.autoConfirmImport);
+router.get("/reconciliation/lines", verifyToken, authorize("reconciliation:manage"), ReconciliationController.listLines);
+router.post("/reconciliation/lines/:id/confirm", verifyToken, authorize("reconciliation:manage"), ReconciliationController.confirmStatementLine);
+router.post("/reconciliation/lines/:id/ignore", verifyToken, authorize("reconciliation:manage"), ReconciliationController.ignoreStatementLine);
+router.post("/tally/sales", verifyToken, authorize("tally:export"), TallyController.exportSalesVouchers);
+router.post("/tally/receipts", verifyToken, authorize("tally:export"), TallyController.exportReceiptVouchers);
+router.get("/tally/status", verifyToken, authorize("tally:export"), TallyController.getTallyStatus);
+router.get("/tally/ledgers", verifyToken, authorize("tally:ledgers"), TallyController.listLedgerMaps);
+router.put("/tally/ledgers/:company", verifyToken, authorize("tally:ledgers"), TallyController.updateLedgerMap);
+router.get("/notifications", verifyToken, authorize("notifications:read"), Controller.getNotifications);
+router.post("/assign-user", verifyToken, authorize("team:manage"), Controller.assignUser);
+router.post("/unassign-user", verifyToken, authorize("team:manage"), Controller.unassignUser);
+router.post("/mark-read", verifyToken, authorize("notifications:read"), Controller.markNotificationsRead);
+router.delete("/clear", verifyToken, authorize("notifications:read"), Controller.clearNotifications);
+router.get("/notifications/preferences", verifyToken, authorize("notifications:read"), Controller.getNotificationPreferences);
+router.put("/notifications/preferences", verifyToken, authorize("notifications:read"), Controller.updateNotificationPreferences);
+router.get("/current-user", verifyToken, authorize("profile:read"), Controller.getCurrentUser);
 router.get(
   "/fetch-available-users",
   verifyToken,
+  authorize("team:manage"),
   Controller.fetchAvailableUsers
 );
-router.get("/fetch-my-team", verifyToken, Controller.fetchMyTeam);
-router.post("/send-completion-mail", verifyToken, Controller.sendInstallationCompletionMail);
-router.get("/get-analytics", verifyToken, Controller.getSalesAnalytics);
+router.get("/fetch-my-team", verifyToken, authorize("team:manage"), Controller.fetchMyTeam);
+router.post("/send-completion-mail", verifyToken, authorize("installation:mail"), Controller.sendInstallationCompletionMail);
+router.get("/get-analytics", verifyToken, authorize("orders:analytics"), Controller.getSalesAnalytics);
 module.exports = router;
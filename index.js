@@ -8,10 +8,15 @@ const multer = require("multer");
 const SignupRoute = require("./Router/SignupRoute");
 const LoginRoute = require("./Router/LoginRoute");
 const Routes = require("./Router/Routes");
+const AdminRoute = require("./Router/AdminRoute");
 const dbconnect = require("./utils/dbconnect");
+const { startPaymentReminders } = require("./utils/paymentReminders");
+const { startEwayBillAlerts } = require("./utils/ewayBillAlerts");
 const Controller = require("./Controller/Logic");
 const logger = require("./utils/logger");
 const requestLogger = require("./Middleware/requestLogger");
+const mongoose = require("mongoose");
+const { getStreamHealth } = require("./utils/realtime");
 const app = express();
 const server = http.createServer(app);
 
@@ -25,6 +30,8 @@ const corsOptions = {
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
   credentials: true,
   allowedHeaders: ["Content-Type", "Authorization", "Accept"],
+  // Tally exports report their batch and counts in headers
+  exposedHeaders: ["Content-Disposition", "X-Tally-Batch", "X-Tally-Vouchers", "X-Tally-Skipped"],
 };
 
 app.use(cors(corsOptions));
@@ -36,13 +43,27 @@ app.use(requestLogger);
 // Static uploads
 app.use("/Uploads", express.static(path.join(__dirname, "Uploads")));
 
+// Health check (used by PM2 / uptime monitors)
+app.get("/health", (req, res) => {
+  const changeStream = getStreamHealth();
+  const db = mongoose.connection.readyState === 1;
+  // Instances that are not the elected stream consumer only need the DB
+  const healthy = db && (!changeStream.consumer || changeStream.live);
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? "ok" : "degraded",
+    db,
+    changeStream,
+  });
+});
+
 // Routes
 app.use("/api", Routes);
 app.use("/auth", LoginRoute);
 app.use("/user", SignupRoute);
+app.use("/admin", AdminRoute);
 
-// Socket.IO init
-Controller.initSocket(server, app);
+// Socket.IO init (adapter + change stream leader election)
+const socketReady = Controller.initSocket(server, app);
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -63,10 +84,13 @@ app.use((err, req, res, next) => {
 // Start server
 const PORT = process.env.PORT || 5000;
 dbconnect()
+  .then(() => socketReady)
   .then(() => {
     server.listen(PORT, () => logger.info(`✅ Server running on port ${PORT}`));
+    startPaymentReminders();
+    startEwayBillAlerts(app.get("io"));
   })
   .catch((err) => {
-    console.error("❌ DB connection failed", err);
+    console.error("❌ Startup failed (database or socket adapter)", err);
     process.exit(1);
   }); 
\ No newline at end of file
@@ -0,0 +1,88 @@
+// scripts/migratePayments.js
+// One-off migration of the old free-text payment fields into the Payment
+// ledger. Each order without ledger entries gets one "migration" payment for
+// its paymentCollected value, then its derived fields are recomputed. Orders
+// already marked "Received" get a second one for whatever paymentCollected
+// does not cover, so they stay received.
+// Safe to re-run: orders that already have payments are skipped.
+//
+//   npm run migrate:payments -- --dry-run   report only, write nothing
+//   npm run migrate:payments
+require("dotenv").config({ path: process.env.ENV_FILE || "/www/wwwroot/Sales_Order-Server/.env" });
+const mongoose = require("mongoose");
+const dbconnect = require("../utils/dbconnect");
+const logger = require("../utils/logger");
+const { Order, Payment } = require("../Models/Schema");
+const { parseAmount, legacyReceivedShortfall, importLegacyPayment } = require("../utils/paymentLedger");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await dbconnect();
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error("Could not connect to the database (check DB_URL)");
+  }
+
+  const stats = {
+    scanned: 0,
+    skipped: 0,
+    migrated: 0,
+    withoutPayment: 0,
+    unparseable: 0,
+    receivedBalanceBooked: 0,
+  };
+  const receivedShortfalls = [];
+  const cursor = Order.find({})
+    .select("orderId customername total soDate createdAt paymentCollected paymentMethod paymentDue paymentReceived neftTransactionId chequeId")
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    stats.scanned++;
+    if (await Payment.exists({ order: order._id })) {
+      stats.skipped++;
+      continue;
+    }
+
+    const raw = String(order.paymentCollected || "").trim();
+    const amount = parseAmount(raw);
+    const shortfall = legacyReceivedShortfall(order);
+    if (raw && !(amount > 0)) {
+      stats.unparseable++;
+      logger.warn("Unparseable paymentCollected", {
+        orderId: order.orderId,
+        paymentCollected: raw,
+        receivedBalanceBooked: shortfall,
+      });
+    }
+    if (amount > 0 || shortfall > 0) stats.migrated++;
+    else stats.withoutPayment++;
+    if (shortfall > 0) {
+      stats.receivedBalanceBooked++;
+      receivedShortfalls.push({ order, shortfall });
+    }
+
+    if (dryRun) {
+      if (amount > 0) {
+        console.log(`${order.orderId || order._id}: ${amount} of ${order.total} (due was "${order.paymentDue || ""}")`);
+      }
+      continue;
+    }
+    await importLegacyPayment(order, null, "migration");
+  }
+
+  if (receivedShortfalls.length > 0) {
+    console.log(`Orders marked "Received" whose paymentCollected does not cover the total (balance booked as a migration payment):`);
+    for (const { order, shortfall } of receivedShortfalls) {
+      console.log(`${order.orderId || order._id}: ${shortfall} of ${order.total} (paymentCollected was "${order.paymentCollected || ""}")`);
+    }
+  }
+  console.log(`${dryRun ? "[dry run] " : ""}Payment migration finished`, stats);
+};
+
+run()
+  .catch((error) => {
+    logger.error("Payment migration failed", { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,164 @@
+const { test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { LoginThrottle } = require("../Models/AuthSchema");
+const {
+  POLICIES,
+  accountKey,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../utils/loginGuard");
+
+const policy = POLICIES.account;
+const minutes = (n) => n * 60 * 1000;
+const at = (base, ms) => new Date(base.getTime() + ms);
+
+// Just enough of the aggregation expression language to run the update
+// pipeline built by countFailureUpdate against an in-memory document
+const evaluate = (expr, doc) => {
+  if (typeof expr === "string" && expr.startsWith("$")) return doc[expr.slice(1)];
+  if (!expr || typeof expr !== "object" || expr instanceof Date) return expr;
+  const [op, args] = Object.entries(expr)[0];
+  const values = () => args.map((arg) => evaluate(arg, doc));
+  switch (op) {
+    case "$cond": {
+      const [condition, then, otherwise] = args;
+      return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    case "$ifNull": {
+      const [value, fallback] = values();
+      return value ?? fallback;
+    }
+    case "$and":
+      return values().every(Boolean);
+    case "$or":
+      return values().some(Boolean);
+    case "$ne": {
+      const [a, b] = values();
+      return a !== b;
+    }
+    case "$lte": {
+      const [a, b] = values();
+      return a <= b;
+    }
+    case "$gt": {
+      const [a, b] = values();
+      return a > b;
+    }
+    case "$add":
+      return values().reduce((sum, value) => sum + value, 0);
+    case "$subtract": {
+      const [a, b] = values();
+      return a - b;
+    }
+    default:
+      throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+// LoginThrottle backed by a Map, applying the real update pipeline
+let store;
+let findOneAndUpdate;
+let updateOne;
+
+beforeEach(() => {
+  store = new Map();
+  findOneAndUpdate = mock.method(LoginThrottle, "findOneAndUpdate", ({ key }, pipeline, options) => {
+    assert.ok(Array.isArray(pipeline), "update should be a pipeline");
+    assert.equal(options.upsert, true);
+    let doc = store.get(key) || { key };
+    for (const stage of pipeline) {
+      const set = Object.fromEntries(
+        Object.entries(stage.$set).map(([field, expr]) => [field, evaluate(expr, doc)])
+      );
+      doc = { ...doc, ...set };
+    }
+    store.set(key, doc);
+    return { lean: async () => ({ ...doc }) };
+  });
+  updateOne = mock.method(LoginThrottle, "updateOne", async ({ key }, { $max }) => {
+    const doc = store.get(key);
+    for (const [field, value] of Object.entries($max)) {
+      if (doc[field] == null || value > doc[field]) doc[field] = value;
+    }
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  findOneAndUpdate.mock.restore();
+  updateOne.mock.restore();
+});
+
+const fail = async (now) => (await recordLoginFailure("a@b.c", "1.2.3.4", now))[0];
+
+test("counts failures and locks the account at the limit", async () => {
+  const now = new Date("2025-01-01T10:00:00Z");
+  let entry = null;
+  for (let i = 1; i <= policy.maxFailures; i++) {
+    entry = await fail(now);
+    assert.equal(entry.failures, i);
+  }
+  assert.deepEqual(entry.lockedUntil, at(now, minutes(policy.lockMinutes)));
+  assert.deepEqual(store.get(accountKey("a@b.c")).lockedUntil, entry.lockedUntil);
+  // The IP counter has a higher limit and is not locked yet
+  assert.equal(store.get("ip:1.2.3.4").lockedUntil, null);
+});
+
+test("delays attempts once the free failures are used up", async () => {
+  const now = new Date("2025-01-01T10:00:00Z");
+  for (let i = 1; i <= policy.freeFailures; i++) {
+    assert.equal((await fail(now)).nextAttemptAt, null);
+  }
+  const delayed = await fail(now);
+  assert.deepEqual(delayed.nextAttemptAt, at(now, 1000));
+  assert.deepEqual(store.get(accountKey("a@b.c")).nextAttemptAt, at(now, 1000));
+});
+
+test("an expired lock starts the count again", async () => {
+  const lockedAt = new Date("2025-01-01T10:00:00Z");
+  for (let i = 1; i <= policy.maxFailures; i++) await fail(lockedAt);
+
+  const whileLocked = await fail(at(lockedAt, minutes(1)));
+  assert.equal(whileLocked.failures, policy.maxFailures + 1);
+  assert.ok(whileLocked.lockedUntil > at(lockedAt, minutes(1)));
+
+  const afterLock = await fail(at(lockedAt, minutes(policy.lockMinutes + 2)));
+  assert.equal(afterLock.failures, 1);
+  assert.equal(afterLock.lockedUntil, null);
+  assert.equal(afterLock.nextAttemptAt, null);
+  assert.equal(store.get(accountKey("a@b.c")).lockedUntil, null);
+});
+
+test("failures outside the window no longer count", async () => {
+  const last = new Date("2025-01-01T10:00:00Z");
+  for (let i = 1; i < policy.maxFailures - 1; i++) await fail(last);
+
+  assert.equal((await fail(at(last, minutes(59)))).failures, policy.maxFailures - 1);
+  const later = await fail(at(last, minutes(59 + 61)));
+  assert.equal(later.failures, 1);
+  assert.equal(later.lockedUntil, null);
+});
+
+test("a successful login clears the account counter but not the IP counter", async () => {
+  const deleteOne = mock.method(LoginThrottle, "deleteOne", async () => ({ deletedCount: 1 }));
+  const deleteMany = mock.method(LoginThrottle, "deleteMany", async () => ({ deletedCount: 0 }));
+  try {
+    await recordLoginSuccess("User@Example.com");
+    assert.equal(deleteOne.mock.callCount(), 1);
+    assert.deepEqual(deleteOne.mock.calls[0].arguments[0], { key: accountKey("user@example.com") });
+    assert.equal(deleteMany.mock.callCount(), 0);
+  } finally {
+    deleteOne.mock.restore();
+    deleteMany.mock.restore();
+  }
+});
+
+test("each failed login updates both counters with one atomic update", async () => {
+  const now = new Date("2025-01-01T10:00:00Z");
+  await Promise.all([fail(now), fail(now), fail(now)]);
+  assert.equal(findOneAndUpdate.mock.callCount(), 6);
+  assert.equal(store.get(accountKey("a@b.c")).failures, 3);
+  assert.equal(store.get("ip:1.2.3.4").failures, 3);
+  // Only the account earned a delay, applied with $max
+  assert.ok(updateOne.mock.calls.every((call) => call.arguments[0].key === accountKey("a@b.c")));
+});
@@ -0,0 +1,53 @@
+// utils/amountInWords.js
+// Rupee amounts in words with Indian grouping (crore / lakh / thousand), as
+// printed on invoices: 118000.5 -> "Rupees One Lakh Eighteen Thousand and
+// Fifty Paise Only"
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen",
+  "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+// 0-999
+const belowThousand = (n) => {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    words.push(TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : ""));
+  } else if (n > 0) {
+    words.push(ONES[n]);
+  }
+  return words.join(" ");
+};
+
+const integerInWords = (n) => {
+  if (n === 0) return "Zero";
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  if (lakh) parts.push(`${belowThousand(lakh)} Lakh`);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  if (thousand) parts.push(`${belowThousand(thousand)} Thousand`);
+  n %= 1000;
+  if (n) parts.push(belowThousand(n));
+  return parts.join(" ");
+};
+
+const amountInWords = (amount) => {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+  let words = `Rupees ${integerInWords(rupees)}`;
+  if (paise) words += ` and ${belowThousand(paise)} Paise`;
+  return `${words} Only`;
+};
+
+module.exports = { amountInWords };
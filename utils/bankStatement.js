@@ -0,0 +1,232 @@
+// utils/bankStatement.js
+// Bank statement parsing (CSV/XLSX via xlsx) and order matching for
+// reconciliation. Banks differ in layout, so the header row and the
+// date / narration / reference / credit columns are found by name.
+const crypto = require("crypto");
+const XLSX = require("xlsx");
+const { parseAmount } = require("./paymentLedger");
+const { outstandingOf } = require("./receivables");
+
+const COLUMN_PATTERNS = {
+  date: /^(txn |tran |transaction |value )?date|^date/i,
+  description: /narration|description|particulars|remarks|details/i,
+  reference: /ref|utr|chq|cheque/i,
+  credit: /credit|deposit|cr\.? ?amount|^cr$/i,
+  debit: /debit|withdrawal|dr\.? ?amount|^dr$/i,
+  amount: /^amount|amount \(inr\)|txn amount/i,
+  type: /^(cr\/dr|dr\/cr|type|dr \/ cr|cr \/ dr)$/i,
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Words that say nothing about who paid
+const STOP_WORDS = new Set([
+  "PVT", "PRIVATE", "LTD", "LIMITED", "THE", "AND", "CO", "MS", "M/S", "LLP", "INDIA",
+  "NEFT", "RTGS", "IMPS", "UPI", "INB", "BY", "TRANSFER", "FROM", "TO", "BANK", "CR",
+]);
+
+// Statement dates: Date cells, Excel serials, dd/mm/yyyy, dd-Mon-yyyy, yyyy-mm-dd
+const parseStatementDate = (value) => {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === "number") {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d)) : null;
+  }
+  const text = String(value || "").trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2}|[A-Za-z]{3})[/.-](\d{2,4})/);
+  if (!match) return null;
+  const month = isNaN(match[2])
+    ? MONTHS.indexOf(match[2].toLowerCase())
+    : Number(match[2]) - 1;
+  if (month < 0) return null;
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  return new Date(Date.UTC(year, month, Number(match[1])));
+};
+
+const methodFor = (description) => {
+  if (/RTGS/i.test(description)) return "RTGS";
+  if (/UPI/i.test(description)) return "UPI";
+  if (/\b(CHQ|CHEQUE|CLG|CLEARING)\b/i.test(description)) return "Cheque";
+  return "NEFT";
+};
+
+// UTR / transaction id: the reference column if the bank gives one, else the
+// token after NEFT/RTGS/UPI/IMPS in the narration, else the longest
+// digit-bearing token
+const extractReference = (referenceCell, description) => {
+  // Some banks left-pad the reference column with zeros
+  const cell = String(referenceCell || "").trim().replace(/^0+/, "");
+  if (cell) return cell.toUpperCase();
+
+  const tokens = String(description || "").toUpperCase().split(/[\s/:\-|]+/).filter(Boolean);
+  const prefixed = tokens.findIndex((token) => /^(NEFT|RTGS|UPI|IMPS)$/.test(token));
+  if (prefixed >= 0 && /\d/.test(tokens[prefixed + 1] || "") && tokens[prefixed + 1].length >= 8) {
+    return tokens[prefixed + 1];
+  }
+  const candidates = tokens.filter(
+    (token) => /^[A-Z0-9]{10,22}$/.test(token) && (token.match(/\d/g) || []).length >= 4,
+  );
+  return candidates.sort((a, b) => b.length - a.length)[0] || "";
+};
+
+const findHeader = (rows) => {
+  for (let index = 0; index < Math.min(rows.length, 40); index++) {
+    const cells = rows[index].map((cell) => String(cell ?? "").trim());
+    const find = (pattern) => cells.findIndex((cell) => cell && pattern.test(cell));
+    const columns = Object.fromEntries(
+      Object.entries(COLUMN_PATTERNS).map(([name, pattern]) => [name, find(pattern)]),
+    );
+    if (columns.date >= 0 && (columns.credit >= 0 || columns.amount >= 0)) {
+      return { index, columns };
+    }
+  }
+  return null;
+};
+
+// Identifies a bank entry across uploads. Identical lines in one file (two
+// equal cash deposits on the same day, say) are told apart by their
+// occurrence: the first keeps the plain fingerprint, the next get "#1", "#2",
+// ... so only a re-upload of the same line is a duplicate.
+const fingerprintOf = (line, occurrence = 0) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      [line.date?.toISOString().slice(0, 10), line.amount, line.reference, line.description].join("|") +
+        (occurrence > 0 ? `#${occurrence}` : ""),
+    )
+    .digest("hex");
+
+// Workbook buffer -> { lines, rowCount } with one entry per credit line, or
+// { error } if no usable header row is found
+const parseStatement = (buffer) => {
+  // raw: keep CSV cells as text so dd/mm/yy is not read as a US date
+  const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true, raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: "" });
+  const header = findHeader(rows);
+  if (!header) {
+    return { error: "Could not find the header row (need a Date column and a Credit/Deposit or Amount column)" };
+  }
+
+  const { columns } = header;
+  const cell = (row, name) => (columns[name] >= 0 ? row[columns[name]] : "");
+  const lines = [];
+  const occurrences = new Map();
+  let rowCount = 0;
+
+  rows.slice(header.index + 1).forEach((row, offset) => {
+    const date = parseStatementDate(cell(row, "date"));
+    if (!date) return; // totals, opening balance, blank lines
+    rowCount++;
+
+    let amount;
+    if (columns.credit >= 0) {
+      amount = parseAmount(cell(row, "credit"));
+    } else if (columns.type >= 0) {
+      amount = /^c/i.test(String(cell(row, "type")).trim()) ? parseAmount(cell(row, "amount")) : 0;
+    } else {
+      amount = parseAmount(cell(row, "amount"));
+    }
+    if (!(amount > 0)) return;
+
+    const description = String(cell(row, "description") || "").replace(/\s+/g, " ").trim();
+    const line = {
+      lineNo: header.index + offset + 2,
+      date,
+      description,
+      reference: extractReference(cell(row, "reference"), description),
+      method: methodFor(description),
+      amount: Math.round(amount * 100) / 100,
+    };
+    const plain = fingerprintOf(line);
+    const occurrence = occurrences.get(plain) || 0;
+    occurrences.set(plain, occurrence + 1);
+    line.fingerprint = fingerprintOf(line, occurrence);
+    lines.push(line);
+  });
+
+  return { lines, rowCount };
+};
+
+const nameTokens = (value) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, " ")
+    .split(/\s+/)
+    .filter((token) => token.length >= 3 && !STOP_WORDS.has(token));
+
+// 0-100 confidence that a statement line pays an order, with the reasons
+const scoreMatch = (line, order) => {
+  const balance = outstandingOf(order);
+  // The ledger would refuse it anyway
+  if (!(balance > 0) || line.amount > balance + 1) return null;
+
+  let score = 0;
+  const reasons = [];
+  const narration = line.description.toUpperCase();
+
+  const knownRefs = [order.neftTransactionId, order.chequeId]
+    .flatMap((value) => String(value || "").toUpperCase().split(/[\s,]+/))
+    .filter((value) => value.length >= 6);
+  if (
+    knownRefs.some(
+      (ref) => (line.reference && ref === line.reference) || narration.includes(ref),
+    )
+  ) {
+    score += 60;
+    reasons.push("reference matches");
+  }
+  if (order.orderId && narration.includes(String(order.orderId).toUpperCase())) {
+    score += 40;
+    reasons.push("order ID in narration");
+  }
+
+  if (Math.abs(line.amount - balance) <= 1) {
+    score += 30;
+    reasons.push("amount equals balance due");
+  } else if (Math.abs(line.amount - Number(order.total || 0)) <= 1) {
+    score += 15;
+    reasons.push("amount equals order total");
+  } else {
+    score += 5;
+    reasons.push("partial amount");
+  }
+
+  const wanted = [...new Set([...nameTokens(order.customername), ...nameTokens(order.name)])];
+  if (wanted.length > 0) {
+    const seen = new Set(nameTokens(line.description));
+    const found = wanted.filter((token) => seen.has(token)).length;
+    if (found > 0) {
+      score += Math.round((25 * found) / wanted.length);
+      reasons.push("customer name in narration");
+    }
+  }
+
+  return { score: Math.min(score, 100), reasons, balanceDue: balance };
+};
+
+// Best candidates for a line, highest score first
+const proposeMatches = (line, orders, { limit = 3, minScore = 30 } = {}) =>
+  orders
+    .map((order) => ({ order, result: scoreMatch(line, order) }))
+    .filter(({ result }) => result && result.score >= minScore)
+    .sort((a, b) => b.result.score - a.result.score)
+    .slice(0, limit)
+    .map(({ order, result }) => ({
+      order: order._id,
+      orderId: order.orderId,
+      customername: order.customername,
+      balanceDue: result.balanceDue,
+      score: result.score,
+      reasons: result.reasons,
+    }));
+
+module.exports = {
+  parseStatementDate,
+  extractReference,
+  parseStatement,
+  scoreMatch,
+  proposeMatches,
+};
@@ -0,0 +1,121 @@
+// utils/cheques.js
+// Cheque lifecycle on top of the payment ledger. A cheque payment counts
+// towards the order as soon as it is received, but the order only becomes
+// "Received" once it clears. A bounce reverses the payment.
+const { Payment } = require("../Models/Schema");
+const { recalcOrderPayments, recordPayment } = require("./paymentLedger");
+const logger = require("./logger");
+
+// action -> states it may start from, resulting state, date field stamped
+const CHEQUE_ACTIONS = {
+  deposit: { from: ["received"], to: "deposited", dateField: "depositedAt" },
+  clear: { from: ["received", "deposited"], to: "cleared", dateField: "clearedAt" },
+  bounce: { from: ["received", "deposited", "cleared"], to: "bounced", dateField: "bouncedAt" },
+};
+
+const actorOf = (req) => ({
+  by: req?.user?.id || null,
+  byName: req?.user?.username || req?.user?.email || "System",
+});
+
+// Move a cheque along its lifecycle. Bouncing also takes the payment off the
+// order. Returns { ok, payment, summary } or { ok: false, status, error }.
+const transitionCheque = async (paymentId, action, { date, reason, charges, note } = {}, req) => {
+  const rule = CHEQUE_ACTIONS[action];
+  if (!rule) {
+    return { ok: false, status: 400, error: `Unknown action. Use: ${Object.keys(CHEQUE_ACTIONS).join(", ")}` };
+  }
+  const at = date ? new Date(date) : new Date();
+  if (isNaN(at.getTime())) return { ok: false, status: 400, error: "Invalid date" };
+  if (action === "bounce" && !String(reason || "").trim()) {
+    return { ok: false, status: 400, error: "A bounce reason is required" };
+  }
+
+  const set = { "cheque.status": rule.to, [`cheque.${rule.dateField}`]: at };
+  if (action === "bounce") {
+    set.status = "bounced";
+    set["cheque.bounceReason"] = String(reason).trim();
+    if (Number(charges) > 0) set["cheque.bounceCharges"] = Number(charges);
+  }
+
+  // The status condition makes each transition happen exactly once
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, method: "Cheque", status: "active", "cheque.status": { $in: rule.from } },
+    {
+      $set: set,
+      $push: {
+        "cheque.events": { status: rule.to, at: new Date(), ...actorOf(req), note: note || reason },
+      },
+    },
+    { new: true },
+  );
+  if (!payment) {
+    const existing = await Payment.findOne({ _id: paymentId, method: "Cheque" }).lean();
+    if (!existing) return { ok: false, status: 404, error: "Cheque payment not found" };
+    return {
+      ok: false,
+      status: 409,
+      error: `Cannot ${action} a cheque that is ${existing.status === "void" ? "void" : existing.cheque?.status}`,
+    };
+  }
+
+  const summary = await recalcOrderPayments(payment.order, req);
+  logger.info("Cheque status changed", {
+    orderId: payment.orderId,
+    paymentId: String(payment._id),
+    cheque: payment.reference,
+    status: rule.to,
+    userId: req?.user?.id,
+  });
+  return { ok: true, payment, summary };
+};
+
+// Record the payment that replaces a bounced cheque (a new cheque, NEFT, ...)
+// and link the two. The bounced cheque is claimed first so it can only be
+// replaced once.
+const replaceCheque = async (paymentId, order, input, req) => {
+  const bounced = await Payment.findOneAndUpdate(
+    { _id: paymentId, method: "Cheque", "cheque.status": "bounced", order: order._id },
+    { $set: { "cheque.status": "replaced" } },
+    { new: true },
+  );
+  if (!bounced) {
+    return { ok: false, status: 409, error: "Only a bounced cheque of this order can be replaced" };
+  }
+
+  const undo = () =>
+    Payment.updateOne({ _id: bounced._id }, { $set: { "cheque.status": "bounced" } });
+  let result;
+  try {
+    result = await recordPayment(order, input, req);
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+  if (!result.ok) {
+    await undo();
+    return result;
+  }
+
+  await Payment.updateOne(
+    { _id: bounced._id },
+    {
+      $set: { "cheque.replacedBy": result.payment._id },
+      $push: {
+        "cheque.events": {
+          status: "replaced",
+          at: new Date(),
+          ...actorOf(req),
+          note: `Replaced by ${result.payment.method} ${result.payment.reference || ""}`.trim(),
+        },
+      },
+    },
+  );
+  return { ...result, replaced: bounced };
+};
+
+module.exports = {
+  CHEQUE_ACTIONS,
+  transitionCheque,
+  replaceCheque,
+};
@@ -0,0 +1,87 @@
+// utils/companyProfiles.js
+// Letterhead, GSTIN and bank details per selling company (Order.company),
+// used on generated documents. The defaults carry names only; the real
+// addresses, GSTINs and bank accounts come from a JSON file:
+//   COMPANY_PROFILES_PATH=/www/wwwroot/Sales_Order-Server/companyProfiles.json
+//   { "Promark": { "gstin": "...", "addressLines": [...], "city": "...",
+//                  "pinCode": "...", "bank": { ... } }, ... }
+// A logo at Uploads/letterheads/<Company>.png is used when present.
+//
+// Warehouse addresses (the consignor on e-way bills) are read from the same
+// file, keyed by dispatch location:
+//   { "dispatchLocations": { "Patna": { "addressLines": [...], "city": "Patna", "pinCode": "800013" } } }
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { LOCATION_STATE_CODES } = require("./gst");
+
+const DEFAULT_PROFILES = {
+  Promark: { legalName: "Promark Tech Solutions Pvt. Ltd.", color: "#1e3a8a" },
+  Foxmate: { legalName: "Foxmate", color: "#c2410c" },
+  Promine: { legalName: "Promine", color: "#047857" },
+  Primus: { legalName: "Primus", color: "#6d28d9" },
+};
+
+const EMPTY_PROFILE = {
+  addressLines: [],
+  city: "",
+  pinCode: "",
+  gstin: "",
+  pan: "",
+  stateCode: "",
+  phone: "",
+  email: "",
+  website: "",
+  bank: { name: "", accountName: "", accountNumber: "", ifsc: "", branch: "" },
+  terms: [],
+};
+
+const LETTERHEAD_DIR = path.join(__dirname, "../Uploads/letterheads");
+
+let cached = null;
+let overrides = null;
+
+const loadOverrides = () => {
+  const file = process.env.COMPANY_PROFILES_PATH;
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    logger.error("Could not read company profiles", { file, error: error.message });
+    return {};
+  }
+};
+
+const getCompanyProfile = (company) => {
+  if (!cached) {
+    overrides = overrides || loadOverrides();
+    cached = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_PROFILES)) {
+      const override = overrides[name] || {};
+      cached[name] = {
+        ...EMPTY_PROFILE,
+        ...defaults,
+        ...override,
+        bank: { ...EMPTY_PROFILE.bank, ...override.bank },
+        name,
+      };
+    }
+  }
+  const profile = cached[company] || cached.Promark;
+  const logo = path.join(LETTERHEAD_DIR, `${profile.name}.png`);
+  return { ...profile, logoPath: fs.existsSync(logo) ? logo : null };
+};
+
+const getDispatchLocation = (location) => {
+  overrides = overrides || loadOverrides();
+  const config = overrides.dispatchLocations?.[location] || {};
+  return {
+    name: location,
+    addressLines: config.addressLines || [],
+    city: config.city || location || "",
+    pinCode: config.pinCode || "",
+    stateCode: config.stateCode || LOCATION_STATE_CODES[location] || "",
+  };
+};
+
+module.exports = { getCompanyProfile, getDispatchLocation };
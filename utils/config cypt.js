@@ -1,3 +1,9 @@
 require("dotenv").config();
-const secretkey = "My_SO";
+
+// JWT signing secret, provided through the environment (.env / PM2 config)
+const secretkey = process.env.JWT_SECRET;
+if (!secretkey) {
+  throw new Error("JWT_SECRET is not set. Add it to the server .env file.");
+}
+
 module.exports = secretkey;
@@ -1,16 +1,53 @@
 const jwt = require("jsonwebtoken");
 const secretKey = require("../utils/config cypt");
+const User = require("../Models/Model");
+const logger = require("./logger");
+
+// Short-lived access tokens; sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES || "15m";
+
 function generateToken(user) {
   const payload = {
     id: user._id,
     username: user.username,
     email: user.email,
     role: user.role,
+    tv: user.tokenVersion || 0,
   };
-  return jwt.sign(payload, secretKey, { expiresIn: "30d" });
+  return jwt.sign(payload, secretKey, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
-const verifyToken = (req, res, next) => {
+// Verify an access token and make sure it has not been revoked since it was
+// issued. Resolves to the decoded payload; rejects with an Error otherwise.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, secretKey);
+  // 2FA challenge tokens are signed with the same key but are not sessions
+  if (decoded.purpose) {
+    const error = new Error("Not an access token");
+    error.name = "JsonWebTokenError";
+    throw error;
+  }
+  const user = await User.findById(decoded.id).select("tokenVersion isActive");
+  if (
+    !user ||
+    user.isActive === false ||
+    (user.tokenVersion || 0) !== (decoded.tv || 0)
+  ) {
+    const error = new Error("Session has been revoked");
+    error.name = "TokenRevokedError";
+    throw error;
+  }
+  return decoded;
+};
+
+const AUTH_ERRORS = [
+  "JsonWebTokenError",
+  "TokenExpiredError",
+  "NotBeforeError",
+  "TokenRevokedError",
+];
+
+const verifyToken = async (req, res, next) => {
   const token = req.header("Authorization")?.split(" ")[1];
   if (!token) {
     return res
@@ -18,12 +55,15 @@ const verifyToken = (req, res, next) => {
       .json({ message: "No token provided, access denied." });
   }
   try {
-    const decoded = jwt.verify(token, secretKey);
-    req.user = decoded;
-    next();
+    req.user = await authenticateToken(token);
   } catch (error) {
+    if (!AUTH_ERRORS.includes(error.name)) {
+      logger.error("Token verification failed", { error: error.message });
+      return res.status(500).json({ message: "Could not verify token." });
+    }
     return res.status(401).json({ message: "Invalid or expired token." });
   }
+  next();
 };
 
-module.exports = { generateToken, verifyToken };
+module.exports = { generateToken, authenticateToken, verifyToken, ACCESS_TOKEN_TTL };
@@ -0,0 +1,329 @@
+// utils/documents.js
+// Proforma Invoice, Tax Invoice and Delivery Challan PDFs, rendered locally
+// with pdfkit on the selling company's letterhead (utils/companyProfiles.js).
+const PDFDocument = require("pdfkit");
+const { getCompanyProfile } = require("./companyProfiles");
+const { amountInWords } = require("./amountInWords");
+const { STATE_CODES, computeOrderTax, taxByRate } = require("./gst");
+
+const DOCUMENT_TYPES = {
+  proforma: {
+    title: "PROFORMA INVOICE",
+    numberField: "piNumber",
+    numberLabel: "PI No.",
+    dateField: null,
+    prices: true,
+  },
+  invoice: {
+    title: "TAX INVOICE",
+    numberField: "invoiceNo",
+    numberLabel: "Invoice No.",
+    dateField: "invoiceDate",
+    prices: true,
+  },
+  challan: {
+    title: "DELIVERY CHALLAN",
+    numberField: "challanNo",
+    numberLabel: "Challan No.",
+    dateField: "dispatchDate",
+    prices: false,
+  },
+};
+
+const PAGE_BOTTOM = 842 - 40;
+const LEFT = 40;
+const WIDTH = 515;
+
+// Standard PDF fonts have no rupee glyph, hence "Rs."
+const money = (value) =>
+  Number(value || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" }) : "";
+const stateLabel = (code) => (code ? `${STATE_CODES[code] || ""} (${code})` : "");
+
+const documentNumber = (order, type) => order[type.numberField];
+
+// Stored breakup when the order has one, otherwise computed on the fly for
+// orders created before the GST engine
+const taxFor = (order) =>
+  order.taxSummary?.supplyType
+    ? { products: order.products, taxSummary: order.taxSummary, total: order.total }
+    : computeOrderTax(order);
+
+const drawLetterhead = (doc, profile, type) => {
+  let textLeft = LEFT;
+  if (profile.logoPath) {
+    doc.image(profile.logoPath, LEFT, 36, { fit: [70, 50] });
+    textLeft = LEFT + 80;
+  }
+  doc.fillColor(profile.color).font("Helvetica-Bold").fontSize(15)
+    .text(profile.legalName, textLeft, 38, { width: 300 });
+  doc.fillColor("#333").font("Helvetica").fontSize(8);
+  for (const line of profile.addressLines) doc.text(line, { width: 300 });
+  const ids = [profile.gstin && `GSTIN: ${profile.gstin}`, profile.pan && `PAN: ${profile.pan}`]
+    .filter(Boolean)
+    .join("   ");
+  if (ids) doc.text(ids, { width: 300 });
+  const contact = [profile.phone, profile.email, profile.website].filter(Boolean).join(" | ");
+  if (contact) doc.text(contact, { width: 300 });
+
+  doc.fillColor(profile.color).font("Helvetica-Bold").fontSize(13)
+    .text(type.title, LEFT + 330, 40, { width: 185, align: "right" });
+  if (type === DOCUMENT_TYPES.invoice) {
+    doc.fillColor("#666").font("Helvetica").fontSize(7)
+      .text("Original for Recipient", LEFT + 330, 58, { width: 185, align: "right" });
+  }
+
+  const bottom = Math.max(doc.y, 95) + 6;
+  doc.moveTo(LEFT, bottom).lineTo(LEFT + WIDTH, bottom).lineWidth(1).strokeColor(profile.color).stroke();
+  return bottom + 8;
+};
+
+const drawMeta = (doc, order, type, taxSummary, y) => {
+  const left = [
+    [type.numberLabel, documentNumber(order, type)],
+    ["Date", formatDate((type.dateField && order[type.dateField]) || new Date())],
+    ["Order ID", order.orderId || ""],
+    ["SO Date", formatDate(order.soDate)],
+  ];
+  const right = [
+    ["Place of Supply", stateLabel(taxSummary.placeOfSupply)],
+    ["Dispatch From", order.dispatchFrom || ""],
+    ["GEM Order No.", order.gemOrderNumber || ""],
+    ["Payment Terms", [order.paymentTerms, order.creditDays && `${order.creditDays} days`].filter(Boolean).join(", ")],
+  ];
+  if (type === DOCUMENT_TYPES.challan) {
+    right.splice(2, 2, ["Transporter", order.transporter || ""], ["Docket No.", order.docketNo || ""]);
+  }
+
+  doc.fontSize(8).fillColor("#000");
+  const rows = (pairs, x) =>
+    pairs.forEach(([label, value], index) => {
+      if (!value) return;
+      doc.font("Helvetica-Bold").text(`${label}:`, x, y + index * 12, { width: 80 });
+      doc.font("Helvetica").text(String(value), x + 82, y + index * 12, { width: 170 });
+    });
+  rows(left, LEFT);
+  rows(right, LEFT + 265);
+  return y + 4 * 12 + 8;
+};
+
+const drawParties = (doc, order, y) => {
+  const billing = [
+    order.customername,
+    order.billingAddress,
+    [order.city, order.state, order.pinCode].filter(Boolean).join(", "),
+    order.gstno && `GSTIN: ${order.gstno}`,
+    [order.name, order.contactNo].filter(Boolean).join(" - "),
+  ].filter(Boolean);
+  const shipping = [
+    order.customername,
+    order.shippingAddress || order.billingAddress,
+    [order.city, order.state, order.pinCode].filter(Boolean).join(", "),
+    [order.name, order.contactNo, order.alterno].filter(Boolean).join(" - "),
+  ].filter(Boolean);
+
+  const box = (title, lines, x) => {
+    doc.rect(x, y, 255, 78).lineWidth(0.5).strokeColor("#999").stroke();
+    doc.font("Helvetica-Bold").fontSize(8).fillColor("#000").text(title, x + 6, y + 5);
+    doc.font("Helvetica").fontSize(8).text(lines.join("\n"), x + 6, y + 17, { width: 243, height: 58 });
+  };
+  box("Bill To", billing, LEFT);
+  box("Ship To", shipping, LEFT + 260);
+  return y + 86;
+};
+
+// columns: [{ header, width, align, value(product, index) }]
+const drawTable = (doc, columns, rows, y, onNewPage) => {
+  const header = (top) => {
+    doc.rect(LEFT, top, WIDTH, 16).fillColor("#eef2f7").fill();
+    doc.fillColor("#000").font("Helvetica-Bold").fontSize(7.5);
+    let x = LEFT;
+    for (const column of columns) {
+      doc.text(column.header, x + 3, top + 5, { width: column.width - 6, align: column.align || "left" });
+      x += column.width;
+    }
+    return top + 16;
+  };
+
+  y = header(y);
+  doc.font("Helvetica").fontSize(7.5);
+  rows.forEach((row, index) => {
+    const cells = columns.map((column) => String(column.value(row, index) ?? ""));
+    const height =
+      Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 6 }))) + 6;
+    if (y + height > PAGE_BOTTOM - 40) {
+      doc.addPage();
+      y = header(onNewPage());
+      doc.font("Helvetica").fontSize(7.5);
+    }
+    let x = LEFT;
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + 3, y + 3, { width: columns[i].width - 6, align: columns[i].align || "left" });
+      x += columns[i].width;
+    });
+    y += height;
+    doc.moveTo(LEFT, y).lineTo(LEFT + WIDTH, y).lineWidth(0.3).strokeColor("#ccc").stroke();
+  });
+  return y + 6;
+};
+
+const describe = (product) =>
+  [
+    product.productType,
+    [product.brand, product.size !== "N/A" && product.size, product.spec !== "N/A" && product.spec]
+      .filter(Boolean)
+      .join(" / "),
+    product.modelNos?.length ? `Model: ${product.modelNos.join(", ")}` : "",
+    product.warranty ? `Warranty: ${product.warranty}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+const rateOf = (product) => Number(product.gst === "including" ? product.inclusiveRate ?? "18" : product.gst) || 0;
+
+const ensureSpace = (doc, y, needed) => {
+  if (y + needed <= PAGE_BOTTOM) return y;
+  doc.addPage();
+  return 50;
+};
+
+const drawTotals = (doc, taxSummary, total, products, y) => {
+  y = ensureSpace(doc, y, 150);
+  const inter = taxSummary.supplyType === "inter";
+
+  // Per-rate breakup on the left
+  const breakup = taxByRate(products);
+  doc.font("Helvetica-Bold").fontSize(7.5).fillColor("#000");
+  const heads = inter ? ["Rate", "Taxable", "IGST", "Cess"] : ["Rate", "Taxable", "CGST", "SGST", "Cess"];
+  const width = 280 / heads.length;
+  heads.forEach((head, i) => doc.text(head, LEFT + i * width, y, { width, align: i ? "right" : "left" }));
+  let rowY = y + 12;
+  doc.font("Helvetica");
+  for (const row of breakup) {
+    const values = inter
+      ? [`${row.rate}%`, money(row.taxableValue), money(row.igst), money(row.cess)]
+      : [`${row.rate}%`, money(row.taxableValue), money(row.cgst), money(row.sgst), money(row.cess)];
+    values.forEach((value, i) => doc.text(value, LEFT + i * width, rowY, { width, align: i ? "right" : "left" }));
+    rowY += 11;
+  }
+
+  // Totals on the right
+  const lines = [
+    ["Taxable Value", taxSummary.taxableValue],
+    ...(inter ? [["IGST", taxSummary.igst]] : [["CGST", taxSummary.cgst], ["SGST", taxSummary.sgst]]),
+    ...(taxSummary.cess ? [["Cess", taxSummary.cess]] : []),
+    ...(taxSummary.otherCharges ? [["Freight / Installation", taxSummary.otherCharges]] : []),
+    ...(taxSummary.roundOff ? [["Round Off", taxSummary.roundOff]] : []),
+  ];
+  let totalY = y;
+  for (const [label, value] of lines) {
+    doc.font("Helvetica").fontSize(8).text(label, LEFT + 310, totalY, { width: 110 });
+    doc.text(money(value), LEFT + 420, totalY, { width: 95, align: "right" });
+    totalY += 12;
+  }
+  doc.moveTo(LEFT + 310, totalY).lineTo(LEFT + WIDTH, totalY).lineWidth(0.5).strokeColor("#999").stroke();
+  doc.font("Helvetica-Bold").fontSize(9).text("Grand Total (Rs.)", LEFT + 310, totalY + 4, { width: 110 });
+  doc.text(money(total), LEFT + 420, totalY + 4, { width: 95, align: "right" });
+
+  y = Math.max(rowY, totalY + 18) + 8;
+  doc.font("Helvetica-Bold").fontSize(8).text("Amount in words: ", LEFT, y, { continued: true })
+    .font("Helvetica").text(amountInWords(total), { width: WIDTH });
+  return doc.y + 10;
+};
+
+const drawFooter = (doc, profile, type, y) => {
+  y = ensureSpace(doc, y, 110);
+  const bank = profile.bank;
+  if (type.prices && bank.accountNumber) {
+    doc.font("Helvetica-Bold").fontSize(8).fillColor("#000").text("Bank Details", LEFT, y);
+    doc.font("Helvetica").fontSize(8).text(
+      [
+        bank.accountName && `A/c Name: ${bank.accountName}`,
+        `Bank: ${bank.name}${bank.branch ? `, ${bank.branch}` : ""}`,
+        `A/c No.: ${bank.accountNumber}`,
+        `IFSC: ${bank.ifsc}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      LEFT,
+      y + 11,
+      { width: 250 },
+    );
+  }
+  if (profile.terms.length > 0 && type.prices) {
+    doc.font("Helvetica-Bold").fontSize(7.5).text("Terms & Conditions", LEFT, doc.y + 6);
+    doc.font("Helvetica").fontSize(7).text(
+      profile.terms.map((term, i) => `${i + 1}. ${term}`).join("\n"),
+      { width: 270 },
+    );
+  }
+
+  doc.font("Helvetica-Bold").fontSize(8)
+    .text(`For ${profile.legalName}`, LEFT + 315, y, { width: 200, align: "right" });
+  doc.font("Helvetica").text("Authorised Signatory", LEFT + 315, y + 50, { width: 200, align: "right" });
+  if (type === DOCUMENT_TYPES.challan) {
+    doc.text("Receiver's Signature & Stamp", LEFT, y + 50, { width: 200 });
+  }
+  doc.fontSize(6.5).fillColor("#888")
+    .text("This is a computer generated document.", LEFT, PAGE_BOTTOM - 10, { width: WIDTH, align: "center" });
+};
+
+// Render a document for an order (a plain object or lean document).
+// Resolves to the PDF as a Buffer.
+const renderDocument = (order, typeKey) =>
+  new Promise((resolve, reject) => {
+    const type = DOCUMENT_TYPES[typeKey];
+    const profile = getCompanyProfile(order.company);
+    const { products, taxSummary, total } = taxFor(order);
+
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 40,
+      info: { Title: `${type.title} ${documentNumber(order, type)}`, Author: profile.legalName },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    let y = drawLetterhead(doc, profile, type);
+    y = drawMeta(doc, order, type, taxSummary, y);
+    y = drawParties(doc, order, y);
+
+    const columns = type.prices
+      ? [
+          { header: "#", width: 20, value: (p, i) => i + 1 },
+          { header: "Description", width: 150, value: describe },
+          { header: "HSN/SAC", width: 45, value: (p) => p.hsn || "" },
+          { header: "Qty", width: 30, align: "right", value: (p) => p.qty },
+          { header: "Rate", width: 55, align: "right", value: (p) => money(p.taxableValue / (p.qty || 1)) },
+          { header: "Taxable", width: 60, align: "right", value: (p) => money(p.taxableValue) },
+          { header: "GST %", width: 30, align: "right", value: (p) => rateOf(p) + (p.cess ? `+${p.cess}` : "") },
+          {
+            header: "Tax",
+            width: 55,
+            align: "right",
+            value: (p) => money((p.cgst || 0) + (p.sgst || 0) + (p.igst || 0) + (p.cessAmount || 0)),
+          },
+          { header: "Amount", width: 70, align: "right", value: (p) => money(p.lineTotal) },
+        ]
+      : [
+          { header: "#", width: 25, value: (p, i) => i + 1 },
+          { header: "Description", width: 220, value: describe },
+          { header: "HSN/SAC", width: 60, value: (p) => p.hsn || "" },
+          { header: "Qty", width: 40, align: "right", value: (p) => p.qty },
+          { header: "Serial Nos.", width: 170, value: (p) => (p.serialNos || []).join(", ") },
+        ];
+    y = drawTable(doc, columns, products, y, () => 50);
+
+    if (type.prices) y = drawTotals(doc, taxSummary, total, products, y);
+    drawFooter(doc, profile, type, y + 6);
+    doc.end();
+  });
+
+module.exports = {
+  DOCUMENT_TYPES,
+  documentNumber,
+  renderDocument,
+};
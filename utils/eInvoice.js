@@ -0,0 +1,498 @@
+// utils/eInvoice.js
+// GST e-invoice (NIC schema v1.1) payloads for orders: build the JSON from
+// the order and its GST breakup, validate it locally with field-level
+// errors, and hand it to a pluggable submitter.
+//
+// There is no live IRP connection. Real registrations are done on the portal
+// and the IRN / ack / signed QR entered back, or through a submitter added
+// with registerSubmitter(). For testing, the "stub" submitter produces an IRN
+// the way the IRP does (SHA-256 of seller GSTIN, fiscal year, document type
+// and number) with placeholder acknowledgement details. It has to be chosen
+// explicitly and is refused when NODE_ENV=production.
+//   EINVOICE_SUBMITTER=<registered name> | stub   (unset: submitting is off)
+const crypto = require("crypto");
+const { getCompanyProfile } = require("./companyProfiles");
+const { computeOrderTax, stateCodeFromGstin } = require("./gst");
+const { fiscalYearOf } = require("./numberSeries");
+
+const SCHEMA_VERSION = "1.1";
+const SUPPLY_TYPES = ["B2B", "SEZWP", "SEZWOP", "EXPWP", "EXPWOP", "DEXP"];
+const DOC_TYPES = ["INV", "CRN", "DBN"];
+const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+// Reason codes accepted by the IRP when cancelling an IRN
+const CANCEL_REASONS = { 1: "Duplicate", 2: "Data entry mistake", 3: "Order cancelled", 4: "Others" };
+// The IRP only allows cancelling within 24 hours of registration
+const CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const GSTIN = /^[0-9]{2}[0-9A-Z]{13}$/;
+const DOC_NO = /^[A-Z1-9][A-Z0-9/-]{0,15}$/;
+const DOC_DATE = /^[0-3][0-9]\/[0-1][0-9]\/20[0-9]{2}$/;
+const STATE_CODE = /^[0-9]{2}$/;
+const IRN = /^[0-9a-f]{64}$/;
+
+// Tolerance the IRP allows when cross-checking amounts
+const TOLERANCE = 1;
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+const round3 = (value) => Math.round((Number(value) + Number.EPSILON) * 1000) / 1000;
+
+const text = (min, max, extra = {}) => ({ type: "string", min, max, ...extra });
+const amount = (extra = {}) => ({ type: "number", min: 0, ...extra });
+
+const party = (extra = {}) => ({
+  required: true,
+  fields: {
+    Gstin: text(15, 15, { required: true, pattern: GSTIN }),
+    LglNm: text(3, 100, { required: true }),
+    TrdNm: text(3, 100),
+    Addr1: text(1, 100, { required: true }),
+    Addr2: text(3, 100),
+    Loc: text(3, 50, { required: true }),
+    Pin: { type: "number", min: 100000, max: 999999, required: true },
+    Stcd: text(1, 2, { required: true, pattern: STATE_CODE }),
+    Ph: text(6, 12, { pattern: /^[0-9]+$/ }),
+    Em: text(6, 100, { pattern: /^\S+@\S+\.\S+$/ }),
+    ...extra,
+  },
+});
+
+// The parts of the NIC v1.1 JSON schema this module produces
+const SCHEMA = {
+  Version: text(1, 6, { required: true, enum: [SCHEMA_VERSION] }),
+  TranDtls: {
+    required: true,
+    fields: {
+      TaxSch: text(3, 10, { required: true, enum: ["GST"] }),
+      SupTyp: text(3, 10, { required: true, enum: SUPPLY_TYPES }),
+      RegRev: text(1, 1, { enum: ["Y", "N"] }),
+      IgstOnIntra: text(1, 1, { enum: ["Y", "N"] }),
+    },
+  },
+  DocDtls: {
+    required: true,
+    fields: {
+      Typ: text(3, 3, { required: true, enum: DOC_TYPES }),
+      No: text(1, 16, { required: true, pattern: DOC_NO }),
+      Dt: text(10, 10, { required: true, pattern: DOC_DATE }),
+    },
+  },
+  SellerDtls: party(),
+  BuyerDtls: party({ Pos: text(1, 2, { required: true, pattern: STATE_CODE }) }),
+  ShipDtls: {
+    fields: {
+      LglNm: text(3, 100, { required: true }),
+      Addr1: text(1, 100, { required: true }),
+      Addr2: text(3, 100),
+      Loc: text(3, 50, { required: true }),
+      Pin: { type: "number", min: 100000, max: 999999, required: true },
+      Stcd: text(1, 2, { required: true, pattern: STATE_CODE }),
+    },
+  },
+  ItemList: {
+    required: true,
+    type: "array",
+    min: 1,
+    max: 1000,
+    items: {
+      fields: {
+        SlNo: text(1, 6, { required: true }),
+        PrdDesc: text(3, 300),
+        IsServc: text(1, 1, { required: true, enum: ["Y", "N"] }),
+        HsnCd: text(4, 8, { required: true, pattern: /^[0-9]{4,8}$/ }),
+        Qty: amount(),
+        Unit: text(3, 8),
+        UnitPrice: amount({ required: true }),
+        TotAmt: amount({ required: true }),
+        Discount: amount(),
+        AssAmt: amount({ required: true }),
+        GstRt: { type: "number", required: true, enum: GST_RATES },
+        IgstAmt: amount(),
+        CgstAmt: amount(),
+        SgstAmt: amount(),
+        CesRt: { type: "number", min: 0, max: 100 },
+        CesAmt: amount(),
+        OthChrg: amount(),
+        TotItemVal: amount({ required: true }),
+      },
+    },
+  },
+  ValDtls: {
+    required: true,
+    fields: {
+      AssVal: amount({ required: true }),
+      CgstVal: amount(),
+      SgstVal: amount(),
+      IgstVal: amount(),
+      CesVal: amount(),
+      Discount: amount(),
+      OthChrg: amount(),
+      RndOffAmt: { type: "number", min: -99.99, max: 99.99 },
+      TotInvVal: amount({ required: true }),
+    },
+  },
+};
+
+// Where to fix a field, shown next to the error
+const SOURCES = [
+  [/^DocDtls\.No$/, "order invoiceNo"],
+  [/^DocDtls\.Dt$/, "order invoiceDate"],
+  [/^SellerDtls\./, "company profile (COMPANY_PROFILES_PATH)"],
+  [/^BuyerDtls\.Gstin$/, "order gstno"],
+  [/^BuyerDtls\.LglNm$/, "order customername"],
+  [/^BuyerDtls\.Addr/, "order billingAddress"],
+  [/^BuyerDtls\.Loc$/, "order city"],
+  [/^BuyerDtls\.Pin$/, "order pinCode"],
+  [/^BuyerDtls\.(Stcd|Pos)$/, "order gstno / state"],
+  [/^BuyerDtls\.Ph$/, "order contactNo"],
+  [/^BuyerDtls\.Em$/, "order customerEmail"],
+  [/^ShipDtls\./, "order shippingAddress / city / pinCode"],
+  [/^ItemList\[(\d+)\]\.HsnCd$/, "product hsn"],
+  [/^ItemList\[(\d+)\]\.PrdDesc$/, "product productType"],
+];
+
+const sourceOf = (field) => SOURCES.find(([pattern]) => pattern.test(field))?.[1];
+
+const fieldError = (field, message) => {
+  const source = sourceOf(field);
+  return source ? { field, message, source } : { field, message };
+};
+
+const checkValue = (value, rule, field, errors) => {
+  if (value === undefined || value === null || value === "") {
+    if (rule.required) errors.push(fieldError(field, "is required"));
+    return;
+  }
+  if (rule.fields) {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      errors.push(fieldError(field, "must be an object"));
+      return;
+    }
+    for (const [key, sub] of Object.entries(rule.fields)) {
+      checkValue(value[key], sub, `${field}.${key}`, errors);
+    }
+    return;
+  }
+  if (rule.type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push(fieldError(field, "must be a list"));
+      return;
+    }
+    if (value.length < rule.min || value.length > rule.max) {
+      errors.push(fieldError(field, `must have ${rule.min}-${rule.max} entries`));
+    }
+    value.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, errors));
+    return;
+  }
+  if (rule.type === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(fieldError(field, "must be a number"));
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(fieldError(field, `must be one of ${rule.enum.join(", ")}`));
+    } else if (value < (rule.min ?? -Infinity) || value > (rule.max ?? Infinity)) {
+      errors.push(
+        fieldError(
+          field,
+          rule.max === undefined
+            ? `must be at least ${rule.min}`
+            : `must be between ${rule.min} and ${rule.max}`,
+        ),
+      );
+    }
+    return;
+  }
+  if (typeof value !== "string") {
+    errors.push(fieldError(field, "must be text"));
+  } else if (value.length < rule.min || value.length > rule.max) {
+    errors.push(
+      fieldError(
+        field,
+        rule.min === rule.max
+          ? `must be ${rule.min} characters`
+          : `must be ${rule.min}-${rule.max} characters`,
+      ),
+    );
+  } else if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(fieldError(field, `must be one of ${rule.enum.join(", ")}`));
+  } else if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(fieldError(field, "has an invalid format"));
+  }
+};
+
+const differs = (a, b) => Math.abs(round2(a) - round2(b)) > TOLERANCE;
+
+// Cross-field rules the IRP applies on top of the JSON schema
+const checkBusinessRules = (payload, errors) => {
+  const { SellerDtls: seller = {}, BuyerDtls: buyer = {}, ItemList: items = [] } = payload;
+  const totals = payload.ValDtls || {};
+
+  if (seller.Gstin && seller.Stcd && seller.Gstin.slice(0, 2) !== seller.Stcd) {
+    errors.push(fieldError("SellerDtls.Stcd", `does not match the seller GSTIN state code ${seller.Gstin.slice(0, 2)}`));
+  }
+  if (buyer.Gstin && seller.Gstin && buyer.Gstin === seller.Gstin) {
+    errors.push(fieldError("BuyerDtls.Gstin", "cannot be the seller's own GSTIN"));
+  }
+
+  const [day, month, year] = String(payload.DocDtls?.Dt || "").split("/").map(Number);
+  if (day && new Date(year, month - 1, day) > new Date()) {
+    errors.push(fieldError("DocDtls.Dt", "cannot be in the future"));
+  }
+
+  const intra = seller.Stcd && buyer.Pos && seller.Stcd === buyer.Pos;
+  const sum = (key) => round2(items.reduce((total, item) => total + (Number(item[key]) || 0), 0));
+  items.forEach((item, index) => {
+    const field = `ItemList[${index}]`;
+    if (intra && item.IgstAmt > 0) {
+      errors.push(fieldError(`${field}.IgstAmt`, "must be 0 for an intra-state supply (use CGST + SGST)"));
+    }
+    if (!intra && (item.CgstAmt > 0 || item.SgstAmt > 0)) {
+      errors.push(fieldError(`${field}.CgstAmt`, "must be 0 for an inter-state supply (use IGST)"));
+    }
+    if (differs(item.TotAmt, item.UnitPrice * item.Qty)) {
+      errors.push(fieldError(`${field}.TotAmt`, "does not equal UnitPrice x Qty"));
+    }
+    if (differs(item.AssAmt, item.TotAmt - (item.Discount || 0))) {
+      errors.push(fieldError(`${field}.AssAmt`, "does not equal TotAmt - Discount"));
+    }
+    const itemTotal =
+      item.AssAmt + (item.CgstAmt || 0) + (item.SgstAmt || 0) + (item.IgstAmt || 0) +
+      (item.CesAmt || 0) + (item.OthChrg || 0);
+    if (differs(item.TotItemVal, itemTotal)) {
+      errors.push(fieldError(`${field}.TotItemVal`, "does not equal the assessable value plus taxes"));
+    }
+  });
+
+  if (differs(totals.AssVal, sum("AssAmt"))) {
+    errors.push(fieldError("ValDtls.AssVal", "does not equal the sum of item assessable values"));
+  }
+  const invoiceTotal =
+    (totals.AssVal || 0) + (totals.CgstVal || 0) + (totals.SgstVal || 0) + (totals.IgstVal || 0) +
+    (totals.CesVal || 0) + (totals.OthChrg || 0) + (totals.RndOffAmt || 0) - (totals.Discount || 0);
+  if (differs(totals.TotInvVal, invoiceTotal)) {
+    errors.push(fieldError("ValDtls.TotInvVal", "does not add up from the value details"));
+  }
+};
+
+// Validate a payload. Returns [{ field, message, source? }], empty when valid.
+const validateEInvoice = (payload) => {
+  const errors = [];
+  for (const [key, rule] of Object.entries(SCHEMA)) {
+    checkValue(payload[key], rule, key, errors);
+  }
+  if (errors.length === 0) checkBusinessRules(payload, errors);
+  return errors;
+};
+
+// dd/mm/yyyy in IST
+const formatDate = (date) =>
+  date
+    ? new Intl.DateTimeFormat("en-GB", {
+        timeZone: "Asia/Kolkata",
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      }).format(new Date(date))
+    : undefined;
+
+// Split an address over two 100-character lines
+const splitAddress = (address) => {
+  const value = String(address || "").replace(/\s+/g, " ").trim();
+  if (value.length <= 100) return [value, undefined];
+  const cut = value.lastIndexOf(" ", 100) > 50 ? value.lastIndexOf(" ", 100) : 100;
+  return [value.slice(0, cut).trim(), value.slice(cut).trim().slice(0, 100) || undefined];
+};
+
+const pin = (value) => (String(value || "").trim() ? Number(String(value).trim()) : undefined);
+const digits = (value) => String(value || "").replace(/\D/g, "").slice(-12) || undefined;
+const orBlank = (value) => (value ? String(value).trim() : undefined);
+
+// Build the NIC v1.1 payload for an order's tax invoice
+const buildEInvoice = (order) => {
+  const profile = getCompanyProfile(order.company);
+  const { products, taxSummary } = order.taxSummary?.supplyType
+    ? { products: order.products, taxSummary: order.taxSummary }
+    : computeOrderTax(order);
+
+  const buyerGstin = String(order.gstno || "").trim().toUpperCase();
+  const buyerState = stateCodeFromGstin(buyerGstin) || taxSummary.placeOfSupply;
+  const [sellerAddr1, sellerAddr2] = splitAddress(profile.addressLines.join(", "));
+  const [buyerAddr1, buyerAddr2] = splitAddress(order.billingAddress);
+
+  const ItemList = products.map((product, index) => {
+    const qty = Number(product.qty) || 0;
+    const rate = Number(product.gst === "including" ? product.inclusiveRate ?? "18" : product.gst) || 0;
+    const hsn = String(product.hsn || "").trim();
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: [product.productType, product.brand, product.size !== "N/A" && product.size, product.spec !== "N/A" && product.spec]
+        .filter(Boolean)
+        .join(" ")
+        .slice(0, 300),
+      IsServc: hsn.startsWith("99") ? "Y" : "N",
+      HsnCd: hsn,
+      Qty: qty,
+      Unit: "NOS",
+      UnitPrice: qty ? round3(product.taxableValue / qty) : 0,
+      TotAmt: round2(product.taxableValue),
+      Discount: 0,
+      AssAmt: round2(product.taxableValue),
+      GstRt: rate,
+      IgstAmt: round2(product.igst || 0),
+      CgstAmt: round2(product.cgst || 0),
+      SgstAmt: round2(product.sgst || 0),
+      CesRt: Number(product.cess) || 0,
+      CesAmt: round2(product.cessAmount || 0),
+      OthChrg: 0,
+      TotItemVal: round2(product.lineTotal),
+    };
+  });
+
+  const payload = {
+    Version: SCHEMA_VERSION,
+    TranDtls: { TaxSch: "GST", SupTyp: "B2B", RegRev: "N", IgstOnIntra: "N" },
+    DocDtls: {
+      Typ: "INV",
+      No: orBlank(order.invoiceNo),
+      Dt: formatDate(order.invoiceDate),
+    },
+    SellerDtls: {
+      Gstin: orBlank(profile.gstin),
+      LglNm: profile.legalName,
+      Addr1: sellerAddr1,
+      Addr2: sellerAddr2,
+      Loc: orBlank(profile.city),
+      Pin: pin(profile.pinCode),
+      Stcd: profile.stateCode || stateCodeFromGstin(profile.gstin) || undefined,
+      Ph: digits(profile.phone),
+      Em: orBlank(profile.email),
+    },
+    BuyerDtls: {
+      Gstin: buyerGstin || undefined,
+      LglNm: orBlank(order.customername),
+      Pos: taxSummary.placeOfSupply || undefined,
+      Addr1: buyerAddr1,
+      Addr2: buyerAddr2,
+      Loc: orBlank(order.city),
+      Pin: pin(order.pinCode),
+      Stcd: buyerState || undefined,
+      Ph: digits(order.contactNo),
+      Em: orBlank(order.customerEmail),
+    },
+    ItemList,
+    ValDtls: {
+      AssVal: round2(taxSummary.taxableValue),
+      CgstVal: round2(taxSummary.cgst),
+      SgstVal: round2(taxSummary.sgst),
+      IgstVal: round2(taxSummary.igst),
+      CesVal: round2(taxSummary.cess),
+      Discount: 0,
+      OthChrg: round2(taxSummary.otherCharges || 0),
+      RndOffAmt: round2(taxSummary.roundOff || 0),
+      TotInvVal: round2(order.total),
+    },
+  };
+
+  const shipping = String(order.shippingAddress || "").trim();
+  if (shipping && shipping !== String(order.billingAddress || "").trim()) {
+    const [shipAddr1, shipAddr2] = splitAddress(shipping);
+    payload.ShipDtls = {
+      LglNm: orBlank(order.customername),
+      Addr1: shipAddr1,
+      Addr2: shipAddr2,
+      Loc: orBlank(order.city),
+      Pin: pin(order.pinCode),
+      Stcd: taxSummary.placeOfSupply || undefined,
+    };
+  }
+
+  return JSON.parse(JSON.stringify(payload));
+};
+
+// IRN as computed by the IRP: SHA-256 of seller GSTIN, fiscal year (2025-26),
+// document type and number
+const computeIrn = (payload) => {
+  const [day, month, year] = payload.DocDtls.Dt.split("/").map(Number);
+  const fiscalYear = fiscalYearOf(new Date(Date.UTC(year, month - 1, day, 6)));
+  const fullYear = `20${fiscalYear.slice(0, 2)}-${fiscalYear.slice(3)}`;
+  return crypto
+    .createHash("sha256")
+    .update(`${payload.SellerDtls.Gstin}${fullYear}${payload.DocDtls.Typ}${payload.DocDtls.No}`)
+    .digest("hex");
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// Local stand-in for the IRP: a real-looking IRN, placeholder ack details
+// and an unsigned QR token carrying the fields the IRP puts in the QR code
+const stubSubmitter = async (payload) => {
+  const irn = computeIrn(payload);
+  const ackDate = new Date();
+  const qr = {
+    SellerGstin: payload.SellerDtls.Gstin,
+    BuyerGstin: payload.BuyerDtls.Gstin,
+    DocNo: payload.DocDtls.No,
+    DocTyp: payload.DocDtls.Typ,
+    DocDt: payload.DocDtls.Dt,
+    TotInvVal: payload.ValDtls.TotInvVal,
+    ItemCnt: payload.ItemList.length,
+    MainHsnCode: payload.ItemList[0].HsnCd,
+    Irn: irn,
+    IrnDt: ackDate.toISOString(),
+  };
+  return {
+    irn,
+    ackNo: `9${String(ackDate.getTime()).padStart(14, "0")}`,
+    ackDate,
+    signedQrCode: `${base64url({ alg: "none", typ: "JWT" })}.${base64url({ data: JSON.stringify(qr) })}.stub`,
+  };
+};
+
+const SUBMITTERS = { stub: stubSubmitter };
+
+// submit(payload, order) -> { irn, ackNo, ackDate, signedQrCode }
+const registerSubmitter = (name, submit) => {
+  SUBMITTERS[name] = submit;
+};
+
+// The configured submitter as { name, submit }, or { error } when there is
+// none to use
+const getSubmitter = () => {
+  const name = process.env.EINVOICE_SUBMITTER;
+  if (!name) return { error: "No e-invoice submitter is configured" };
+  if (name === "stub" && process.env.NODE_ENV === "production") {
+    return { error: "The stub e-invoice submitter cannot be used in production" };
+  }
+  const submit = SUBMITTERS[name];
+  if (!submit) return { error: `Unknown e-invoice submitter: ${name}` };
+  return { name, submit };
+};
+
+// Check IRN details entered back from the portal.
+// Returns { ok, value } or { ok: false, errors }.
+const validateRegistration = (input) => {
+  const errors = [];
+  const irn = String(input.irn || "").trim().toLowerCase();
+  const ackNo = String(input.ackNo || "").trim();
+  const ackDate = new Date(input.ackDate);
+  const signedQrCode = String(input.signedQrCode || "").trim();
+
+  if (!IRN.test(irn)) errors.push({ field: "irn", message: "must be the 64-character IRN" });
+  if (!/^\d{10,20}$/.test(ackNo)) errors.push({ field: "ackNo", message: "must be the numeric acknowledgement number" });
+  if (!input.ackDate || isNaN(ackDate.getTime())) errors.push({ field: "ackDate", message: "must be a valid date" });
+  if (signedQrCode.split(".").length !== 3) {
+    errors.push({ field: "signedQrCode", message: "must be the signed QR code string (a JWT)" });
+  }
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, value: { irn, ackNo, ackDate, signedQrCode } };
+};
+
+module.exports = {
+  SCHEMA_VERSION,
+  CANCEL_REASONS,
+  CANCEL_WINDOW_MS,
+  buildEInvoice,
+  validateEInvoice,
+  validateRegistration,
+  computeIrn,
+  registerSubmitter,
+  getSubmitter,
+};
@@ -0,0 +1,286 @@
+// utils/ewayBill.js
+// E-way bill JSON in the format of the e-way bill portal's bulk generation
+// tool, built from an order's dispatch details and GST breakup:
+// - consignor: the selling company's GSTIN, shipped from the warehouse of
+//   dispatchFrom (getDispatchLocation)
+// - consignee: the customer (GSTIN, or "URP" when unregistered)
+// - transport: transporter / docket / vehicle from the order unless given
+//   explicitly, plus the distance in km (0 lets the portal work it out from
+//   the PIN codes)
+// The bill itself is generated on the portal; its number and validity are
+// then recorded on the order.
+const { getCompanyProfile, getDispatchLocation } = require("./companyProfiles");
+const { computeOrderTax, stateCodeFromGstin, stateCodeFromName } = require("./gst");
+
+const BULK_VERSION = "1.0.0621";
+// Consignments below this value (incl. GST) need no e-way bill
+const EWB_THRESHOLD = 50000;
+const TRANS_MODES = { Road: 1, Rail: 2, Air: 3, Ship: 4 };
+// R = regular vehicle, O = over dimensional cargo
+const VEHICLE_TYPES = ["R", "O"];
+// Validity: one day per this many km (part of a day counts as a day)
+const KM_PER_DAY = { R: 200, O: 20 };
+const MAX_DISTANCE = 4000;
+
+const GSTIN = /^[0-9]{2}[0-9A-Z]{13}$/;
+const DOC_NO = /^[A-Z1-9][A-Z0-9/-]{0,15}$/;
+const VEHICLE_NO = /^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/;
+const EWB_NO = /^\d{12}$/;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// dd/mm/yyyy in IST
+const formatDate = (date) =>
+  date && !isNaN(new Date(date).getTime())
+    ? new Intl.DateTimeFormat("en-GB", {
+        timeZone: "Asia/Kolkata",
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      }).format(new Date(date))
+    : "";
+
+const clip = (value, length) => String(value || "").replace(/\s+/g, " ").trim().slice(0, length);
+const pin = (value) => (/^\d{6}$/.test(String(value || "").trim()) ? Number(value) : 0);
+const toDate = (value) => (value && !isNaN(new Date(value).getTime()) ? new Date(value) : null);
+const normalizeVehicle = (value) => String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// Vehicle number and transporter GSTIN / TRANSIN typed into transporterDetails
+const transportFromDetails = (details) => {
+  const text = String(details || "").toUpperCase();
+  const transporterId = text.match(/\b[0-9]{2}[0-9A-Z]{13}\b/)?.[0] || "";
+  const vehicleNo =
+    text
+      .replace(transporterId, " ")
+      .match(/\b[A-Z]{2}[\s-]?[0-9]{1,2}[\s-]?[A-Z]{0,3}[\s-]?[0-9]{4}\b/)?.[0] || "";
+  return { transporterId, vehicleNo: normalizeVehicle(vehicleNo) };
+};
+
+// Transport details for the bill: explicit input first, then what is stored
+// on the order's e-way bill, then the dispatch fields
+const resolveTransport = (order, input = {}) => {
+  const saved = order.ewayBill || {};
+  const parsed = transportFromDetails(order.transporterDetails);
+  const pick = (key, fallback) =>
+    input[key] !== undefined && input[key] !== "" ? input[key] : saved[key] ?? fallback;
+  const transMode = pick("transMode", "Road");
+  return {
+    transMode: TRANS_MODES[transMode] ? transMode : String(transMode),
+    distance: Number(pick("distance", undefined)),
+    vehicleNo: normalizeVehicle(pick("vehicleNo", parsed.vehicleNo)),
+    vehicleType: String(pick("vehicleType", "R")).toUpperCase(),
+    transporterId: String(pick("transporterId", parsed.transporterId)).trim().toUpperCase(),
+    transporterName: clip(pick("transporterName", order.transporter), 100),
+    transDocNo: clip(pick("transDocNo", order.docketNo), 15),
+    transDocDate: toDate(pick("transDocDate", order.dispatchDate)),
+  };
+};
+
+// Build the bulk-upload JSON. Returns { payload, bill, transport }.
+const buildEwayBill = (order, input) => {
+  const profile = getCompanyProfile(order.company);
+  const location = getDispatchLocation(order.dispatchFrom);
+  const transport = resolveTransport(order, input);
+  const { products, taxSummary, total } = order.taxSummary?.supplyType
+    ? { products: order.products, taxSummary: order.taxSummary, total: order.total }
+    : computeOrderTax(order);
+
+  const sellerGstin = String(profile.gstin || "").trim().toUpperCase();
+  const buyerGstin = String(order.gstno || "").trim().toUpperCase();
+  const sellerState = Number(stateCodeFromGstin(sellerGstin) || profile.stateCode || 0);
+  const dispatchState = Number(location.stateCode || sellerState);
+  const buyerState = Number(
+    stateCodeFromGstin(buyerGstin) || taxSummary.placeOfSupply || stateCodeFromName(order.state) || 0,
+  );
+  const shipping = String(order.shippingAddress || "").trim();
+  const shipsElsewhere = Boolean(shipping) && shipping !== String(order.billingAddress || "").trim();
+  const dispatchesElsewhere = Boolean(location.addressLines.length) && dispatchState !== sellerState;
+  // 1 Regular, 2 Bill To - Ship To, 3 Bill From - Dispatch From, 4 both
+  const transType = shipsElsewhere && dispatchesElsewhere ? 4 : dispatchesElsewhere ? 3 : shipsElsewhere ? 2 : 1;
+
+  const fromAddress = location.addressLines.length ? location.addressLines : profile.addressLines;
+  const toAddress = shipsElsewhere ? shipping : order.billingAddress;
+  const rateOf = (product) =>
+    Number(product.gst === "including" ? product.inclusiveRate ?? "18" : product.gst) || 0;
+  const inter = taxSummary.supplyType === "inter";
+
+  const itemList = products.map((product, index) => {
+    const rate = rateOf(product);
+    return {
+      itemNo: index + 1,
+      productName: clip(product.productType, 100),
+      productDesc: clip([product.brand, product.size !== "N/A" && product.size, product.spec !== "N/A" && product.spec].filter(Boolean).join(" "), 100),
+      hsnCode: Number(String(product.hsn || "").trim()) || 0,
+      quantity: Number(product.qty) || 0,
+      qtyUnit: "NOS",
+      taxableAmount: round2(product.taxableValue),
+      sgstRate: inter ? 0 : rate / 2,
+      cgstRate: inter ? 0 : rate / 2,
+      igstRate: inter ? rate : 0,
+      cessRate: Number(product.cess) || 0,
+      cessNonAdvol: 0,
+    };
+  });
+  // Main HSN: the line with the highest taxable value
+  const main = [...itemList].sort((a, b) => b.taxableAmount - a.taxableAmount)[0];
+
+  const bill = {
+    userGstin: sellerGstin,
+    supplyType: "O",
+    subSupplyType: 1,
+    subSupplyDesc: "",
+    docType: "INV",
+    docNo: String(order.invoiceNo || "").trim(),
+    docDate: formatDate(order.invoiceDate),
+    transType,
+    fromGstin: sellerGstin,
+    fromTrdName: clip(profile.legalName, 100),
+    fromAddr1: clip(fromAddress[0], 120),
+    fromAddr2: clip(fromAddress.slice(1).join(", "), 120),
+    fromPlace: clip(location.city || profile.city, 50),
+    fromPincode: pin(location.pinCode || profile.pinCode),
+    fromStateCode: sellerState,
+    actualFromStateCode: dispatchState,
+    toGstin: buyerGstin || "URP",
+    toTrdName: clip(order.customername, 100),
+    toAddr1: clip(toAddress, 120),
+    toAddr2: "",
+    toPlace: clip(order.city, 50),
+    toPincode: pin(order.pinCode),
+    toStateCode: buyerState,
+    actualToStateCode: buyerState,
+    totalValue: round2(taxSummary.taxableValue),
+    cgstValue: round2(taxSummary.cgst),
+    sgstValue: round2(taxSummary.sgst),
+    igstValue: round2(taxSummary.igst),
+    cessValue: round2(taxSummary.cess),
+    TotNonAdvolVal: 0,
+    OthValue: round2((taxSummary.otherCharges || 0) + (taxSummary.roundOff || 0)),
+    totInvValue: round2(total),
+    transMode: TRANS_MODES[transport.transMode] || 0,
+    transDistance: Number.isFinite(transport.distance) ? String(transport.distance) : "",
+    transporterName: transport.transporterName,
+    transporterId: transport.transporterId,
+    transDocNo: transport.transDocNo,
+    transDocDate: formatDate(transport.transDocDate),
+    vehicleNo: transport.vehicleNo,
+    vehicleType: transport.vehicleType,
+    mainHsnCode: main?.hsnCode || 0,
+    itemList,
+  };
+
+  return { payload: { version: BULK_VERSION, billLists: [bill] }, bill, transport };
+};
+
+// Mandatory fields and portal rules. `voluntary` allows a bill below the
+// threshold. Returns [{ field, message, source? }].
+const validateEwayBill = (bill, { voluntary = false } = {}) => {
+  const errors = [];
+  const add = (field, message, source) =>
+    errors.push(source ? { field, message, source } : { field, message });
+
+  if (!bill.docNo) add("docNo", "is required; the e-way bill is raised against the tax invoice", "order invoiceNo");
+  else if (!DOC_NO.test(bill.docNo)) add("docNo", "must be at most 16 letters, digits, / or -", "order invoiceNo");
+  if (!bill.docDate) add("docDate", "is required", "order invoiceDate");
+
+  if (!GSTIN.test(bill.fromGstin)) add("fromGstin", "is missing or invalid", "company profile (COMPANY_PROFILES_PATH)");
+  if (!bill.fromAddr1) add("fromAddr1", "is required", "dispatchLocations / company profile address");
+  if (!bill.fromPincode) add("fromPincode", "must be a 6-digit PIN code", "dispatchLocations / company profile pinCode");
+  if (!bill.actualFromStateCode) add("actualFromStateCode", "is unknown", "order dispatchFrom");
+
+  if (bill.toGstin !== "URP" && !GSTIN.test(bill.toGstin)) add("toGstin", "is invalid", "order gstno");
+  if (!bill.toTrdName) add("toTrdName", "is required", "order customername");
+  if (!bill.toAddr1) add("toAddr1", "is required", "order billingAddress / shippingAddress");
+  if (!bill.toPincode) add("toPincode", "must be a 6-digit PIN code", "order pinCode");
+  if (!bill.toStateCode) add("toStateCode", "is unknown", "order gstno / state");
+
+  if (bill.itemList.length === 0) add("itemList", "must have at least one item");
+  bill.itemList.forEach((item, index) => {
+    if (!/^\d{4,8}$/.test(String(item.hsnCode))) {
+      add(`itemList[${index}].hsnCode`, "must be a 4-8 digit HSN code", "product hsn");
+    }
+  });
+
+  if (bill.totInvValue < EWB_THRESHOLD && !voluntary) {
+    add(
+      "totInvValue",
+      `is below ₹${EWB_THRESHOLD.toLocaleString("en-IN")}, so no e-way bill is required (send voluntary: true to generate one anyway)`,
+    );
+  }
+
+  const distance = Number(bill.transDistance);
+  if (bill.transDistance === "" || !Number.isInteger(distance) || distance < 0 || distance > MAX_DISTANCE) {
+    add("transDistance", `must be whole km between 0 and ${MAX_DISTANCE} (0 = calculated by the portal)`, "request distance");
+  }
+  if (!bill.transMode) add("transMode", `must be one of ${Object.keys(TRANS_MODES).join(", ")}`);
+  if (!VEHICLE_TYPES.includes(bill.vehicleType)) add("vehicleType", "must be R (regular) or O (over dimensional)");
+  if (bill.transporterId && !GSTIN.test(bill.transporterId)) {
+    add("transporterId", "must be the transporter's 15-character GSTIN / TRANSIN", "order transporterDetails");
+  }
+  // Part B: a vehicle for road, the transport document otherwise. By road,
+  // a transporter ID alone is enough to let the transporter fill Part B.
+  if (bill.transMode === TRANS_MODES.Road) {
+    if (bill.vehicleNo && !VEHICLE_NO.test(bill.vehicleNo)) {
+      add("vehicleNo", "is not a valid vehicle number (e.g. BR01AB1234)", "order transporterDetails");
+    } else if (!bill.vehicleNo && !bill.transporterId) {
+      add("vehicleNo", "or a transporter ID is required for road transport", "order transporterDetails");
+    }
+  } else if (bill.transMode) {
+    if (!bill.transDocNo) add("transDocNo", "is required for rail, air and ship", "order docketNo");
+    if (!bill.transDocDate) add("transDocDate", "is required for rail, air and ship", "order dispatchDate");
+  }
+  return errors;
+};
+
+// Validity end as the portal computes it: one day per 200 km (20 km for over
+// dimensional cargo), each day ending at midnight after the day of generation
+const validityFor = (generatedAt, distance, vehicleType = "R") => {
+  const days = Math.max(1, Math.ceil(Number(distance) / (KM_PER_DAY[vehicleType] || KM_PER_DAY.R)));
+  const ist = new Date(new Date(generatedAt).getTime() + IST_OFFSET_MS);
+  const istMidnight = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate());
+  return new Date(istMidnight + (days + 1) * DAY_MS - 1 - IST_OFFSET_MS);
+};
+
+// Check the e-way bill details entered back from the portal.
+// Body: { ewbNo, ewbDate, validUpto? }. validUpto is derived from the
+// distance when not given. Returns { ok, value } or { ok: false, errors }.
+const validateRecord = (input, order) => {
+  const errors = [];
+  const number = String(input.ewbNo || "").replace(/\s/g, "");
+  const generatedAt = new Date(input.ewbDate);
+  if (!EWB_NO.test(number)) errors.push({ field: "ewbNo", message: "must be the 12-digit e-way bill number" });
+  if (!input.ewbDate || isNaN(generatedAt.getTime())) {
+    errors.push({ field: "ewbDate", message: "must be a valid date" });
+  }
+
+  let validUntil = input.validUpto ? new Date(input.validUpto) : null;
+  if (input.validUpto && isNaN(validUntil.getTime())) {
+    errors.push({ field: "validUpto", message: "must be a valid date" });
+  }
+  const distance = Number(order.ewayBill?.distance);
+  if (!input.validUpto && errors.length === 0) {
+    if (distance > 0) {
+      validUntil = validityFor(generatedAt, distance, order.ewayBill?.vehicleType);
+    } else {
+      errors.push({ field: "validUpto", message: "is required when the distance is not known" });
+    }
+  }
+  if (validUntil && generatedAt && validUntil <= generatedAt) {
+    errors.push({ field: "validUpto", message: "must be after the e-way bill date" });
+  }
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, value: { number, generatedAt, validUntil } };
+};
+
+module.exports = {
+  EWB_THRESHOLD,
+  TRANS_MODES,
+  buildEwayBill,
+  validateEwayBill,
+  validityFor,
+  validateRecord,
+  transportFromDetails,
+};
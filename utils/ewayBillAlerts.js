@@ -0,0 +1,115 @@
+// utils/ewayBillAlerts.js
+// Warns Dispatch (the Finish role) and the order owner when an active e-way
+// bill of an undelivered order is about to expire, so it can be extended on
+// the portal in time. A periodic job, run by one instance only (see
+// leaderElection). Each validity period is warned about once: the warning is
+// claimed on the order before notifying, and recording a new validity resets
+// it.
+//
+//   EWAY_BILL_ALERTS_ENABLED=false   turn the job off
+//   EWAY_BILL_ALERT_INTERVAL_MS      how often to scan (default 30 minutes)
+//   EWAY_BILL_WARN_HOURS             how long before expiry to warn (default 8)
+const { Order } = require("../Models/Schema");
+const { notify } = require("./notifier");
+const { ADMIN_ROLES } = require("./orderWorkflow");
+const { createLeaderElection } = require("./leaderElection");
+const logger = require("./logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+const INTERVAL_MS = Number(process.env.EWAY_BILL_ALERT_INTERVAL_MS) || 30 * 60 * 1000;
+const WARN_HOURS = Number(process.env.EWAY_BILL_WARN_HOURS) || 8;
+
+// Orders still on the road
+const IN_TRANSIT = { dispatchStatus: { $nin: ["Delivered", "Order Cancelled"] } };
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Active e-way bills of undelivered orders expiring before `until`
+const expiringFilter = (until) => ({
+  ...IN_TRANSIT,
+  "ewayBill.status": "active",
+  "ewayBill.validUntil": { $lte: until },
+});
+
+const runEwayBillAlerts = async (io, now = new Date()) => {
+  const orders = await Order.find({
+    ...expiringFilter(new Date(now.getTime() + WARN_HOURS * HOUR_MS)),
+    "ewayBill.expiryWarnedAt": null,
+  })
+    .select("orderId customername createdBy assignedTo ewayBill.number ewayBill.validUntil")
+    .lean();
+
+  let warned = 0;
+  for (const order of orders) {
+    const { number, validUntil } = order.ewayBill;
+    // Claim the warning for this validity period
+    const claimed = await Order.updateOne(
+      { _id: order._id, "ewayBill.expiryWarnedAt": null, "ewayBill.validUntil": validUntil },
+      { $set: { "ewayBill.expiryWarnedAt": now } },
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const expired = validUntil <= now;
+    await notify(io, {
+      message: `E-way bill ${number} for ${order.customername || "Unknown"} (Order ID: ${order.orderId || "N/A"}) ${expired ? "expired" : "expires"} on ${formatTime(validUntil)}. Extend it on the portal and record the new validity.`,
+      subject: `E-way bill ${number} ${expired ? "expired" : "expiring soon"}`,
+      category: "dispatch",
+      targets: {
+        users: [order.createdBy, ...[].concat(order.assignedTo || [])],
+        roles: ["Finish", ...ADMIN_ROLES],
+      },
+      order,
+    });
+    warned++;
+  }
+
+  logger.info("E-way bill expiry scan finished", { scanned: orders.length, warned });
+  return warned;
+};
+
+// Run the job on the instance holding the "eway-bill-alerts" lease
+const startEwayBillAlerts = (io) => {
+  if (String(process.env.EWAY_BILL_ALERTS_ENABLED).toLowerCase() === "false") {
+    logger.info("E-way bill expiry alerts disabled");
+    return null;
+  }
+
+  let timer = null;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runEwayBillAlerts(io);
+    } catch (error) {
+      logger.error("E-way bill expiry scan failed", { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const election = createLeaderElection({
+    name: "eway-bill-alerts",
+    onElected: () => {
+      tick();
+      timer = setInterval(tick, INTERVAL_MS);
+    },
+    onRevoked: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+  });
+  election.start();
+  return election;
+};
+
+module.exports = {
+  expiringFilter,
+  runEwayBillAlerts,
+  startEwayBillAlerts,
+};
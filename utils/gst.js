@@ -0,0 +1,219 @@
+// utils/gst.js
+// GST computation for orders. Every order total (create, edit, bulk upload)
+// goes through computeOrderTax so the breakup stored on the order and the
+// total always agree.
+//
+// - Place of supply: the customer's state, from the GSTIN's state code when
+//   the GSTIN is valid, else from the `state` field. The supplier state is
+//   the state of the dispatch location. Same state -> CGST + SGST, else IGST.
+// - "including" prices are GST-inclusive: the taxable value is
+//   back-calculated at the product's inclusiveRate so the line total stays
+//   what the customer was quoted.
+// - Tax is rounded to paise per line; the invoice total is rounded to the
+//   nearest rupee and the difference kept as roundOff.
+// - Freight and installation charges are added as entered, untaxed, as
+//   before.
+
+const GST_RATES = ["0", "5", "12", "18", "28"];
+// Values accepted in product.gst ("including" = price already includes GST)
+const GST_OPTIONS = [...GST_RATES, "including"];
+
+const STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+};
+
+// Spellings seen in the `state` field that differ from the official names
+const STATE_ALIASES = {
+  up: "09",
+  mp: "23",
+  jk: "01",
+  jammukashmir: "01",
+  newdelhi: "07",
+  nctofdelhi: "07",
+  orissa: "21",
+  pondicherry: "34",
+  uttaranchal: "05",
+  chattisgarh: "22",
+  daman: "26",
+  damananddiu: "26",
+  dadranagarhaveli: "26",
+  andaman: "35",
+  tamilnadu: "33",
+  westbengal: "19",
+};
+
+// Warehouse / dispatch location -> state code
+const LOCATION_STATE_CODES = {
+  Patna: "10",
+  Bareilly: "09",
+  Ranchi: "20",
+  Morinda: "03",
+  Lucknow: "09",
+  Delhi: "07",
+  Jaipur: "08",
+  Rajasthan: "08",
+};
+
+const GSTIN_PATTERN = /^(\d{2})[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normalizeName = (value) => String(value || "").toLowerCase().replace(/[^a-z]/g, "");
+
+const NAME_TO_CODE = Object.fromEntries(
+  Object.entries(STATE_CODES).map(([code, name]) => [normalizeName(name), code]),
+);
+
+const stateCodeFromName = (state) => {
+  const key = normalizeName(state);
+  return NAME_TO_CODE[key] || STATE_ALIASES[key] || null;
+};
+
+const stateCodeFromGstin = (gstno) => {
+  const match = String(gstno || "").trim().toUpperCase().match(GSTIN_PATTERN);
+  return match && STATE_CODES[match[1]] ? match[1] : null;
+};
+
+// { supplierStateCode, placeOfSupply, supplyType }. When either side is
+// unknown the supply is treated as intra-state.
+const supplyTypeFor = ({ dispatchFrom, state, gstno }) => {
+  const supplierStateCode = LOCATION_STATE_CODES[dispatchFrom] || null;
+  const placeOfSupply = stateCodeFromGstin(gstno) || stateCodeFromName(state);
+  const supplyType =
+    supplierStateCode && placeOfSupply && supplierStateCode !== placeOfSupply ? "inter" : "intra";
+  return { supplierStateCode, placeOfSupply, supplyType };
+};
+
+// Tax for one product line
+const computeLineTax = (product, supplyType) => {
+  const qty = Number(product.qty) || 0;
+  const unitPrice = Number(product.unitPrice) || 0;
+  const inclusive = product.gst === "including";
+  const rate = Number(inclusive ? product.inclusiveRate ?? "18" : product.gst) || 0;
+  const cessRate = Number(product.cess) || 0;
+  const gross = qty * unitPrice;
+
+  const taxesOn = (taxable) => {
+    const cgst = supplyType === "intra" ? round2((taxable * rate) / 200) : 0;
+    const igst = supplyType === "inter" ? round2((taxable * rate) / 100) : 0;
+    return { cgst, sgst: cgst, igst, cessAmount: round2((taxable * cessRate) / 100) };
+  };
+
+  let taxableValue;
+  let taxes;
+  if (inclusive) {
+    taxes = taxesOn(round2((gross * 100) / (100 + rate + cessRate)));
+    // Whatever rounding leaves over stays in the taxable value
+    taxableValue = round2(gross - taxes.cgst - taxes.sgst - taxes.igst - taxes.cessAmount);
+  } else {
+    taxableValue = round2(gross);
+    taxes = taxesOn(taxableValue);
+  }
+
+  return {
+    rate,
+    taxableValue,
+    ...taxes,
+    lineTotal: round2(taxableValue + taxes.cgst + taxes.sgst + taxes.igst + taxes.cessAmount),
+  };
+};
+
+// Full breakup for an order-like object:
+// { products, dispatchFrom, state, gstno, freightcs, installation }
+// Returns { products (with tax fields), taxSummary, total }
+const computeOrderTax = (order) => {
+  const supply = supplyTypeFor(order);
+  const summary = {
+    ...supply,
+    taxableValue: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+    cess: 0,
+  };
+
+  const products = (order.products || []).map((product) => {
+    const plain = typeof product.toObject === "function" ? product.toObject() : product;
+    const line = computeLineTax(plain, supply.supplyType);
+    summary.taxableValue = round2(summary.taxableValue + line.taxableValue);
+    summary.cgst = round2(summary.cgst + line.cgst);
+    summary.sgst = round2(summary.sgst + line.sgst);
+    summary.igst = round2(summary.igst + line.igst);
+    summary.cess = round2(summary.cess + line.cessAmount);
+    const { rate, ...fields } = line;
+    return { ...plain, ...fields };
+  });
+
+  summary.otherCharges = round2(Number(order.freightcs || 0) + Number(order.installation || 0));
+  const grandTotal = round2(
+    summary.taxableValue + summary.cgst + summary.sgst + summary.igst + summary.cess + summary.otherCharges,
+  );
+  const total = Math.round(grandTotal);
+  summary.roundOff = round2(total - grandTotal);
+
+  return { products, taxSummary: summary, total };
+};
+
+// Per-rate breakup (for invoices): [{ rate, taxableValue, cgst, sgst, igst, cess }]
+const taxByRate = (products) => {
+  const rows = new Map();
+  for (const product of products) {
+    const rate = Number(product.gst === "including" ? product.inclusiveRate ?? "18" : product.gst) || 0;
+    const row = rows.get(rate) || { rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+    row.taxableValue = round2(row.taxableValue + (product.taxableValue || 0));
+    row.cgst = round2(row.cgst + (product.cgst || 0));
+    row.sgst = round2(row.sgst + (product.sgst || 0));
+    row.igst = round2(row.igst + (product.igst || 0));
+    row.cess = round2(row.cess + (product.cessAmount || 0));
+    rows.set(rate, row);
+  }
+  return [...rows.values()].sort((a, b) => a.rate - b.rate);
+};
+
+module.exports = {
+  GST_RATES,
+  GST_OPTIONS,
+  STATE_CODES,
+  LOCATION_STATE_CODES,
+  stateCodeFromName,
+  stateCodeFromGstin,
+  supplyTypeFor,
+  computeLineTax,
+  computeOrderTax,
+  taxByRate,
+};
@@ -0,0 +1,7 @@
+const crypto = require("crypto");
+
+// Opaque tokens (refresh, reset, invite) are stored only as SHA-256 hashes
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = hashToken;
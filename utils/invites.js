@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const { Invite } = require("../Models/AuthSchema");
+const { sendMail } = require("./mailer");
+const hashToken = require("./hashToken");
+
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+
+const createInvite = async ({ email, role, assignedToLeader, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  // A new invite replaces any pending invite for the same address
+  await Invite.updateMany(
+    { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+  const invite = await Invite.create({
+    email: normalizedEmail,
+    role,
+    assignedToLeader: assignedToLeader || null,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    invitedBy,
+  });
+  return { invite, token };
+};
+
+const findPendingInvite = (token) =>
+  Invite.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+// Atomically mark an invite as used so it cannot create two accounts
+const acceptInvite = (inviteId, userId) =>
+  Invite.findOneAndUpdate(
+    { _id: inviteId, acceptedAt: null, revokedAt: null },
+    { acceptedAt: new Date(), acceptedUser: userId },
+    { new: true },
+  );
+
+const sendInviteEmail = async (invite, token, invitedByName) => {
+  const link = `${process.env.CLIENT_URL}/signup?invite=${token}`;
+  const subject = "You're invited to the Sales Order portal";
+  const text = `
+Hello,
+
+${invitedByName || "An administrator"} has invited you to join the Promark Sales Order portal as ${invite.role}.
+
+Create your account here: ${link}
+
+This invitation expires in ${INVITE_TTL_DAYS} days.
+
+Regards,
+The Promark Tech Solutions Crew
+  `;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1f2937;">
+      <h2 style="color: #1e3a8a;">${subject}</h2>
+      <p>${invitedByName || "An administrator"} has invited you to join the Promark Sales Order portal as <strong>${invite.role}</strong>.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background: #1e3a8a; color: #ffffff; padding: 12px 28px; border-radius: 24px; text-decoration: none; font-weight: 600;">Create Account</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">This invitation expires in ${INVITE_TTL_DAYS} days.</p>
+      <p>Regards,<br/>The Promark Tech Solutions Crew</p>
+    </div>
+  `;
+  await sendMail(invite.email, subject, text, html);
+};
+
+module.exports = { createInvite, findPendingInvite, acceptInvite, sendInviteEmail };
@@ -0,0 +1,88 @@
+// utils/leaderElection.js
+// Lease-based leader election on MongoDB. With several instances behind the
+// proxy, exactly one holds the lease for a given name and runs the singleton
+// work; if it dies, the lease expires and another instance takes over.
+const os = require("os");
+const crypto = require("crypto");
+const { Lease } = require("../Models/StreamSchema");
+const logger = require("./logger");
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const LEASE_TTL_MS = Number(process.env.LEADER_LEASE_MS) || 30 * 1000;
+
+// Take the lease if it is free/expired or already ours. Resolves to true when
+// this instance holds it afterwards.
+const acquireLease = async (name, ttlMs) => {
+  const now = new Date();
+  try {
+    const lease = await Lease.findOneAndUpdate(
+      { _id: name, $or: [{ holder: INSTANCE_ID }, { expiresAt: { $lte: now } }] },
+      {
+        $set: {
+          holder: INSTANCE_ID,
+          expiresAt: new Date(now.getTime() + ttlMs),
+          renewedAt: now,
+        },
+      },
+      { upsert: true, new: true },
+    );
+    return lease.holder === INSTANCE_ID;
+  } catch (error) {
+    // Upsert raced with a live lease of another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// createLeaderElection({ name, onElected, onRevoked }).start()
+// onElected/onRevoked may be async. A failed renewal counts as lost
+// leadership, since another instance may take the lease once it expires.
+const createLeaderElection = ({ name, ttlMs = LEASE_TTL_MS, onElected, onRevoked }) => {
+  let leader = false;
+  let timer = null;
+  let stopped = false;
+
+  const setLeader = async (value) => {
+    if (value === leader) return;
+    leader = value;
+    logger.info(value ? "Elected leader" : "Lost leadership", { lease: name, instance: INSTANCE_ID });
+    try {
+      await (value ? onElected?.() : onRevoked?.());
+    } catch (error) {
+      logger.error("Leader election callback failed", { lease: name, error: error.message });
+    }
+  };
+
+  const tick = async () => {
+    let acquired = false;
+    try {
+      acquired = await acquireLease(name, ttlMs);
+    } catch (error) {
+      logger.warn("Lease renewal failed", { lease: name, error: error.message });
+    }
+    if (stopped) return;
+    await setLeader(acquired);
+    timer = setTimeout(tick, Math.floor(ttlMs / 3));
+  };
+
+  return {
+    instanceId: INSTANCE_ID,
+    isLeader: () => leader,
+    start: () => {
+      stopped = false;
+      return tick();
+    },
+    // Give the lease up right away so another instance does not wait for expiry
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (leader) {
+        await Lease.deleteOne({ _id: name, holder: INSTANCE_ID }).catch(() => {});
+        await setLeader(false);
+      }
+    },
+  };
+};
+
+module.exports = { INSTANCE_ID, createLeaderElection };
@@ -0,0 +1,177 @@
+// utils/loginGuard.js
+// Per-account and per-IP failed login counters with progressive delays and
+// temporary lockout. Failures are counted with a single update pipeline
+// (countFailureUpdate), so concurrent attempts each add one; the delay or
+// lock then follows from the count (penaltyFor).
+const { LoginThrottle, LoginHistory } = require("../Models/AuthSchema");
+const logger = require("./logger");
+
+const POLICIES = {
+  account: {
+    freeFailures: 2, // failures allowed before delays kick in
+    maxFailures: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+    lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+  },
+  ip: {
+    freeFailures: 5,
+    maxFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+  },
+};
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_DELAY_SECONDS = 30;
+
+const accountKey = (email) => `account:${String(email || "").trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// Is a throttle entry currently blocking logins? Returns seconds to wait or 0.
+const retryAfterSeconds = (entry, now = new Date()) => {
+  if (!entry) return 0;
+  const until = [entry.lockedUntil, entry.nextAttemptAt]
+    .filter((date) => date && date > now)
+    .sort((a, b) => b - a)[0];
+  return until ? Math.ceil((until - now) / 1000) : 0;
+};
+
+// Delay or lockout earned by the nth failure: { nextAttemptAt, lockedUntil }
+const penaltyFor = (failures, policy, now = new Date()) => {
+  if (failures >= policy.maxFailures) {
+    return {
+      nextAttemptAt: null,
+      lockedUntil: new Date(now.getTime() + policy.lockMinutes * 60 * 1000),
+    };
+  }
+  if (failures > policy.freeFailures) {
+    // 1s, 2s, 4s, ... capped
+    const delay = Math.min(2 ** (failures - policy.freeFailures - 1), MAX_DELAY_SECONDS);
+    return { nextAttemptAt: new Date(now.getTime() + delay * 1000), lockedUntil: null };
+  }
+  return { nextAttemptAt: null, lockedUntil: null };
+};
+
+// One more failure as an update pipeline. The count starts again from one
+// when the lock has run out or the last failure is outside the window.
+const countFailureUpdate = (type, now) => {
+  const lockExpired = {
+    $and: [
+      { $ne: [{ $ifNull: ["$lockedUntil", null] }, null] },
+      { $lte: ["$lockedUntil", now] },
+    ],
+  };
+  const stale = {
+    $gt: [{ $subtract: [now, { $ifNull: ["$lastFailureAt", now] }] }, FAILURE_WINDOW_MS],
+  };
+  return [
+    {
+      $set: {
+        type,
+        failures: {
+          $cond: [{ $or: [lockExpired, stale] }, 1, { $add: [{ $ifNull: ["$failures", 0] }, 1] }],
+        },
+        lockedUntil: { $cond: [lockExpired, null, { $ifNull: ["$lockedUntil", null] }] },
+        nextAttemptAt: null,
+        lastFailureAt: now,
+      },
+    },
+  ];
+};
+
+// Check whether a login for this email/IP may be attempted right now
+const checkLoginAllowed = async (email, ip) => {
+  const entries = await LoginThrottle.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+  }).lean();
+  const now = new Date();
+  let retryAfter = 0;
+  let locked = false;
+  for (const entry of entries) {
+    const wait = retryAfterSeconds(entry, now);
+    if (wait > retryAfter) retryAfter = wait;
+    if (entry.lockedUntil && entry.lockedUntil > now) locked = true;
+  }
+  return { allowed: retryAfter === 0, retryAfter, locked };
+};
+
+const registerFailure = async (key, type, now) => {
+  const policy = POLICIES[type];
+  const entry = await LoginThrottle.findOneAndUpdate({ key }, countFailureUpdate(type, now), {
+    upsert: true,
+    new: true,
+  }).lean();
+
+  // The penalty follows from the count this failure got; $max keeps the
+  // longest one when failures race
+  const penalty = penaltyFor(entry.failures, policy, now);
+  const extend = Object.fromEntries(Object.entries(penalty).filter(([, date]) => date));
+  if (Object.keys(extend).length > 0) {
+    await LoginThrottle.updateOne({ key }, { $max: extend });
+  }
+  if (entry.failures === policy.maxFailures) {
+    logger.warn("Login locked after repeated failures", {
+      key,
+      failures: entry.failures,
+      lockedUntil: penalty.lockedUntil,
+    });
+  }
+  return {
+    failures: entry.failures,
+    lastFailureAt: now,
+    nextAttemptAt: penalty.nextAttemptAt,
+    lockedUntil: penalty.lockedUntil || entry.lockedUntil || null,
+  };
+};
+
+const recordLoginFailure = (email, ip, now = new Date()) =>
+  Promise.all([
+    registerFailure(accountKey(email), "account", now),
+    registerFailure(ipKey(ip), "ip", now),
+  ]);
+
+// A successful login clears the account counter (the IP counter keeps
+// counting so one valid account cannot be used to reset a spraying IP)
+const recordLoginSuccess = (email) =>
+  LoginThrottle.deleteOne({ key: accountKey(email) });
+
+const unlockAccount = (email) => LoginThrottle.deleteOne({ key: accountKey(email) });
+const unlockIp = (ip) => LoginThrottle.deleteOne({ key: ipKey(ip) });
+
+const listLockouts = (type) =>
+  LoginThrottle.find({
+    ...(type ? { type } : {}),
+    lockedUntil: { $gt: new Date() },
+  })
+    .sort({ lockedUntil: -1 })
+    .lean();
+
+// Login history is best-effort: a failure to write it must not block login
+const logLoginAttempt = async (req, { user, email, success, reason }) => {
+  try {
+    await LoginHistory.create({
+      user: user?._id || null,
+      email,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+      success,
+      reason,
+    });
+  } catch (error) {
+    logger.error("Failed to record login history", { error: error.message });
+  }
+};
+
+module.exports = {
+  POLICIES,
+  accountKey,
+  retryAfterSeconds,
+  penaltyFor,
+  countFailureUpdate,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  unlockIp,
+  listLockouts,
+  logLoginAttempt,
+};
@@ -22,4 +22,13 @@ async function sendMail(to, subject, text, html) {
   });
 }
 
-module.exports = { sendMail };
+// Escape text placed in an HTML email body (names, order details, messages)
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+module.exports = { sendMail, escapeHtml };
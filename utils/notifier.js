@@ -0,0 +1,176 @@
+// utils/notifier.js
+// Creates targeted notifications: resolves users/roles/teams to recipients,
+// applies each recipient's preferences, stores one Notification, pushes it to
+// the recipients' socket rooms and emails those who opted in.
+const User = require("../Models/Model");
+const { Notification, NOTIFICATION_CATEGORIES } = require("../Models/Schema");
+const { ADMIN_ROLES } = require("./orderWorkflow");
+const { sendMail, escapeHtml } = require("./mailer");
+const logger = require("./logger");
+
+// Order fields that decide the category of an "order updated" notification,
+// in priority order
+const CATEGORY_FIELDS = [
+  ["approval", ["sostatus"]],
+  ["payment", ["paymentReceived", "paymentCollected", "paymentDue", "paymentMethod"]],
+  ["dispatch", ["dispatchStatus", "dispatchDate", "docketNo", "transporter", "deliveredDate"]],
+  ["installation", ["installationStatus", "installationeng", "installationReport"]],
+];
+
+const categoryForFields = (fields) => {
+  for (const [category, categoryFields] of CATEGORY_FIELDS) {
+    if (fields.some((field) => categoryFields.includes(field))) return category;
+  }
+  return "general";
+};
+
+// Defaults: everything in-app, nothing by email
+const wants = (user, category, channel) => {
+  const value = user.notificationPreferences?.[category]?.[channel];
+  if (value === undefined || value === null) return channel === "inApp";
+  return value;
+};
+
+const toId = (value) => (value?._id ? String(value._id) : value ? String(value) : null);
+
+// { users, roles, teams } -> active users (with email and preferences)
+const resolveRecipients = async ({ users = [], roles = [], teams = [] }) => {
+  const userIds = users.map(toId).filter(Boolean);
+  const teamIds = teams.map(toId).filter(Boolean);
+  const or = [];
+  if (userIds.length || teamIds.length) or.push({ _id: { $in: [...userIds, ...teamIds] } });
+  if (roles.length) or.push({ role: { $in: roles } });
+  if (teamIds.length) or.push({ assignedToLeader: { $in: teamIds } });
+  if (or.length === 0) return [];
+
+  return User.find({ $or: or, isActive: { $ne: false } })
+    .select("username email notificationPreferences")
+    .lean();
+};
+
+// Standard targets for an order event: owner, assignee, their team leaders
+// and the admins
+const orderTargets = (order) => {
+  // assignedTo is an array of users
+  const users = [order.createdBy, ...[].concat(order.assignedTo || [])]
+    .map(toId)
+    .filter(Boolean);
+  return { users, roles: ADMIN_ROLES, leadersOf: users };
+};
+
+const emailBody = (recipient, message) => ({
+  text: `
+Dear ${recipient.username || "User"},
+
+${message}
+
+Regards,
+The Promark Tech Solutions Crew
+  `,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1f2937;">
+      <p>Dear ${escapeHtml(recipient.username || "User")},</p>
+      <p>${escapeHtml(message)}</p>
+      <p>Regards,<br/>The Promark Tech Solutions Crew</p>
+    </div>
+  `,
+});
+
+// notify(io, { message, category, targets: { users, roles, teams, leadersOf },
+//   order, actor, subject }). Never throws: a notification failure must not
+// fail the request that triggered it. Returns the saved Notification or null.
+const notify = async (io, { message, category = "general", targets = {}, order, actor, subject }) => {
+  try {
+    if (!NOTIFICATION_CATEGORIES.includes(category)) category = "general";
+
+    const teams = [...(targets.teams || [])];
+    // leadersOf: notify the team leaders of these users
+    if (targets.leadersOf?.length) {
+      const members = await User.find({ _id: { $in: targets.leadersOf.map(toId) } })
+        .select("assignedToLeader")
+        .lean();
+      const leaderIds = members.map((m) => m.assignedToLeader).filter(Boolean);
+      targets = { ...targets, users: [...(targets.users || []), ...leaderIds] };
+    }
+
+    const recipients = await resolveRecipients({
+      users: targets.users || [],
+      roles: targets.roles || [],
+      teams,
+    });
+    const inApp = recipients.filter((user) => wants(user, category, "inApp"));
+    const byEmail = recipients.filter((user) => user.email && wants(user, category, "email"));
+
+    let notification = null;
+    if (inApp.length > 0) {
+      notification = await Notification.create({
+        message,
+        category,
+        targets: {
+          users: (targets.users || []).map(toId).filter(Boolean),
+          roles: targets.roles || [],
+          teams: teams.map(toId).filter(Boolean),
+        },
+        recipients: inApp.map((user) => user._id),
+        order: order?._id || null,
+        orderId: order?.orderId || "",
+        userId: toId(actor),
+        timestamp: new Date(),
+      });
+
+      if (io) {
+        io.to(inApp.map((user) => `user:${user._id}`)).emit("notification", {
+          _id: String(notification._id),
+          message: notification.message,
+          category,
+          timestamp: notification.timestamp,
+          isRead: false,
+          userId: notification.userId ? String(notification.userId) : null,
+          orderId: order ? order.orderId || String(order._id) : null,
+        });
+      }
+    }
+
+    // Emails go out in the background so SMTP latency does not slow the request
+    if (byEmail.length > 0) {
+      Promise.allSettled(
+        byEmail.map((user) => {
+          const { text, html } = emailBody(user, message);
+          return sendMail(user.email, subject || message, text, html);
+        }),
+      ).then((results) => {
+        const failed = results.filter((result) => result.status === "rejected");
+        if (failed.length > 0) {
+          logger.warn("Failed to email some notification recipients", {
+            category,
+            failed: failed.length,
+            error: failed[0].reason?.message,
+          });
+        }
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    logger.error("Failed to create notification", {
+      error: error.message,
+      category,
+      orderId: order?.orderId,
+    });
+    return null;
+  }
+};
+
+// Visibility of notifications for one user (targeted + legacy broadcasts)
+const visibleTo = (userId) => ({
+  $or: [{ recipients: userId }, { role: "All", "recipients.0": { $exists: false } }],
+  dismissedBy: { $ne: userId },
+});
+
+module.exports = {
+  categoryForFields,
+  orderTargets,
+  resolveRecipients,
+  notify,
+  visibleTo,
+};
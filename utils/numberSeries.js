@@ -0,0 +1,258 @@
+// utils/numberSeries.js
+// Number series per company and document type, restarting every Indian
+// fiscal year (April-March): PMTO/25-26/0001 for orders, PMT/25-26/0001 for
+// tax invoices, and so on. Sequences come from an atomic counter per series
+// and year, and every number handed out is registered in IssuedNumber, whose
+// unique indexes guarantee a number is never issued twice. Numbers are never
+// reused: cancelling one leaves a visible entry for the auditors' gap report.
+//
+// Orders created before the series (PMTO1, PMTO2, ...) keep their ids; only
+// new orders draw from the "order" series.
+const {
+  NumberSeries,
+  SeriesCounter,
+  IssuedNumber,
+  SERIES_DOC_TYPES,
+} = require("../Models/NumberSeriesSchema");
+const logger = require("./logger");
+
+const DEFAULT_PREFIXES = {
+  Promark: "PMT",
+  Foxmate: "FXM",
+  Promine: "PMN",
+  Primus: "PRM",
+};
+
+// docType -> order field it fills, default format, date that decides the fiscal year
+const SERIES = {
+  order: { field: "orderId", format: "{prefix}O/{fy}/{seq}", dateField: null },
+  proforma: { field: "piNumber", format: "{prefix}PI/{fy}/{seq}", dateField: null },
+  invoice: { field: "invoiceNo", format: "{prefix}/{fy}/{seq}", dateField: "invoiceDate" },
+  challan: { field: "challanNo", format: "{prefix}DC/{fy}/{seq}", dateField: "dispatchDate" },
+};
+
+const DEFAULT_PADDING = 4;
+
+// GST document number rules: at most 16 characters, alphanumerics, "/" and
+// "-", not starting with 0, "/" or "-"
+const NUMBER_PATTERN = /^[A-Z1-9][A-Z0-9/-]{0,15}$/;
+
+// How many sequences to skip past numbers that are already taken before giving up
+const MAX_ATTEMPTS = 5;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// "25-26" for any date from 1 April 2025 to 31 March 2026 (IST)
+const fiscalYearOf = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  const short = (year) => String(year % 100).padStart(2, "0");
+  return `${short(start)}-${short(start + 1)}`;
+};
+
+const formatNumber = ({ prefix, format, padding }, fiscalYear, sequence) =>
+  format
+    .replace("{prefix}", prefix)
+    .replace("{fy}", fiscalYear)
+    .replace("{seq}", String(sequence).padStart(padding, "0"))
+    .toUpperCase();
+
+// Returns an error message, or null when the series is usable
+const validateSeries = ({ prefix, format, padding }) => {
+  if (!/^[A-Z0-9]{1,8}$/i.test(prefix || "")) {
+    return "Prefix must be 1-8 letters or digits";
+  }
+  if (!format || !format.includes("{fy}") || !format.includes("{seq}")) {
+    return "Format must contain {fy} and {seq} so numbers stay unique across years";
+  }
+  if (!Number.isInteger(padding) || padding < 1 || padding > 8) {
+    return "Padding must be between 1 and 8";
+  }
+  const sample = formatNumber({ prefix, format, padding }, "25-26", 1);
+  if (!NUMBER_PATTERN.test(sample)) {
+    return `Numbers like ${sample} are not valid GST document numbers (max 16 characters: letters, digits, / and -)`;
+  }
+  return null;
+};
+
+// Effective series settings: stored overrides on top of the defaults
+const getSeries = async (company, docType) => {
+  const config = await NumberSeries.findOne({ company, docType }).lean();
+  return {
+    company,
+    docType,
+    prefix: config?.prefix || DEFAULT_PREFIXES[company] || DEFAULT_PREFIXES.Promark,
+    format: config?.format || SERIES[docType].format,
+    padding: config?.padding || DEFAULT_PADDING,
+    customized: Boolean(config),
+  };
+};
+
+// Draw the next number of a series and register it.
+// actor: { by, byName }. Returns { number, fiscalYear, sequence }.
+const allocateNumber = async ({ company, docType, date, order, actor = {} }) => {
+  if (!SERIES[docType]) throw new Error(`Unknown number series: ${docType}`);
+  const series = await getSeries(company, docType);
+  const fiscalYear = fiscalYearOf(date || new Date());
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const counter = await SeriesCounter.findOneAndUpdate(
+      { _id: `${company}:${docType}:${fiscalYear}` },
+      { $inc: { sequence: 1 }, $setOnInsert: { company, docType, fiscalYear } },
+      { new: true, upsert: true },
+    );
+    const number = formatNumber(series, fiscalYear, counter.sequence);
+    try {
+      await IssuedNumber.create({
+        number,
+        company,
+        docType,
+        fiscalYear,
+        sequence: counter.sequence,
+        order: order?._id,
+        orderId: docType === "order" ? number : order?.orderId,
+        issuedBy: actor.by,
+        issuedByName: actor.byName,
+      });
+      return { number, fiscalYear, sequence: counter.sequence };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Already issued, e.g. the format was switched back to one used earlier
+      // this year. The skipped sequence shows up in the gap report.
+      logger.warn("Number already issued, skipping", { company, docType, fiscalYear, number });
+    }
+  }
+  throw new Error(`Could not allocate a ${docType} number for ${company}`);
+};
+
+const actorOf = (req) => ({
+  by: req?.user?.id || null,
+  byName: req?.user?.username || req?.user?.email || "System",
+});
+
+// Give an order its PI / invoice / challan number unless it already has one.
+// Returns { number, existing, order } with the updated order document.
+const assignNumber = async (order, docType, req) => {
+  const { field, dateField } = SERIES[docType];
+  if (order[field]) return { number: order[field], existing: true, order };
+
+  const date = (dateField && order[dateField]) || new Date();
+  const { number } = await allocateNumber({
+    company: order.company,
+    docType,
+    date,
+    order,
+    actor: actorOf(req),
+  });
+
+  const set = { [field]: number };
+  if (docType === "invoice" && !order.invoiceDate) set.invoiceDate = date;
+  const Order = order.constructor;
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, [field]: { $in: [null, ""] } },
+    { $set: set },
+    { new: true },
+  );
+  if (!updated) {
+    // A concurrent request numbered the order first; ours is void
+    await cancelNumbers({ number }, "Order was numbered by a concurrent request");
+    const current = await Order.findById(order._id);
+    return { number: current?.[field], existing: true, order: current };
+  }
+  return { number, existing: false, order: updated };
+};
+
+// Cancel issued numbers matching `filter` (e.g. { order }) with a reason
+const cancelNumbers = async (filter, reason) => {
+  const result = await IssuedNumber.updateMany(
+    { ...filter, status: "issued" },
+    { $set: { status: "cancelled", cancelledAt: new Date(), cancelReason: reason } },
+  );
+  if (result.modifiedCount > 0) {
+    logger.info("Issued numbers cancelled", { filter, reason, count: result.modifiedCount });
+  }
+  return result.modifiedCount;
+};
+
+// True when `number` was issued from a series to some other order.
+// Cancelled numbers count too: they are never reused.
+const isIssuedElsewhere = async (number, orderId) =>
+  Boolean(
+    await IssuedNumber.exists({
+      number: String(number).trim().toUpperCase(),
+      order: { $ne: orderId },
+    }),
+  );
+
+// Collapse sorted sequences into [{ from, to }]
+const toRanges = (sequences) => {
+  const ranges = [];
+  for (const sequence of sequences) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === sequence - 1) last.to = sequence;
+    else ranges.push({ from: sequence, to: sequence });
+  }
+  return ranges;
+};
+
+// Per series and fiscal year: last sequence, issued and cancelled numbers,
+// and sequences that were drawn but never registered (missing).
+const gapReport = async ({ company, docType, fiscalYear } = {}) => {
+  const filter = {};
+  if (company) filter.company = company;
+  if (docType) filter.docType = docType;
+  if (fiscalYear) filter.fiscalYear = fiscalYear;
+
+  const counters = await SeriesCounter.find(filter)
+    .sort({ fiscalYear: -1, company: 1, docType: 1 })
+    .lean();
+
+  const report = [];
+  for (const counter of counters) {
+    const issued = await IssuedNumber.find({
+      company: counter.company,
+      docType: counter.docType,
+      fiscalYear: counter.fiscalYear,
+    })
+      .select("number sequence status order orderId issuedAt cancelledAt cancelReason")
+      .sort({ sequence: 1 })
+      .lean();
+
+    const seen = new Set(issued.map((entry) => entry.sequence));
+    const missing = [];
+    for (let sequence = 1; sequence <= counter.sequence; sequence++) {
+      if (!seen.has(sequence)) missing.push(sequence);
+    }
+    const cancelled = issued.filter((entry) => entry.status === "cancelled");
+
+    report.push({
+      company: counter.company,
+      docType: counter.docType,
+      fiscalYear: counter.fiscalYear,
+      lastSequence: counter.sequence,
+      issuedCount: issued.length - cancelled.length,
+      cancelledCount: cancelled.length,
+      missingCount: missing.length,
+      missing: toRanges(missing),
+      cancelled,
+      issued: issued.filter((entry) => entry.status === "issued"),
+    });
+  }
+  return report;
+};
+
+module.exports = {
+  SERIES,
+  SERIES_DOC_TYPES,
+  DEFAULT_PREFIXES,
+  DEFAULT_PADDING,
+  fiscalYearOf,
+  formatNumber,
+  validateSeries,
+  getSeries,
+  allocateNumber,
+  assignNumber,
+  cancelNumbers,
+  isIssuedElsewhere,
+  gapReport,
+};
@@ -0,0 +1,31 @@
+// utils/orderAccess.js
+// Which orders a user may open by id: admins all of them, Sales their own
+// and their team's (as in the order list), department roles the orders in
+// their queue scope (dispatch locations / companies, see getQueueScope).
+const mongoose = require("mongoose");
+const User = require("../Models/Model");
+const { Order } = require("../Models/Schema");
+const { getQueueScope } = require("./orderWorkflow");
+const { isAdminRole } = require("./permissions");
+
+// Mongo filter of the orders visible to the authenticated user (req.user)
+const orderVisibilityFilter = async (user) => {
+  if (isAdminRole(user.role)) return {};
+  if (user.role === "Sales") {
+    const team = await User.find({ assignedToLeader: user.id }).select("_id").lean();
+    const ids = [new mongoose.Types.ObjectId(user.id), ...team.map((member) => member._id)];
+    return { $or: [{ createdBy: { $in: ids } }, { assignedTo: { $in: ids } }] };
+  }
+  // The access token does not carry the scope, so read it from the user
+  const scopeUser = await User.findById(user.id).select("dispatchLocations companies").lean();
+  return getQueueScope(scopeUser);
+};
+
+// The order with this id if the user may see it, otherwise null
+const findVisibleOrder = async (user, id, { lean = false } = {}) => {
+  const filter = await orderVisibilityFilter(user);
+  const query = Order.findOne({ $and: [{ _id: id }, filter] });
+  return lean ? query.lean() : query;
+};
+
+module.exports = { orderVisibilityFilter, findVisibleOrder };
@@ -0,0 +1,112 @@
+const { OrderHistory } = require("../Models/Schema");
+const logger = require("./logger");
+
+// Fields that are bookkeeping only and never shown in the audit timeline
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Convert a value into a plain, comparable form (dates -> ISO, subdocs -> objects)
+const normalize = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toObject === "function") {
+    return normalize(value.toObject());
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === "object") {
+    if (value._bsontype === "ObjectId" || value._bsontype === "ObjectID") {
+      return String(value);
+    }
+    const plain = {};
+    for (const key of Object.keys(value)) {
+      // Product subdocument ids change on every edit, so they are not a real change
+      if (key === "_id") continue;
+      plain[key] = normalize(value[key]);
+    }
+    return plain;
+  }
+  return value;
+};
+
+const isSame = (a, b) =>
+  JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Build field-level changes between two versions of an order
+const diffOrderFields = (before, after, fields) => {
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (!isSame(oldValue, newValue)) {
+      changes.push({
+        field,
+        oldValue: normalize(oldValue),
+        newValue: normalize(newValue),
+      });
+    }
+  }
+  return changes;
+};
+
+// All populated fields of an order, used for create/delete entries
+const orderFields = (order) => {
+  const plain = order && typeof order.toObject === "function"
+    ? order.toObject()
+    : order || {};
+  return Object.keys(plain).filter((field) => !IGNORED_FIELDS.includes(field));
+};
+
+const buildEntry = (req, order, action, changes) => ({
+  order: order._id,
+  orderId: order.orderId || "",
+  action,
+  changes,
+  actor: req.user?.id || null,
+  actorName: req.user?.username || req.user?.email || "Unknown User",
+  actorRole: req.user?.role || "",
+  timestamp: new Date(),
+});
+
+// Persist history entries. Audit failures are logged but never fail the request.
+const recordOrderHistory = async (entries) => {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(
+    (entry) => entry && (entry.action !== "update" || entry.changes.length > 0),
+  );
+  if (list.length === 0) return;
+  try {
+    await OrderHistory.insertMany(list);
+  } catch (error) {
+    logger.error("Failed to record order history", {
+      error: error.message,
+      orders: list.map((entry) => String(entry.order)),
+    });
+  }
+};
+
+const recordCreate = (req, order, action = "create") => {
+  const after = order.toObject ? order.toObject() : order;
+  return buildEntry(req, order, action, diffOrderFields(null, after, orderFields(order)));
+};
+
+const recordUpdate = (req, before, after, fields) => {
+  const beforePlain = before.toObject ? before.toObject() : before;
+  const afterPlain = after.toObject ? after.toObject() : after;
+  // createdBy is populated on the updated document; compare ids only
+  if (afterPlain.createdBy && afterPlain.createdBy._id) {
+    afterPlain.createdBy = afterPlain.createdBy._id;
+  }
+  return buildEntry(req, after, "update", diffOrderFields(beforePlain, afterPlain, fields));
+};
+
+const recordDelete = (req, order) => {
+  const before = order.toObject ? order.toObject() : order;
+  return buildEntry(req, order, "delete", diffOrderFields(before, null, orderFields(order)));
+};
+
+module.exports = {
+  diffOrderFields,
+  recordOrderHistory,
+  recordCreate,
+  recordUpdate,
+  recordDelete,
+};
@@ -0,0 +1,163 @@
+// utils/orderProjection.js
+// What each role may see of an order in real-time payloads. Department roles
+// get the fields they work with; customer contacts and payment details only
+// go to the roles that need them.
+
+// Identification and status fields every role sees
+const BASE_FIELDS = [
+  "_id",
+  "orderId",
+  "soDate",
+  "customername",
+  "city",
+  "state",
+  "company",
+  "dispatchFrom",
+  "orderType",
+  "sostatus",
+  "dispatchStatus",
+  "fulfillingStatus",
+  "billStatus",
+  "installationStatus",
+  "stockStatus",
+  "paymentTerms",
+  "createdBy",
+  "assignedTo",
+  "salesPerson",
+  "deliveryDate",
+  "approvalTimestamp",
+  "submissionTime",
+  "createdAt",
+  "updatedAt",
+];
+
+const CONTACT_FIELDS = ["name", "contactNo", "alterno", "customerEmail", "pinCode", "shippingAddress"];
+
+const PAYMENT_FIELDS = [
+  "total",
+  "paymentCollected",
+  "paymentMethod",
+  "paymentDue",
+  "neftTransactionId",
+  "chequeId",
+  "paymentReceived",
+  "creditDays",
+  "freightcs",
+];
+
+// Product price columns, hidden from roles without a view on payments
+const PRODUCT_PRICE_FIELDS = ["unitPrice", "gst"];
+
+// "*" = the whole document (Sales only ever receives its own / its team's orders)
+const ROLE_VIEWS = {
+  Admin: "*",
+  SuperAdmin: "*",
+  Sales: "*",
+  Production: {
+    fields: ["products", "remarks", "remarksByProduction", "fulfillmentDate"],
+    prices: false,
+  },
+  ProductionApproval: {
+    fields: ["products", "remarks"],
+    prices: false,
+  },
+  Finish: {
+    fields: [
+      "products",
+      "name",
+      "contactNo",
+      "alterno",
+      "pinCode",
+      "shippingAddress",
+      "freightstatus",
+      "transporter",
+      "transporterDetails",
+      "docketNo",
+      "dispatchDate",
+      "receiptDate",
+      "deliveredDate",
+      "actualFreight",
+      "stamp",
+      "productno",
+    ],
+    prices: false,
+  },
+  Installation: {
+    fields: [
+      "products",
+      ...CONTACT_FIELDS,
+      "installation",
+      "installchargesstatus",
+      "installationeng",
+      "remarksByInstallation",
+      "installationStatusDate",
+      "installationReport",
+      "installationFile",
+      "deliveredDate",
+    ],
+    prices: false,
+  },
+  Bill: {
+    fields: [
+      "products",
+      "name",
+      "gstno",
+      "billingAddress",
+      "shippingAddress",
+      "total",
+      "freightstatus",
+      "installchargesstatus",
+      "billNumber",
+      "piNumber",
+      "invoiceNo",
+      "invoiceDate",
+      "remarksByBilling",
+    ],
+    prices: true,
+  },
+  Verification: {
+    fields: ["products", ...PAYMENT_FIELDS, "verificationRemarks", "remarks"],
+    prices: true,
+  },
+  Accounts: {
+    fields: [
+      "products",
+      ...PAYMENT_FIELDS,
+      "name",
+      "contactNo",
+      "customerEmail",
+      "gstno",
+      "billingAddress",
+      "installchargesstatus",
+      "invoiceNo",
+      "invoiceDate",
+      "remarksByAccounts",
+    ],
+    prices: true,
+  },
+};
+
+const stripPrices = (product) => {
+  const copy = { ...product };
+  for (const field of PRODUCT_PRICE_FIELDS) delete copy[field];
+  return copy;
+};
+
+// Returns the part of `order` (a plain object) that `role` may see.
+// Unknown roles only get the base fields.
+const projectOrder = (order, role) => {
+  if (!order) return order;
+  const view = ROLE_VIEWS[role] || { fields: [], prices: false };
+  if (view === "*") return order;
+
+  const projected = {};
+  for (const field of [...BASE_FIELDS, ...view.fields]) {
+    if (order[field] !== undefined) projected[field] = order[field];
+  }
+  if (Array.isArray(projected.products) && !view.prices) {
+    projected.products = projected.products.map(stripPrices);
+  }
+  return projected;
+};
+
+module.exports = { ROLE_VIEWS, projectOrder };
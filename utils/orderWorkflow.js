@@ -0,0 +1,493 @@
+// utils/orderWorkflow.js
+// Single source of truth for order status transitions, who may trigger them,
+// their side-effects, and the department queues derived from the same states.
+
+const ADMIN_ROLES = ["Admin", "SuperAdmin"];
+
+const DISPATCH_LOCATIONS = [
+  "Patna",
+  "Bareilly",
+  "Ranchi",
+  "Morinda",
+  "Lucknow",
+  "Delhi",
+  "Jaipur",
+  "Rajasthan",
+];
+
+// Orders from every location except Morinda ship from stock and skip production
+const STOCK_LOCATIONS = DISPATCH_LOCATIONS.filter((loc) => loc !== "Morinda");
+
+const SO = {
+  PENDING: "Pending for Approval",
+  ACCOUNTS_APPROVED: "Accounts Approved",
+  APPROVED: "Approved",
+  ON_HOLD: "Order on Hold Due to Low Price",
+  CANCELLED: "Order Cancelled",
+};
+
+const DISPATCH = {
+  NOT_DISPATCHED: "Not Dispatched",
+  DOCKET_AWAITED: "Docket Awaited Dispatched",
+  HOLD_SALES: "Hold by Salesperson",
+  HOLD_CUSTOMER: "Hold by Customer",
+  CANCELLED: "Order Cancelled",
+  DISPATCHED: "Dispatched",
+  DELIVERED: "Delivered",
+};
+
+// ---------------------------------------------------------------------------
+// Side-effects. Each receives a context and writes into ctx.updateFields.
+// ---------------------------------------------------------------------------
+const setNow = (field) => (ctx) => {
+  ctx.updateFields[field] = new Date();
+};
+
+// Only fill a date the first time, and never over a value the user sent
+const setDateOnce = (field) => (ctx) => {
+  if (!ctx.explicit(field) && !ctx.existingOrder[field]) {
+    ctx.updateFields[field] = new Date();
+  }
+};
+
+const markFulfilled = (ctx) => {
+  ctx.updateFields.fulfillingStatus = "Fulfilled";
+  ctx.updateFields.completionStatus = "Complete";
+  ctx.updateFields.fulfillmentDate = new Date();
+};
+
+// Demo orders and orders shipped from stock locations are fulfilled on approval
+const autoFulfillOnApproval = (ctx) => {
+  const { orderType, dispatchFrom } = ctx.merged;
+  if (orderType === "Demo" || (dispatchFrom && dispatchFrom !== "Morinda")) {
+    markFulfilled(ctx);
+  }
+};
+
+const completeFulfillment = (ctx) => {
+  ctx.updateFields.completionStatus = "Complete";
+  if (!ctx.existingOrder.fulfillmentDate) {
+    ctx.updateFields.fulfillmentDate = new Date();
+  }
+};
+
+// Keep the paired status in sync unless the user set it in the same request
+const syncField = (field, value) => (ctx) => {
+  if (!ctx.explicit(field)) {
+    ctx.updateFields[field] = value;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Guards. Return an error message when the transition is not allowed.
+// ---------------------------------------------------------------------------
+const requireApproved = (order) =>
+  order.sostatus === SO.APPROVED
+    ? null
+    : `Order must be "${SO.APPROVED}" first (currently "${order.sostatus}")`;
+
+const requireReadyToDispatch = (order) =>
+  requireApproved(order) ||
+  (["Fulfilled", "Partial Dispatch"].includes(order.fulfillingStatus)
+    ? null
+    : `Production must be Fulfilled before dispatch (currently "${order.fulfillingStatus}")`);
+
+const requireDelivered = (order) =>
+  order.dispatchStatus === DISPATCH.DELIVERED
+    ? null
+    : `Order must be "${DISPATCH.DELIVERED}" first (currently "${order.dispatchStatus}")`;
+
+// The paired status synced by an effect must be able to make its own move:
+// an order already Delivered cannot be cancelled through sostatus either.
+// When the request sets the paired field too, that change is checked on its own.
+const requirePairedTransition = (field, value) => (order, ctx) => {
+  if (ctx.explicit(field)) return null;
+  const from = ctx.existingOrder[field] || WORKFLOWS[field].initial;
+  return from === value || findTransition(field, from, value)
+    ? null
+    : `Cannot change ${field} from "${from}" to "${value}"`;
+};
+
+// ---------------------------------------------------------------------------
+// Workflow definitions. Admin roles may trigger any declared transition.
+// ---------------------------------------------------------------------------
+const WORKFLOWS = {
+  sostatus: {
+    initial: SO.PENDING,
+    states: Object.values(SO),
+    transitions: [
+      { from: [SO.PENDING, SO.ON_HOLD], to: SO.ACCOUNTS_APPROVED, roles: ["Accounts", "Verification"] },
+      { from: [SO.ACCOUNTS_APPROVED], to: SO.PENDING, roles: ["Accounts", "Verification"] },
+      {
+        from: [SO.PENDING, SO.ACCOUNTS_APPROVED, SO.ON_HOLD],
+        to: SO.APPROVED,
+        roles: ["ProductionApproval"],
+        effects: [setNow("approvalTimestamp"), autoFulfillOnApproval],
+      },
+      {
+        from: [SO.PENDING, SO.ACCOUNTS_APPROVED, SO.APPROVED],
+        to: SO.ON_HOLD,
+        roles: ["Accounts", "Verification", "ProductionApproval"],
+      },
+      { from: [SO.ON_HOLD], to: SO.PENDING, roles: ["Sales", "Accounts", "Verification", "ProductionApproval"] },
+      { from: [SO.APPROVED], to: SO.PENDING, roles: [] },
+      {
+        from: [SO.PENDING, SO.ACCOUNTS_APPROVED, SO.APPROVED, SO.ON_HOLD],
+        to: SO.CANCELLED,
+        roles: ["Sales", "ProductionApproval"],
+        guard: requirePairedTransition("dispatchStatus", DISPATCH.CANCELLED),
+        effects: [syncField("dispatchStatus", DISPATCH.CANCELLED)],
+      },
+      {
+        from: [SO.CANCELLED],
+        to: SO.PENDING,
+        roles: ["Sales"],
+        guard: requirePairedTransition("dispatchStatus", DISPATCH.NOT_DISPATCHED),
+        effects: [syncField("dispatchStatus", DISPATCH.NOT_DISPATCHED)],
+      },
+    ],
+  },
+
+  dispatchStatus: {
+    initial: DISPATCH.NOT_DISPATCHED,
+    states: Object.values(DISPATCH),
+    transitions: [
+      {
+        from: [DISPATCH.NOT_DISPATCHED, DISPATCH.HOLD_SALES, DISPATCH.HOLD_CUSTOMER],
+        to: DISPATCH.DOCKET_AWAITED,
+        roles: ["Finish"],
+        guard: requireReadyToDispatch,
+        effects: [setDateOnce("dispatchDate")],
+      },
+      {
+        from: [DISPATCH.NOT_DISPATCHED, DISPATCH.HOLD_SALES, DISPATCH.HOLD_CUSTOMER, DISPATCH.DOCKET_AWAITED],
+        to: DISPATCH.DISPATCHED,
+        roles: ["Finish"],
+        guard: requireReadyToDispatch,
+        effects: [setDateOnce("dispatchDate")],
+      },
+      {
+        from: [DISPATCH.DISPATCHED, DISPATCH.DOCKET_AWAITED],
+        to: DISPATCH.DELIVERED,
+        roles: ["Finish"],
+        effects: [setDateOnce("dispatchDate"), setDateOnce("receiptDate")],
+      },
+      { from: [DISPATCH.DELIVERED], to: DISPATCH.DISPATCHED, roles: ["Finish"] },
+      {
+        from: [DISPATCH.DISPATCHED, DISPATCH.DOCKET_AWAITED, DISPATCH.HOLD_SALES, DISPATCH.HOLD_CUSTOMER],
+        to: DISPATCH.NOT_DISPATCHED,
+        roles: ["Sales", "Finish"],
+      },
+      {
+        from: [DISPATCH.NOT_DISPATCHED, DISPATCH.DOCKET_AWAITED, DISPATCH.DISPATCHED, DISPATCH.HOLD_CUSTOMER],
+        to: DISPATCH.HOLD_SALES,
+        roles: ["Sales", "Finish"],
+      },
+      {
+        from: [DISPATCH.NOT_DISPATCHED, DISPATCH.DOCKET_AWAITED, DISPATCH.DISPATCHED, DISPATCH.HOLD_SALES],
+        to: DISPATCH.HOLD_CUSTOMER,
+        roles: ["Sales", "Finish"],
+      },
+      {
+        from: [
+          DISPATCH.NOT_DISPATCHED,
+          DISPATCH.DOCKET_AWAITED,
+          DISPATCH.DISPATCHED,
+          DISPATCH.HOLD_SALES,
+          DISPATCH.HOLD_CUSTOMER,
+        ],
+        to: DISPATCH.CANCELLED,
+        roles: ["Sales", "Finish"],
+        guard: requirePairedTransition("sostatus", SO.CANCELLED),
+        effects: [syncField("sostatus", SO.CANCELLED)],
+      },
+      {
+        from: [DISPATCH.CANCELLED],
+        to: DISPATCH.NOT_DISPATCHED,
+        roles: ["Sales", "Finish"],
+        guard: requirePairedTransition("sostatus", SO.PENDING),
+        effects: [syncField("sostatus", SO.PENDING)],
+      },
+    ],
+  },
+
+  fulfillingStatus: {
+    initial: "Pending",
+    states: ["Pending", "Under Process", "Partial Dispatch", "Fulfilled"],
+    transitions: [
+      { from: ["Pending", "Partial Dispatch"], to: "Under Process", roles: ["Production"] },
+      { from: ["Under Process", "Partial Dispatch", "Fulfilled"], to: "Pending", roles: ["Production"] },
+      {
+        from: ["Pending", "Under Process"],
+        to: "Partial Dispatch",
+        roles: ["Production"],
+        guard: requireApproved,
+      },
+      {
+        from: ["Pending", "Under Process", "Partial Dispatch"],
+        to: "Fulfilled",
+        roles: ["Production"],
+        guard: requireApproved,
+        effects: [completeFulfillment],
+      },
+      { from: ["Fulfilled"], to: "Partial Dispatch", roles: ["Production"] },
+    ],
+  },
+
+  installationStatus: {
+    initial: "Pending",
+    states: ["Pending", "In Progress", "Site Not Ready", "Hold", "Completed"],
+    transitions: [
+      { from: ["Pending", "Site Not Ready", "Hold"], to: "In Progress", roles: ["Installation"] },
+      { from: ["Pending", "In Progress", "Hold"], to: "Site Not Ready", roles: ["Installation"] },
+      { from: ["Pending", "In Progress", "Site Not Ready"], to: "Hold", roles: ["Installation"] },
+      { from: ["In Progress", "Site Not Ready", "Hold"], to: "Pending", roles: ["Installation"] },
+      {
+        from: ["Pending", "In Progress", "Site Not Ready", "Hold"],
+        to: "Completed",
+        roles: ["Installation"],
+        guard: requireDelivered,
+      },
+      { from: ["Completed"], to: "In Progress", roles: ["Installation"] },
+    ],
+  },
+
+  billStatus: {
+    initial: "Pending",
+    states: ["Pending", "Under Billing", "Billing Complete"],
+    transitions: [
+      { from: ["Pending"], to: "Under Billing", roles: ["Bill"], guard: requireApproved },
+      {
+        from: ["Pending", "Under Billing"],
+        to: "Billing Complete",
+        roles: ["Bill"],
+        guard: requireApproved,
+      },
+      { from: ["Under Billing"], to: "Pending", roles: ["Bill"] },
+      { from: ["Billing Complete"], to: "Under Billing", roles: ["Bill"] },
+    ],
+  },
+};
+
+// Rules triggered by plain (non-status) field changes
+const FIELD_EFFECTS = {
+  // Morinda orders go through production; every other location ships from stock
+  dispatchFrom: (ctx) => {
+    if (ctx.updateFields.dispatchFrom === "Morinda") {
+      ctx.updateFields.fulfillingStatus = "Pending";
+      ctx.updateFields.completionStatus = "In Progress";
+    } else {
+      markFulfilled(ctx);
+    }
+  },
+};
+
+const findTransition = (field, from, to) =>
+  WORKFLOWS[field].transitions.find(
+    (t) => t.to === to && t.from.includes(from),
+  );
+
+// Validate every status change in updateFields and apply its side-effects.
+// Returns { ok: true } or { ok: false, status, error, field, from, to }.
+const applyWorkflow = ({ existingOrder, updateFields, explicit, role }) => {
+  const current = existingOrder.toObject ? existingOrder.toObject() : existingOrder;
+  const isAdmin = ADMIN_ROLES.includes(role);
+  const changed = Object.keys(WORKFLOWS).filter(
+    (field) =>
+      updateFields[field] !== undefined &&
+      updateFields[field] !== (current[field] || WORKFLOWS[field].initial),
+  );
+
+  const ctx = {
+    existingOrder: current,
+    updateFields,
+    explicit,
+    merged: { ...current, ...updateFields },
+  };
+
+  const toApply = [];
+  for (const field of changed) {
+    const workflow = WORKFLOWS[field];
+    const from = current[field] || workflow.initial;
+    const to = updateFields[field];
+
+    if (!workflow.states.includes(to)) {
+      return {
+        ok: false,
+        status: 422,
+        field,
+        from,
+        to,
+        error: `Invalid ${field} "${to}". Allowed values: ${workflow.states.join(", ")}`,
+      };
+    }
+
+    const transition = findTransition(field, from, to);
+    if (!transition) {
+      return {
+        ok: false,
+        status: 409,
+        field,
+        from,
+        to,
+        error: `Cannot change ${field} from "${from}" to "${to}"`,
+      };
+    }
+
+    if (!isAdmin && !transition.roles.includes(role)) {
+      return {
+        ok: false,
+        status: 403,
+        field,
+        from,
+        to,
+        error: `Role "${role}" is not allowed to change ${field} from "${from}" to "${to}"`,
+      };
+    }
+
+    const guardError = transition.guard && transition.guard(ctx.merged, ctx);
+    if (guardError) {
+      return { ok: false, status: 409, field, from, to, error: guardError };
+    }
+
+    toApply.push(transition);
+  }
+
+  for (const transition of toApply) {
+    for (const effect of transition.effects || []) effect(ctx);
+  }
+
+  for (const [field, effect] of Object.entries(FIELD_EFFECTS)) {
+    if (updateFields[field] && updateFields[field] !== current[field]) {
+      effect(ctx);
+    }
+  }
+
+  return { ok: true };
+};
+
+// ---------------------------------------------------------------------------
+// Department queues, built from the same states as the workflow above.
+// ---------------------------------------------------------------------------
+const NOT_CANCELLED = { $ne: DISPATCH.CANCELLED };
+
+const QUEUES = {
+  production: {
+    role: "Production",
+    filter: {
+      sostatus: SO.APPROVED,
+      dispatchFrom: { $nin: STOCK_LOCATIONS },
+      fulfillingStatus: { $ne: "Fulfilled" },
+      dispatchStatus: NOT_CANCELLED,
+    },
+  },
+  finishedGoods: {
+    role: "Finish",
+    filter: {
+      fulfillingStatus: { $in: ["Fulfilled", "Partial Dispatch"] },
+      dispatchStatus: { $nin: [DISPATCH.CANCELLED] },
+      stamp: { $ne: "Received" },
+    },
+  },
+  verification: {
+    role: "Verification",
+    filter: {
+      paymentTerms: { $in: ["100% Advance", "Partial Advance"] },
+      sostatus: { $nin: [SO.ACCOUNTS_APPROVED, SO.APPROVED, SO.ON_HOLD] },
+      dispatchStatus: NOT_CANCELLED,
+    },
+  },
+  productionApproval: {
+    role: "ProductionApproval",
+    filter: {
+      $or: [
+        { sostatus: SO.ACCOUNTS_APPROVED },
+        { $and: [{ sostatus: SO.PENDING }, { paymentTerms: "Credit" }] },
+        { $and: [{ stockStatus: "Partial Stock" }, { sostatus: SO.APPROVED }] },
+      ],
+      dispatchStatus: NOT_CANCELLED,
+    },
+  },
+  bill: {
+    role: "Bill",
+    filter: {
+      sostatus: SO.APPROVED,
+      billStatus: { $ne: "Billing Complete" },
+      dispatchStatus: NOT_CANCELLED,
+    },
+  },
+  installation: {
+    role: "Installation",
+    filter: {
+      dispatchStatus: DISPATCH.DELIVERED,
+      installchargesstatus: { $ne: "Not in Scope" },
+      installationStatus: { $ne: "Completed" },
+    },
+  },
+  accounts: {
+    role: "Accounts",
+    filter: {
+      paymentReceived: { $ne: "Received" },
+      dispatchStatus: NOT_CANCELLED,
+      $or: [
+        // Normal flow: installation completed
+        { installationStatus: "Completed" },
+        // Bypass flow: Not in Scope (ignore installation status)
+        { installchargesstatus: "Not in Scope" },
+      ],
+    },
+  },
+};
+
+// Dashboard tiles (also used by the dashboardFilter of buildOrderQuery)
+const DASHBOARD_FILTERS = {
+  production: {
+    sostatus: SO.APPROVED,
+    dispatchFrom: { $nin: STOCK_LOCATIONS },
+    fulfillingStatus: { $ne: "Fulfilled" },
+  },
+  installation: {
+    dispatchStatus: DISPATCH.DELIVERED,
+    installationStatus: { $in: ["Pending", "In Progress", "Site Not Ready", "Hold"] },
+  },
+  dispatch: {
+    fulfillingStatus: "Fulfilled",
+    dispatchStatus: { $ne: DISPATCH.DELIVERED },
+  },
+};
+
+// Callers get their own copy so they can safely extend the filter
+const clone = (filter) => JSON.parse(JSON.stringify(filter));
+
+const getQueueFilter = (name) => {
+  if (!QUEUES[name]) throw new Error(`Unknown order queue "${name}"`);
+  return clone(QUEUES[name].filter);
+};
+
+const getDashboardFilter = (name) =>
+  DASHBOARD_FILTERS[name] ? clone(DASHBOARD_FILTERS[name]) : null;
+
+// Optional per-user queue scope (dispatch locations / companies assigned to
+// the user). Empty filter = unrestricted.
+const getQueueScope = (user) => {
+  const scope = {};
+  if (user?.dispatchLocations?.length) {
+    scope.dispatchFrom = { $in: [...user.dispatchLocations] };
+  }
+  if (user?.companies?.length) {
+    scope.company = { $in: [...user.companies] };
+  }
+  return scope;
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  DISPATCH_LOCATIONS,
+  STOCK_LOCATIONS,
+  WORKFLOWS,
+  QUEUES,
+  applyWorkflow,
+  getQueueFilter,
+  getDashboardFilter,
+  getQueueScope,
+};
@@ -0,0 +1,11 @@
+// Password complexity rules shared by change, reset and invite flows
+const PASSWORD_REGEX =
+  /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+
+const PASSWORD_RULES =
+  "at least 8 characters long and include uppercase, lowercase, number, and special character";
+
+const isStrongPassword = (password) =>
+  typeof password === "string" && PASSWORD_REGEX.test(password);
+
+module.exports = { PASSWORD_REGEX, PASSWORD_RULES, isStrongPassword };
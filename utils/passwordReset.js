@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const { PasswordReset } = require("../Models/AuthSchema");
+const { sendMail } = require("./mailer");
+const hashToken = require("./hashToken");
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// Admin-forced resets stay valid longer since the user did not ask for them
+const FORCED_RESET_TTL_MINUTES = 24 * 60;
+// Self-service requests per account per hour; extra requests are ignored
+const MAX_REQUESTS_PER_HOUR = 3;
+
+const recentRequestCount = (userId) =>
+  PasswordReset.countDocuments({
+    user: userId,
+    initiatedBy: null,
+    createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+  });
+
+// Create a new reset token; older unused tokens of the user stop working
+const createResetToken = async (user, { ip, initiatedBy = null, forced = false } = {}) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const ttl = forced ? FORCED_RESET_TTL_MINUTES : RESET_TTL_MINUTES;
+
+  await PasswordReset.updateMany(
+    { user: user._id, usedAt: null },
+    { usedAt: new Date() },
+  );
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl * 60 * 1000),
+    requestedIp: ip || "",
+    initiatedBy,
+  });
+
+  return { token, ttl };
+};
+
+// Atomically mark a token as used. Returns the reset record or null.
+const consumeResetToken = (token) =>
+  PasswordReset.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true },
+  );
+
+const sendResetEmail = async (user, token, ttl, forced = false) => {
+  const link = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
+  const intro = forced
+    ? "An administrator has reset the password of your Sales Order account. Please choose a new password to sign in again."
+    : "We received a request to reset the password of your Sales Order account.";
+  const subject = forced ? "Your password has been reset" : "Reset your password";
+  const text = `
+Dear ${user.username || "User"},
+
+${intro}
+
+Reset your password here: ${link}
+
+This link can be used once and expires in ${ttl >= 60 ? `${ttl / 60} hour(s)` : `${ttl} minutes`}.
+If you did not request this, you can ignore this email.
+
+Regards,
+The Promark Tech Solutions Crew
+  `;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; color: #1f2937;">
+      <h2 style="color: #1e3a8a;">${subject}</h2>
+      <p>Dear ${user.username || "User"},</p>
+      <p>${intro}</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background: #1e3a8a; color: #ffffff; padding: 12px 28px; border-radius: 24px; text-decoration: none; font-weight: 600;">Reset Password</a>
+      </p>
+      <p style="color: #6b7280; font-size: 14px;">This link can be used once and expires in ${ttl >= 60 ? `${ttl / 60} hour(s)` : `${ttl} minutes`}. If you did not request this, you can ignore this email.</p>
+      <p>Regards,<br/>The Promark Tech Solutions Crew</p>
+    </div>
+  `;
+  await sendMail(user.email, subject, text, html);
+};
+
+module.exports = {
+  MAX_REQUESTS_PER_HOUR,
+  recentRequestCount,
+  createResetToken,
+  consumeResetToken,
+  sendResetEmail,
+};
@@ -0,0 +1,307 @@
+// utils/paymentLedger.js
+// Payments are recorded one receipt at a time in the Payment collection; the
+// order's payment fields (amounts, due, status, references) are derived from
+// the active payments and never edited directly.
+const { Order, Payment, PAYMENT_METHODS } = require("../Models/Schema");
+const { diffOrderFields, recordOrderHistory } = require("./orderHistory");
+const logger = require("./logger");
+
+// Order fields owned by the ledger
+const DERIVED_PAYMENT_FIELDS = [
+  "paymentCollected",
+  "paymentDue",
+  "paymentReceived",
+  "paymentMethod",
+  "neftTransactionId",
+  "chequeId",
+  "amountReceived",
+  "balanceDue",
+  "unclearedAmount",
+  "paymentCount",
+  "lastPaymentDate",
+];
+
+// Payments within this much of the balance are not treated as overpayment
+const ROUNDING_TOLERANCE = 1;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+// "₹ 1,20,000.50" -> 120000.5; anything unparseable -> 0
+const parseAmount = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : 0;
+  const number = Number(String(value ?? "").replace(/[₹,\s]|rs\.?|inr/gi, ""));
+  return Number.isFinite(number) ? number : 0;
+};
+
+const ORDER_PAYMENT_METHODS = Order.schema.path("paymentMethod").enumValues;
+
+const UNCLEARED_CHEQUE = ["received", "deposited"];
+
+// Derived order fields for a total and its payments (pure). Cheques that have
+// not cleared count towards amountReceived but keep the order "Not Received".
+const summarizePayments = (total, payments) => {
+  const active = payments
+    .filter((payment) => payment.status !== "void")
+    .sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate));
+  const received = round2(active.reduce((sum, payment) => sum + payment.amount, 0));
+  const balance = round2(Number(total || 0) - received);
+  const uncleared = round2(
+    active
+      .filter((payment) => UNCLEARED_CHEQUE.includes(payment.cheque?.status))
+      .reduce((sum, payment) => sum + payment.amount, 0),
+  );
+  const last = active[active.length - 1];
+  const references = (methods) =>
+    [...new Set(
+      active
+        .filter((payment) => methods.includes(payment.method) && payment.reference)
+        .map((payment) => payment.reference),
+    )].join(", ");
+
+  return {
+    amountReceived: received,
+    balanceDue: balance,
+    unclearedAmount: uncleared,
+    paymentCount: active.length,
+    lastPaymentDate: last ? last.paymentDate : null,
+    paymentCollected: received ? String(received) : "",
+    paymentDue: String(balance),
+    paymentMethod: last && ORDER_PAYMENT_METHODS.includes(last.method) ? last.method : "",
+    neftTransactionId: references(["NEFT", "RTGS", "UPI"]),
+    chequeId: references(["Cheque"]),
+    paymentReceived: balance + uncleared <= 0 ? "Received" : "Not Received",
+  };
+};
+
+const historyEntry = (req, order, changes) => ({
+  order: order._id,
+  orderId: order.orderId || "",
+  action: "update",
+  changes,
+  actor: req?.user?.id || null,
+  actorName: req?.user?.username || req?.user?.email || "System",
+  actorRole: req?.user?.role || "",
+  timestamp: new Date(),
+});
+
+// Recompute an order's derived payment fields from its ledger. Only writes
+// (and records history) when something actually changed.
+const recalcOrderPayments = async (orderId, req) => {
+  const order = await Order.findById(orderId).lean();
+  if (!order) return null;
+
+  const payments = await Payment.find({ order: order._id, status: "active" }).lean();
+  const summary = summarizePayments(order.total, payments);
+  const changes = diffOrderFields(order, summary, DERIVED_PAYMENT_FIELDS);
+  if (changes.length > 0) {
+    await Order.updateOne({ _id: order._id }, { $set: summary });
+    await recordOrderHistory(historyEntry(req, order, changes));
+  }
+  return summary;
+};
+
+// Validate a payment request body. Returns { ok, value } or { ok: false, error }.
+const validatePaymentInput = (input, { strict = true } = {}) => {
+  const amount = round2(parseAmount(input.amount));
+  if (!(amount > 0)) return { ok: false, error: "Amount must be greater than zero" };
+
+  const method = input.method || input.paymentMethod;
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { ok: false, error: `Method must be one of: ${PAYMENT_METHODS.join(", ")}` };
+  }
+
+  const paymentDate = input.paymentDate ? new Date(input.paymentDate) : new Date();
+  if (isNaN(paymentDate.getTime())) return { ok: false, error: "Invalid payment date" };
+  if (strict && paymentDate > new Date(Date.now() + 24 * 60 * 60 * 1000)) {
+    return { ok: false, error: "Payment date cannot be in the future" };
+  }
+
+  const reference = String(input.reference || "").trim();
+  if (strict && method !== "Cash" && !reference) {
+    return { ok: false, error: `A reference (UTR / cheque number) is required for ${method} payments` };
+  }
+
+  const value = {
+    amount,
+    method,
+    paymentDate,
+    reference,
+    bank: String(input.bank || "").trim(),
+    remarks: String(input.remarks || "").trim(),
+  };
+  if (method === "Cheque") {
+    const chequeDate = input.chequeDate ? new Date(input.chequeDate) : paymentDate;
+    if (isNaN(chequeDate.getTime())) return { ok: false, error: "Invalid cheque date" };
+    value.cheque = { status: "received", chequeDate };
+  }
+  return { ok: true, value };
+};
+
+// Record a receipt against an order and update its totals. Cheques start as
+// received unless chequeStatus says the money is already in ("cleared", e.g.
+// a credit on the bank statement).
+// Returns { ok: true, payment, summary } or { ok: false, status, error }.
+const recordPayment = async (
+  order,
+  input,
+  req,
+  { source = "manual", strict = true, chequeStatus = "received" } = {},
+) => {
+  const validation = validatePaymentInput(input, { strict });
+  if (!validation.ok) return { ok: false, status: 400, error: validation.error };
+  const value = validation.value;
+
+  if (strict) {
+    const balance = round2(
+      Number(order.total || 0) -
+        (await Payment.find({ order: order._id, status: "active" }).lean()).reduce(
+          (sum, payment) => sum + payment.amount,
+          0,
+        ),
+    );
+    if (value.amount > balance + ROUNDING_TOLERANCE) {
+      return {
+        ok: false,
+        status: 422,
+        error: `Amount exceeds the balance due (${balance})`,
+      };
+    }
+
+    // The same UTR / cheque cannot be booked twice
+    if (value.reference) {
+      const duplicate = await Payment.findOne({
+        method: value.method,
+        reference: value.reference,
+        status: "active",
+      }).lean();
+      if (duplicate) {
+        return {
+          ok: false,
+          status: 409,
+          error: `Reference ${value.reference} is already recorded on order ${duplicate.orderId || duplicate.order}`,
+        };
+      }
+    }
+  }
+
+  const recordedByName = req?.user?.username || req?.user?.email || "System";
+  if (value.cheque) {
+    const actor = { by: req?.user?.id, byName: recordedByName };
+    value.cheque.events = [{ status: "received", ...actor }];
+    if (chequeStatus === "cleared") {
+      value.cheque.status = "cleared";
+      value.cheque.clearedAt = value.paymentDate;
+      value.cheque.events.push({ status: "cleared", ...actor });
+    }
+  }
+  const payment = await Payment.create({
+    ...value,
+    order: order._id,
+    orderId: order.orderId || "",
+    source,
+    recordedBy: req?.user?.id || null,
+    recordedByName,
+  });
+  const summary = await recalcOrderPayments(order._id, req);
+
+  logger.info("Payment recorded", {
+    orderId: order.orderId,
+    paymentId: String(payment._id),
+    amount: payment.amount,
+    method: payment.method,
+    source,
+    userId: req?.user?.id,
+  });
+  return { ok: true, payment, summary };
+};
+
+// Void a payment (wrong entry, reversed transfer). Returns the same shape as
+// recordPayment.
+const voidPayment = async (paymentId, reason, req) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: "active" },
+    {
+      status: "void",
+      voidedAt: new Date(),
+      voidedBy: req?.user?.id || null,
+      voidReason: reason || "",
+    },
+    { new: true },
+  );
+  if (!payment) {
+    return { ok: false, status: 404, error: "Payment not found or already void" };
+  }
+  const summary = await recalcOrderPayments(payment.order, req);
+
+  logger.info("Payment voided", {
+    orderId: payment.orderId,
+    paymentId: String(payment._id),
+    reason,
+    userId: req?.user?.id,
+  });
+  return { ok: true, payment, summary };
+};
+
+// What paymentCollected does not account for on an order already marked
+// "Received" (empty, partial or unparseable values). The migration books it
+// so the order keeps its status.
+const legacyReceivedShortfall = (order) => {
+  if (order.paymentReceived !== "Received") return 0;
+  const collected = Math.max(round2(parseAmount(order.paymentCollected)), 0);
+  return Math.max(round2(Number(order.total || 0) - collected), 0);
+};
+
+// Turn the old single-value string fields of an order into a ledger entry.
+// Used for the order form, bulk upload and the one-off migration.
+const importLegacyPayment = async (order, req, source) => {
+  const amount = round2(parseAmount(order.paymentCollected));
+  const shortfall = source === "migration" ? legacyReceivedShortfall(order) : 0;
+  const method = PAYMENT_METHODS.includes(order.paymentMethod)
+    ? order.paymentMethod
+    : order.chequeId
+      ? "Cheque"
+      : order.neftTransactionId
+        ? "NEFT"
+        : "Cash";
+  const base = {
+    order: order._id,
+    orderId: order.orderId || "",
+    method,
+    paymentDate: order.soDate || order.createdAt || new Date(),
+    // Old cheques have long since cleared; one taken on the form has not
+    ...(method === "Cheque" && {
+      cheque: { status: source === "migration" ? "cleared" : "received" },
+    }),
+    source,
+    recordedBy: req?.user?.id || null,
+    recordedByName: req?.user?.username || req?.user?.email || "System",
+  };
+  if (amount > 0) {
+    await Payment.create({
+      ...base,
+      amount,
+      reference: (method === "Cheque" ? order.chequeId : order.neftTransactionId) || "",
+      remarks: source === "migration" ? `Migrated from paymentCollected "${order.paymentCollected}"` : "",
+    });
+  }
+  if (shortfall > 0) {
+    await Payment.create({
+      ...base,
+      amount: shortfall,
+      reference: "",
+      remarks: `Order was marked Received; balance not in paymentCollected "${order.paymentCollected || ""}"`,
+    });
+  }
+  return recalcOrderPayments(order._id, req);
+};
+
+module.exports = {
+  DERIVED_PAYMENT_FIELDS,
+  parseAmount,
+  summarizePayments,
+  recalcOrderPayments,
+  recordPayment,
+  voidPayment,
+  legacyReceivedShortfall,
+  importLegacyPayment,
+};
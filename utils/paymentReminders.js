@@ -0,0 +1,263 @@
+// utils/paymentReminders.js
+// Reminder and dunning emails for credit orders. A periodic job (run by one
+// instance only, see leaderElection) finds unpaid credit orders near or past
+// their due date and sends the customer the reminder for the stage they are
+// in, then mails each salesperson and leader a digest of what went out.
+//
+// Idempotency: before sending, a stage is claimed on the order with a single
+// conditional update; only the instance whose update matched sends it. A
+// crash after the claim leaves the stage as "sending" and it is not retried,
+// so customers never get the same reminder twice.
+//
+//   PAYMENT_REMINDERS_ENABLED=false   turn the job off
+//   PAYMENT_REMINDER_INTERVAL_MS      how often to scan (default 1 hour)
+const User = require("../Models/Model");
+const { Order } = require("../Models/Schema");
+const { sendMail, escapeHtml } = require("./mailer");
+const { getCompanyProfile } = require("./companyProfiles");
+const { dueDateOf, outstandingOf } = require("./receivables");
+const { createLeaderElection } = require("./leaderElection");
+const logger = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MS = Number(process.env.PAYMENT_REMINDER_INTERVAL_MS) || 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Escalating stages by days relative to the due date (negative = before it).
+// Only the latest stage an order has reached is sent.
+const STAGES = [
+  { key: "upcoming", offset: -3, subject: "Payment due soon" },
+  { key: "due", offset: 0, subject: "Payment due today" },
+  { key: "overdue-7", offset: 7, subject: "Payment overdue" },
+  { key: "overdue-15", offset: 15, subject: "Second reminder: payment overdue" },
+  { key: "overdue-30", offset: 30, subject: "Final notice: payment overdue" },
+];
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium" });
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString("en-IN")}`;
+
+// Latest stage reached, or null if the order is not due for one yet
+const stageFor = (daysOverdue) =>
+  [...STAGES].reverse().find((stage) => daysOverdue >= stage.offset) || null;
+
+const customerEmail = (order, stage, dueDate, daysOverdue, amount) => {
+  const ref = order.invoiceNo ? `invoice ${order.invoiceNo}` : `order ${order.orderId}`;
+  // Signed by the company that sold the order
+  const { legalName } = getCompanyProfile(order.company);
+  const when =
+    daysOverdue < 0
+      ? `is due on ${formatDate(dueDate)}`
+      : daysOverdue === 0
+        ? "is due today"
+        : `was due on ${formatDate(dueDate)} and is now ${daysOverdue} days overdue`;
+  const text = `Dear ${order.customername || "Customer"},
+
+This is a reminder that the payment of ${formatAmount(amount)} against ${ref} ${when}.
+
+If you have already made the payment, please share the transaction details so we can update our records.
+
+Regards,
+Accounts Team
+${legalName}`;
+  const html = `<p>Dear ${escapeHtml(order.customername || "Customer")},</p>
+<p>This is a reminder that the payment of <strong>${formatAmount(amount)}</strong> against ${escapeHtml(ref)} ${when}.</p>
+<p>If you have already made the payment, please share the transaction details so we can update our records.</p>
+<p>Regards,<br>Accounts Team<br>${escapeHtml(legalName)}</p>`;
+  return { subject: `${stage.subject} - ${ref} - ${legalName}`, text, html };
+};
+
+// Atomically claim a stage. Resolves to true if this call owns the send.
+const claimStage = async (order, entry) => {
+  const result = await Order.updateOne(
+    {
+      _id: order._id,
+      "paymentReminders.paused": { $ne: true },
+      "paymentReminders.sent": {
+        $not: {
+          $elemMatch: { stage: entry.stage, status: { $in: ["sending", "sent", "skipped"] } },
+        },
+      },
+    },
+    { $push: { "paymentReminders.sent": { ...entry, status: "sending", sentAt: new Date() } } },
+  );
+  return result.modifiedCount === 1;
+};
+
+const settleStage = (order, stage, status, error) =>
+  Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        "paymentReminders.sent.$[entry].status": status,
+        "paymentReminders.sent.$[entry].error": error,
+        "paymentReminders.sent.$[entry].sentAt": new Date(),
+      },
+    },
+    { arrayFilters: [{ "entry.stage": stage, "entry.status": "sending" }] },
+  );
+
+// Send at most one reminder for an order. Returns the digest line, or null.
+const remindOrder = async (order, now) => {
+  const { dueDate, dueBasis } = dueDateOf(order);
+  // Credit runs from the invoice; nothing to chase before invoicing
+  if (dueBasis !== "invoice") return null;
+
+  const amount = Math.round(outstandingOf(order) * 100) / 100;
+  if (!(amount > 0)) return null;
+
+  const daysOverdue = Math.floor((now.getTime() - dueDate.getTime()) / DAY_MS);
+  const stage = stageFor(daysOverdue);
+  if (!stage) return null;
+
+  const failures = (order.paymentReminders?.sent || []).filter(
+    (entry) => entry.stage === stage.key && entry.status === "failed",
+  ).length;
+  if (failures >= MAX_ATTEMPTS) return null;
+
+  const to = order.customerEmail || "";
+  const claimed = await claimStage(order, { stage: stage.key, dueDate, daysOverdue, amount, to });
+  if (!claimed) return null;
+
+  let status = "sent";
+  let error;
+  if (!to) {
+    status = "skipped";
+    error = "No customer email on the order";
+  } else {
+    try {
+      const mail = customerEmail(order, stage, dueDate, daysOverdue, amount);
+      await sendMail(to, mail.subject, mail.text, mail.html);
+    } catch (sendError) {
+      status = "failed";
+      error = sendError.message;
+    }
+  }
+  await settleStage(order, stage.key, status, error);
+
+  logger.info("Payment reminder processed", {
+    orderId: order.orderId,
+    stage: stage.key,
+    status,
+    daysOverdue,
+    error,
+  });
+  return { order, stage, dueDate, daysOverdue, amount, status, error };
+};
+
+// One digest per salesperson and per leader, listing this run's reminders
+const sendDigests = async (lines) => {
+  const byRecipient = new Map();
+  const creatorIds = [...new Set(lines.map((line) => String(line.order.createdBy)))];
+  const creators = await User.find({ _id: { $in: creatorIds } })
+    .select("username email assignedToLeader")
+    .populate("assignedToLeader", "username email")
+    .lean();
+  const creatorById = new Map(creators.map((user) => [String(user._id), user]));
+
+  for (const line of lines) {
+    const creator = creatorById.get(String(line.order.createdBy));
+    for (const user of [creator, creator?.assignedToLeader]) {
+      if (!user?.email) continue;
+      if (!byRecipient.has(user.email)) byRecipient.set(user.email, { user, lines: [] });
+      byRecipient.get(user.email).lines.push(line);
+    }
+  }
+
+  for (const [email, { user, lines: userLines }] of byRecipient) {
+    const rows = userLines.map(
+      (line) =>
+        `${line.order.orderId} | ${line.order.customername} | ${formatAmount(line.amount)} | ` +
+        `due ${formatDate(line.dueDate)} | ${line.stage.key} | ${line.status}` +
+        (line.error ? ` (${line.error})` : ""),
+    );
+    const text = `Hi ${user.username},
+
+Payment reminders were processed for ${userLines.length} of your credit orders:
+
+${rows.join("\n")}
+
+Please follow up with the customers where needed.`;
+    const html = `<p>Hi ${escapeHtml(user.username)},</p>
+<p>Payment reminders were processed for ${userLines.length} of your credit orders:</p>
+<ul>${rows.map((row) => `<li>${escapeHtml(row)}</li>`).join("")}</ul>
+<p>Please follow up with the customers where needed.</p>`;
+    try {
+      await sendMail(email, `Payment reminders sent (${userLines.length})`, text, html);
+    } catch (error) {
+      logger.error("Failed to send payment reminder digest", { email, error: error.message });
+    }
+  }
+};
+
+// Scan unpaid credit orders once. Safe to run concurrently with itself.
+const runPaymentReminders = async (now = new Date()) => {
+  const orders = await Order.find({
+    paymentTerms: "Credit",
+    paymentReceived: { $ne: "Received" },
+    dispatchStatus: { $ne: "Order Cancelled" },
+    invoiceDate: { $ne: null },
+    "paymentReminders.paused": { $ne: true },
+  })
+    .select(
+      "orderId company customername customerEmail invoiceNo invoiceDate soDate creditDays total balanceDue paymentDue paymentCollected createdBy paymentReminders",
+    )
+    .lean();
+
+  const lines = [];
+  for (const order of orders) {
+    try {
+      const line = await remindOrder(order, now);
+      if (line) lines.push(line);
+    } catch (error) {
+      logger.error("Payment reminder failed", { orderId: order.orderId, error: error.message });
+    }
+  }
+  if (lines.length > 0) await sendDigests(lines);
+
+  logger.info("Payment reminder run finished", { scanned: orders.length, processed: lines.length });
+  return lines.length;
+};
+
+// Run the job on the instance holding the "payment-reminders" lease
+const startPaymentReminders = () => {
+  if (String(process.env.PAYMENT_REMINDERS_ENABLED).toLowerCase() === "false") {
+    logger.info("Payment reminders disabled");
+    return null;
+  }
+
+  let timer = null;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runPaymentReminders();
+    } catch (error) {
+      logger.error("Payment reminder run failed", { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const election = createLeaderElection({
+    name: "payment-reminders",
+    onElected: () => {
+      tick();
+      timer = setInterval(tick, INTERVAL_MS);
+    },
+    onRevoked: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+  });
+  election.start();
+  return election;
+};
+
+module.exports = {
+  STAGES,
+  stageFor,
+  runPaymentReminders,
+  startPaymentReminders,
+};
@@ -0,0 +1,148 @@
+// utils/permissions.js
+// Role -> action map for /api routes, and per-role editable order fields.
+const User = require("../Models/Model");
+const { ADMIN_ROLES } = require("./orderWorkflow");
+
+// Roles come straight from the User schema so the two never drift apart
+const ROLES = User.schema.path("role").enumValues;
+
+const ALL_ROLES = [...ROLES];
+
+// Admin roles are implicitly allowed everything and are not listed below
+const ACTIONS = {
+  "orders:read": ALL_ROLES,
+  "orders:create": ["Sales"],
+  "orders:edit": ALL_ROLES,
+  "orders:delete": ["Sales"],
+  "orders:bulk-upload": ["Sales"],
+  "orders:export": ALL_ROLES,
+  "orders:history": ALL_ROLES,
+  "orders:analytics": ["Sales", "Accounts"],
+  "queue:production": ["Production"],
+  "queue:production-approval": ["ProductionApproval"],
+  "queue:finished-goods": ["Finish"],
+  "queue:verification": ["Verification"],
+  "queue:bill": ["Bill"],
+  "queue:installation": ["Installation"],
+  "queue:accounts": ["Accounts"],
+  "payments:read": ["Accounts", "Sales", "Verification", "Bill"],
+  "payments:record": ["Accounts"],
+  "payments:void": ["Accounts"],
+  "receivables:read": ["Accounts", "Sales"],
+  "reminders:manage": ["Accounts"],
+  "reconciliation:manage": ["Accounts"],
+  "cheques:manage": ["Accounts"],
+  "documents:proforma": ["Sales", "Bill", "Accounts"],
+  "documents:invoice": ["Bill"],
+  "documents:challan": ["Bill", "Finish"],
+  "numbers:audit": ["Accounts"],
+  "einvoice:manage": ["Bill", "Accounts"],
+  "ewaybill:manage": ["Finish", "Bill"],
+  "tally:export": ["Accounts"],
+  "tally:ledgers": ["Accounts"],
+  "installation:mail": ["Installation"],
+  "team:manage": ["Sales"],
+  "notifications:read": ALL_ROLES,
+  "profile:read": ALL_ROLES,
+  "users:manage": [],
+};
+
+// Fields each role may change through PATCH /api/edit/:id ("*" = everything).
+// Payment fields are not listed: they are derived from the payment ledger.
+const EDITABLE_FIELDS = {
+  Admin: "*",
+  SuperAdmin: "*",
+  Sales: [
+    "soDate",
+    "dispatchFrom",
+    "name",
+    "city",
+    "state",
+    "pinCode",
+    "contactNo",
+    "alterno",
+    "customerEmail",
+    "customername",
+    "products",
+    "total",
+    "gstno",
+    "freightstatus",
+    "installchargesstatus",
+    "freightcs",
+    "orderType",
+    "installation",
+    "salesPerson",
+    "report",
+    "company",
+    "shippingAddress",
+    "billingAddress",
+    "sameAddress",
+    "remarks",
+    "sostatus",
+    "dispatchStatus",
+    "gemOrderNumber",
+    "deliveryDate",
+    "demoDate",
+    "paymentTerms",
+    "creditDays",
+    "poFilePath",
+  ],
+  Production: ["fulfillingStatus", "remarksByProduction", "fulfillmentDate"],
+  ProductionApproval: ["sostatus", "stockStatus", "remarks"],
+  Verification: ["sostatus", "verificationRemarks"],
+  Accounts: ["remarksByAccounts", "sostatus"],
+  Bill: [
+    "billStatus",
+    "billNumber",
+    "piNumber",
+    "invoiceNo",
+    "invoiceDate",
+    "remarksByBilling",
+  ],
+  Finish: [
+    "dispatchStatus",
+    "dispatchDate",
+    "transporter",
+    "transporterDetails",
+    "docketNo",
+    "receiptDate",
+    "deliveredDate",
+    "actualFreight",
+    "stamp",
+    "productno",
+  ],
+  Installation: [
+    "installationStatus",
+    "installationeng",
+    "remarksByInstallation",
+    "installationStatusDate",
+    "installationReport",
+    "installationFile",
+  ],
+};
+
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+const can = (role, action) => {
+  if (isAdminRole(role)) return true;
+  const allowed = ACTIONS[action];
+  if (!allowed) return false;
+  return allowed.includes(role);
+};
+
+// Returns the subset of fields the role is not allowed to edit
+const forbiddenEditFields = (role, fields) => {
+  const editable = EDITABLE_FIELDS[role];
+  if (editable === "*") return [];
+  if (!editable) return [...fields];
+  return fields.filter((field) => !editable.includes(field));
+};
+
+module.exports = {
+  ROLES,
+  ACTIONS,
+  EDITABLE_FIELDS,
+  isAdminRole,
+  can,
+  forbiddenEditFields,
+};
@@ -0,0 +1,61 @@
+// utils/queryMatcher.js
+// Evaluates the small subset of MongoDB query syntax used by the queue and
+// dashboard filters ($eq/$ne/$in/$nin/$exists/$or/$and/$nor) against a plain
+// document, so socket events use exactly the same criteria as the queries.
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const sameValue = (a, b) => {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  // ObjectIds and other BSON values compare by their string form
+  if (typeof a === "object" || typeof b === "object") return String(a) === String(b);
+  return false;
+};
+
+// Mongo semantics: a condition on an array field matches if any element matches
+const equals = (value, expected) =>
+  Array.isArray(value) && !Array.isArray(expected)
+    ? value.some((item) => sameValue(item, expected))
+    : sameValue(value, expected);
+
+const OPERATORS = {
+  $eq: (value, arg) => equals(value, arg),
+  $ne: (value, arg) => !equals(value, arg),
+  $in: (value, arg) => arg.some((expected) => equals(value, expected)),
+  $nin: (value, arg) => !arg.some((expected) => equals(value, expected)),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg),
+};
+
+const isOperatorObject = (condition) =>
+  condition &&
+  typeof condition === "object" &&
+  !Array.isArray(condition) &&
+  !(condition instanceof Date) &&
+  Object.keys(condition).length > 0 &&
+  Object.keys(condition).every((key) => key.startsWith("$"));
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+  return Object.entries(condition).every(([operator, arg]) => {
+    const test = OPERATORS[operator];
+    if (!test) throw new Error(`Unsupported query operator ${operator}`);
+    return test(value, arg);
+  });
+};
+
+const matchesFilter = (doc, filter) => {
+  if (!doc) return false;
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    if (key === "$and") return condition.every((sub) => matchesFilter(doc, sub));
+    if (key === "$or") return condition.some((sub) => matchesFilter(doc, sub));
+    if (key === "$nor") return !condition.some((sub) => matchesFilter(doc, sub));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+};
+
+module.exports = { matchesFilter };
@@ -0,0 +1,419 @@
+// utils/realtime.js
+// Turns Order change-stream events into Socket.IO messages:
+//  - "orderUpdate"/"deleteOrder" to admins, owner/assignee and their leaders,
+//    each projected to what the recipient's role may see
+//  - "queueUpdate" to department roles when an order enters or leaves their
+//    queue, using the same filters as the queue endpoints
+// Every change is written to a bounded event log first; its id travels with
+// the messages so a reconnecting client can ask for what it missed.
+const mongoose = require("mongoose");
+const User = require("../Models/Model");
+const { Order } = require("../Models/Schema");
+const { OrderEvent, StreamState } = require("../Models/StreamSchema");
+const logger = require("./logger");
+const { QUEUES, getQueueScope } = require("./orderWorkflow");
+const { matchesFilter } = require("./queryMatcher");
+const { projectOrder } = require("./orderProjection");
+
+const STREAM_NAME = "orders";
+const MAX_REPLAY_EVENTS = 500;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+// Errors after which the stored resume token can never work again
+const HISTORY_LOST_CODES = [136, 260, 280, 286];
+
+const QUEUE_LABELS = {
+  production: "Production",
+  finishedGoods: "Finished Goods",
+  verification: "Verification",
+  productionApproval: "Production Approval",
+  bill: "Billing",
+  installation: "Installation",
+  accounts: "Accounts",
+};
+
+// Top-level fields a filter looks at
+const filterFields = (filter, fields = new Set()) => {
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith("$")) {
+      if (Array.isArray(value)) value.forEach((sub) => filterFields(sub, fields));
+    } else {
+      fields.add(key.split(".")[0]);
+    }
+  }
+  return fields;
+};
+
+const QUEUE_FIELDS = Object.fromEntries(
+  Object.entries(QUEUES).map(([name, queue]) => [name, filterFields(queue.filter)]),
+);
+
+const changedFieldsOf = (change) => [
+  ...new Set(
+    [
+      ...Object.keys(change.updateDescription?.updatedFields || {}),
+      ...(change.updateDescription?.removedFields || []),
+    ].map((field) => field.split(".")[0]),
+  ),
+];
+
+// Which queues an order entered or left with this event. `before` comes from
+// the pre-image; without one (pre-images disabled) membership is only
+// re-evaluated when a field used by the queue changed, and reported as
+// entered/left based on the new state alone (exact: false).
+const queueTransitions = (event) => {
+  const { operationType, changedFields = [], before, after } = event;
+  const transitions = [];
+
+  for (const [name, queue] of Object.entries(QUEUES)) {
+    const isIn = matchesFilter(after, queue.filter);
+    if (before || operationType !== "update") {
+      const wasIn = matchesFilter(before, queue.filter);
+      if (wasIn !== isIn) {
+        transitions.push({ queue: name, action: isIn ? "entered" : "left", exact: true });
+      }
+    } else if (changedFields.some((field) => QUEUE_FIELDS[name].has(field))) {
+      transitions.push({ queue: name, action: isIn ? "entered" : "left", exact: false });
+    }
+  }
+  return transitions;
+};
+
+// Owner, assignee and their leaders, grouped by role so each group gets the
+// projection for its role. Admins are served by the "admins" room.
+const recipientRoomsByRole = async (order) => {
+  // assignedTo is an array of users
+  const ids = [order.createdBy, ...[].concat(order.assignedTo || [])].filter(Boolean);
+  if (ids.length === 0) return new Map();
+
+  const users = await User.find({ _id: { $in: ids } }).select("role assignedToLeader").lean();
+  const leaderIds = users.map((u) => u.assignedToLeader).filter(Boolean);
+  const leaders = leaderIds.length
+    ? await User.find({ _id: { $in: leaderIds } }).select("role").lean()
+    : [];
+
+  const byRole = new Map();
+  const add = (role, room) => {
+    if (!byRole.has(role)) byRole.set(role, new Set());
+    byRole.get(role).add(room);
+  };
+  users.forEach((u) => add(u.role, `user:${u._id}`));
+  leaders.forEach((l) => add(l.role, `leader:${l._id}`));
+  return byRole;
+};
+
+// All messages caused by one event. Each message goes either to rooms
+// ({ rooms, except }) or to the sockets of a queue role whose scope covers
+// the order ({ role, order }).
+const buildMessages = async (event) => {
+  const { eventId, operationType, documentId, before, after } = event;
+  const order = after || before;
+  const messages = [
+    {
+      rooms: ["admins"],
+      event: "orderUpdate",
+      payload: { eventId, operationType, documentId, fullDocument: after },
+    },
+  ];
+  if (operationType === "delete") {
+    messages.push({ rooms: ["admins"], event: "deleteOrder", payload: { eventId, _id: documentId } });
+  }
+  if (!order) return messages;
+
+  if (after?.createdBy) {
+    const byRole = await recipientRoomsByRole(after);
+    for (const [role, rooms] of byRole) {
+      messages.push({
+        rooms: [...rooms],
+        except: "admins",
+        event: "orderUpdate",
+        payload: {
+          eventId,
+          operationType,
+          documentId,
+          createdBy: String(after.createdBy),
+          assignedTo: [].concat(after.assignedTo || []).map(String),
+          fullDocument: projectOrder(after, role),
+        },
+      });
+    }
+  }
+
+  for (const transition of queueTransitions(event)) {
+    const { role } = QUEUES[transition.queue];
+    messages.push({
+      role,
+      order,
+      event: "queueUpdate",
+      payload: {
+        eventId,
+        queue: transition.queue,
+        action: transition.action,
+        exact: transition.exact,
+        message: `Order ${order.orderId || order._id} ${transition.action} ${QUEUE_LABELS[transition.queue]} queue`,
+        documentId: order._id,
+        order: projectOrder(order, role),
+      },
+    });
+  }
+  return messages;
+};
+
+const inScope = (socket, order) => matchesFilter(order, getQueueScope(socket.data.user));
+
+const deliver = async (io, messages) => {
+  for (const message of messages) {
+    if (message.rooms) {
+      let target = io.to(message.rooms);
+      if (message.except) target = target.except(message.except);
+      target.emit(message.event, message.payload);
+      continue;
+    }
+    const sockets = await io.in(`role:${message.role}`).fetchSockets();
+    for (const socket of sockets) {
+      if (inScope(socket, message.order)) socket.emit(message.event, message.payload);
+    }
+  }
+};
+
+// Would this socket have received the message live?
+const canReceive = (socket, message) => {
+  if (message.rooms) {
+    if (message.except && socket.rooms.has(message.except)) return false;
+    return message.rooms.some((room) => socket.rooms.has(room));
+  }
+  return socket.rooms.has(`role:${message.role}`) && inScope(socket, message.order);
+};
+
+const toEvent = (stored) => ({
+  eventId: String(stored._id),
+  operationType: stored.operationType,
+  documentId: stored.documentId,
+  changedFields: stored.changedFields || [],
+  before: stored.fullDocumentBeforeChange,
+  after: stored.fullDocument,
+});
+
+// Re-send the events after lastEventId that this socket is entitled to.
+// Returns { replayed } or { resync: true } when the log no longer reaches
+// back that far (the client should then reload its lists).
+const replayEvents = async (socket, lastEventId) => {
+  if (!mongoose.Types.ObjectId.isValid(lastEventId)) return { resync: true };
+  if (!(await OrderEvent.exists({ _id: lastEventId }))) return { resync: true };
+
+  const stored = await OrderEvent.find({ _id: { $gt: lastEventId } })
+    .sort({ _id: 1 })
+    .limit(MAX_REPLAY_EVENTS + 1)
+    .lean();
+  if (stored.length > MAX_REPLAY_EVENTS) return { resync: true };
+
+  let replayed = 0;
+  for (const entry of stored) {
+    for (const message of await buildMessages(toEvent(entry))) {
+      if (canReceive(socket, message)) {
+        socket.emit(message.event, { ...message.payload, replayed: true });
+        replayed += 1;
+      }
+    }
+  }
+  return { replayed, lastEventId: stored.length ? String(stored[stored.length - 1]._id) : lastEventId };
+};
+
+// Team changes only concern the member, the old and new leader and admins
+const emitTeamUpdate = (io, { userId, leaderId, previousLeaderId, action }) => {
+  if (!io) return;
+  const rooms = new Set(["admins", `user:${userId}`]);
+  if (leaderId) rooms.add(`user:${leaderId}`);
+  if (previousLeaderId) rooms.add(`user:${previousLeaderId}`);
+  io.to([...rooms]).emit("teamUpdate", { userId, leaderId, action });
+};
+
+// ---------------------------------------------------------------------------
+// Change stream supervisor: resume token persistence, reconnect with backoff
+// ---------------------------------------------------------------------------
+const health = {
+  // Only the elected instance consumes the stream; others fan out via the adapter
+  consumer: false,
+  live: false,
+  since: null,
+  lastEventAt: null,
+  lastError: null,
+  reconnectAttempts: 0,
+  preImages: false,
+};
+
+const getStreamHealth = () => ({ ...health });
+
+let currentStream = null;
+let reconnectTimer = null;
+let stopping = false;
+let processing = Promise.resolve();
+
+// Pre-images let queue events know exactly where an order came from. They
+// need MongoDB 6+; on older servers events fall back to the post-image only.
+const enablePreImages = async () => {
+  try {
+    await mongoose.connection.asPromise();
+    await mongoose.connection.db.command({
+      collMod: Order.collection.collectionName,
+      changeStreamPreAndPostImages: { enabled: true },
+    });
+    return true;
+  } catch (error) {
+    logger.warn("Change stream pre-images unavailable, queue events will be approximate", {
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+const saveResumeToken = (token) =>
+  StreamState.updateOne(
+    { _id: STREAM_NAME },
+    { resumeToken: token, updatedAt: new Date() },
+    { upsert: true },
+  );
+
+// Log the change, deliver it, then remember how far we got
+const processChange = async (io, change) => {
+  const event = {
+    operationType: change.operationType,
+    documentId: change.documentKey?._id,
+    changedFields: changedFieldsOf(change),
+    before: change.fullDocumentBeforeChange || null,
+    after: change.fullDocument || null,
+  };
+  logger.info("Order collection change detected", {
+    operationType: event.operationType,
+    documentId: event.documentId,
+  });
+
+  try {
+    const stored = await OrderEvent.create({
+      operationType: event.operationType,
+      documentId: event.documentId,
+      fullDocument: event.after,
+      fullDocumentBeforeChange: event.before,
+      changedFields: event.changedFields,
+    });
+    event.eventId = String(stored._id);
+  } catch (error) {
+    // Still deliver live; this event just cannot be replayed
+    logger.error("Failed to log order event", { error: error.message });
+    event.eventId = null;
+  }
+
+  await deliver(io, await buildMessages(event));
+  health.lastEventAt = new Date();
+  await saveResumeToken(change._id);
+};
+
+const closeStream = () => {
+  if (!currentStream) return;
+  currentStream.removeAllListeners();
+  currentStream.close().catch(() => {});
+  currentStream = null;
+};
+
+const scheduleReconnect = (io, reason) => {
+  health.live = false;
+  if (reconnectTimer || stopping) return;
+  closeStream();
+
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** health.reconnectAttempts, RECONNECT_MAX_MS);
+  health.reconnectAttempts += 1;
+  logger.warn("Order change stream down, reconnecting", {
+    reason,
+    attempt: health.reconnectAttempts,
+    delayMs: delay,
+  });
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    openStream(io);
+  }, delay);
+};
+
+const openStream = async (io) => {
+  try {
+    const state = await StreamState.findById(STREAM_NAME).lean();
+    const stream = Order.watch([], {
+      fullDocument: "updateLookup",
+      ...(health.preImages && { fullDocumentBeforeChange: "whenAvailable" }),
+      ...(state?.resumeToken && { resumeAfter: state.resumeToken }),
+    });
+    currentStream = stream;
+
+    stream.on("ready", () => {
+      health.live = true;
+      health.since = new Date();
+      logger.info("Order change stream open", { resumed: !!state?.resumeToken });
+    });
+    // Fires on every batch, even an empty one: the stream is healthy
+    stream.on("resumeTokenChanged", () => {
+      health.reconnectAttempts = 0;
+    });
+
+    stream.on("change", (change) => {
+      // One at a time, so the log, the clients and the resume token stay in order
+      processing = processing
+        .then(() => processChange(io, change))
+        .catch((error) => {
+          logger.error("Failed to dispatch order change", {
+            error: error.message,
+            documentId: change.documentKey?._id,
+          });
+        });
+    });
+
+    stream.on("error", async (error) => {
+      health.lastError = error.message;
+      logger.error("Change stream error", { error: error.message, code: error.code });
+      if (HISTORY_LOST_CODES.includes(error.code)) {
+        // The oplog has moved past our token: start from now; clients that
+        // ask for older events are told to resync
+        logger.warn("Change stream history lost, discarding resume token");
+        await saveResumeToken(null).catch(() => {});
+      }
+      scheduleReconnect(io, "error");
+    });
+
+    stream.on("close", () => {
+      logger.info("Change stream closed");
+      scheduleReconnect(io, "close");
+    });
+  } catch (error) {
+    health.lastError = error.message;
+    logger.error("Error setting up change stream", { error: error.message });
+    scheduleReconnect(io, "setup-failed");
+  }
+};
+
+const watchOrders = async (io) => {
+  stopping = false;
+  health.consumer = true;
+  health.reconnectAttempts = 0;
+  health.preImages = await enablePreImages();
+  await openStream(io);
+};
+
+// Stop consuming (leadership lost); already queued changes still finish
+const stopOrders = () => {
+  stopping = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  closeStream();
+  health.consumer = false;
+  health.live = false;
+  logger.info("Order change stream stopped on this instance");
+};
+
+module.exports = {
+  QUEUE_LABELS,
+  queueTransitions,
+  buildMessages,
+  replayEvents,
+  emitTeamUpdate,
+  watchOrders,
+  stopOrders,
+  getStreamHealth,
+};
@@ -0,0 +1,134 @@
+// utils/receivables.js
+// Receivables ageing: outstanding balance per order, due on invoiceDate +
+// creditDays, bucketed by days overdue and rolled up by a grouping.
+const { parseAmount } = require("./paymentLedger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// maxDays is inclusive; "notDue" holds balances not yet past their due date
+const BUCKETS = [
+  { key: "notDue", label: "Not Due", maxDays: 0 },
+  { key: "0-30", label: "0-30 Days", maxDays: 30 },
+  { key: "31-60", label: "31-60 Days", maxDays: 60 },
+  { key: "61-90", label: "61-90 Days", maxDays: 90 },
+  { key: "90+", label: "90+ Days", maxDays: Infinity },
+];
+
+// Grouping key and label per groupBy value. Entries carry the order with its
+// creator (and the creator's leader) already resolved.
+const GROUPINGS = {
+  customer: (entry) => {
+    const name = entry.order.customername || "Unknown";
+    return { key: entry.order.gstno || name.toLowerCase(), label: name };
+  },
+  salesperson: (entry) => ({
+    key: entry.creator ? String(entry.creator._id) : "none",
+    label: entry.creator?.username || "Unknown",
+  }),
+  leader: (entry) => ({
+    key: entry.leader ? String(entry.leader._id) : "none",
+    label: entry.leader?.username || "No Leader",
+  }),
+  company: (entry) => ({
+    key: entry.order.company || "none",
+    label: entry.order.company || "Unknown",
+  }),
+  dispatchFrom: (entry) => ({
+    key: entry.order.dispatchFrom || "none",
+    label: entry.order.dispatchFrom || "Unknown",
+  }),
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Ledger balance, falling back to the old string fields for orders that
+// have not been migrated yet
+const outstandingOf = (order) => {
+  if (typeof order.balanceDue === "number") return order.balanceDue;
+  if (order.paymentDue !== undefined && String(order.paymentDue).trim() !== "") {
+    return parseAmount(order.paymentDue);
+  }
+  return Number(order.total || 0) - parseAmount(order.paymentCollected);
+};
+
+// Due date is invoiceDate + creditDays. Orders not invoiced yet age from the
+// SO date so they still show up; dueBasis tells them apart.
+const dueDateOf = (order) => {
+  const creditDays = parseInt(order.creditDays, 10) || 0;
+  const base = order.invoiceDate || order.soDate;
+  if (!base) return { dueDate: null, creditDays, dueBasis: "none" };
+  return {
+    dueDate: new Date(new Date(base).getTime() + creditDays * DAY_MS),
+    creditDays,
+    dueBasis: order.invoiceDate ? "invoice" : "soDate",
+  };
+};
+
+const bucketFor = (daysOverdue) =>
+  BUCKETS.find((bucket) => daysOverdue <= bucket.maxDays).key;
+
+const emptyBuckets = () =>
+  Object.fromEntries(BUCKETS.map((bucket) => [bucket.key, 0]));
+
+// One entry per order with an outstanding balance
+const ageOrders = (orders, { asOf = new Date() } = {}) => {
+  const entries = [];
+  for (const order of orders) {
+    const outstanding = round2(outstandingOf(order));
+    if (!(outstanding > 0)) continue;
+
+    const { dueDate, creditDays, dueBasis } = dueDateOf(order);
+    const daysOverdue = dueDate
+      ? Math.floor((asOf.getTime() - dueDate.getTime()) / DAY_MS)
+      : 0;
+    const creator = order.createdBy && order.createdBy._id ? order.createdBy : null;
+    entries.push({
+      order,
+      creator,
+      leader: creator?.assignedToLeader?._id ? creator.assignedToLeader : null,
+      outstanding,
+      dueDate,
+      creditDays,
+      dueBasis,
+      daysOverdue,
+      bucket: bucketFor(daysOverdue),
+    });
+  }
+  return entries;
+};
+
+// Roll entries up by a grouping; rows are sorted by total outstanding
+const summarizeAgeing = (entries, groupBy) => {
+  const grouping = GROUPINGS[groupBy];
+  const rows = new Map();
+  const totals = { ...emptyBuckets(), total: 0, overdue: 0, orders: 0 };
+
+  for (const entry of entries) {
+    const { key, label } = grouping(entry);
+    if (!rows.has(key)) {
+      rows.set(key, { key, label, ...emptyBuckets(), total: 0, overdue: 0, orders: 0 });
+    }
+    for (const target of [rows.get(key), totals]) {
+      target[entry.bucket] = round2(target[entry.bucket] + entry.outstanding);
+      target.total = round2(target.total + entry.outstanding);
+      if (entry.bucket !== "notDue") {
+        target.overdue = round2(target.overdue + entry.outstanding);
+      }
+      target.orders++;
+    }
+  }
+
+  return {
+    rows: [...rows.values()].sort((a, b) => b.total - a.total),
+    totals,
+  };
+};
+
+module.exports = {
+  BUCKETS,
+  GROUPINGS,
+  outstandingOf,
+  dueDateOf,
+  ageOrders,
+  summarizeAgeing,
+};
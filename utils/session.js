@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const User = require("../Models/Model");
+const { RefreshToken } = require("../Models/AuthSchema");
+const { generateToken, ACCESS_TOKEN_TTL } = require("./config jwt");
+const logger = require("./logger");
+const hashToken = require("./hashToken");
+
+const REFRESH_TOKEN_DAYS = Number(process.env.JWT_REFRESH_DAYS) || 30;
+
+const clientInfo = (req) => ({
+  createdByIp: req?.ip || "",
+  userAgent: req?.get?.("user-agent") || "",
+});
+
+// Issue an access token plus a new refresh token (optionally in an existing family)
+const issueSession = async (user, req, family) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    ...clientInfo(req),
+  });
+
+  return {
+    token: generateToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+// Exchange a refresh token for a new pair. Returns null when the token is
+// unknown, expired, revoked or its user can no longer sign in.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically: of two refreshes racing with it (or a
+  // refresh racing a logout) only one gets a new session
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: "rotated" } },
+    { new: true },
+  );
+
+  if (!claimed) {
+    const stored = await RefreshToken.findOne({ tokenHash }).lean();
+    // A rotated token being presented again means it was stolen: kill the chain
+    if (stored?.revokedReason === "rotated") {
+      await RefreshToken.updateMany(
+        { family: stored.family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "reuse-detected" },
+      );
+      logger.warn("Refresh token reuse detected, session family revoked", {
+        userId: String(stored.user),
+        family: stored.family,
+        ip: req?.ip,
+      });
+    }
+    return null;
+  }
+
+  const user = await User.findById(claimed.user);
+  if (!user || user.isActive === false) {
+    await RefreshToken.updateOne({ _id: claimed._id }, { $set: { revokedReason: "user-inactive" } });
+    return null;
+  }
+
+  const session = await issueSession(user, req, claimed.family);
+  await RefreshToken.updateOne(
+    { _id: claimed._id },
+    { $set: { replacedBy: hashToken(session.refreshToken) } },
+  );
+
+  return { user, ...session };
+};
+
+// Revoke the single session a refresh token belongs to (logout)
+const revokeSession = async (refreshToken, reason = "logout") => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) return null;
+  await RefreshToken.updateMany(
+    { family: stored.family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  return stored.user;
+};
+
+// Revoke every session of a user and invalidate all access tokens already issued
+const revokeAllSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true },
+  );
+  logger.info("All sessions revoked", { userId: String(userId), reason });
+  return user;
+};
+
+module.exports = { issueSession, rotateSession, revokeSession, revokeAllSessions };
@@ -0,0 +1,57 @@
+// utils/socketAdapter.js
+// Socket.IO adapter selection. With more than one instance, rooms and emits
+// must be shared through Redis or MongoDB:
+//   SOCKET_ADAPTER=redis  REDIS_URL=redis://127.0.0.1:6379
+//   SOCKET_ADAPTER=mongo  (uses the app's MongoDB connection)
+// Unset = in-memory adapter (single instance). Behind a reverse proxy the
+// instances also need sticky sessions for the HTTP long-polling transport.
+const mongoose = require("mongoose");
+const logger = require("./logger");
+
+const MONGO_ADAPTER_COLLECTION =
+  process.env.SOCKET_ADAPTER_COLLECTION || "socket.io-adapter-events";
+
+const redisAdapter = async () => {
+  const { createClient } = require("redis");
+  const { createAdapter } = require("@socket.io/redis-adapter");
+
+  const pubClient = createClient({ url: process.env.REDIS_URL || "redis://127.0.0.1:6379" });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (error) => logger.error("Redis adapter error", { error: error.message }));
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  return createAdapter(pubClient, subClient);
+};
+
+const mongoAdapter = async () => {
+  const { createAdapter } = require("@socket.io/mongo-adapter");
+
+  await mongoose.connection.asPromise();
+  const db = mongoose.connection.db;
+  try {
+    // Capped, so adapter messages clean themselves up
+    await db.createCollection(MONGO_ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (error) {
+    if (error.codeName !== "NamespaceExists") throw error;
+  }
+  return createAdapter(db.collection(MONGO_ADAPTER_COLLECTION));
+};
+
+const ADAPTERS = { redis: redisAdapter, mongo: mongoAdapter };
+
+const attachAdapter = async (io) => {
+  const kind = (process.env.SOCKET_ADAPTER || "").trim().toLowerCase();
+  if (!kind || kind === "memory") {
+    logger.info("Socket.IO using in-memory adapter (single instance)");
+    return "memory";
+  }
+  if (!ADAPTERS[kind]) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${kind}". Use redis, mongo or leave it unset.`);
+  }
+  io.adapter(await ADAPTERS[kind]());
+  logger.info("Socket.IO adapter attached", { adapter: kind });
+  return kind;
+};
+
+module.exports = { attachAdapter };
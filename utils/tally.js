@@ -0,0 +1,294 @@
+// utils/tally.js
+// Tally XML (Import Data > Vouchers) for billed orders and recorded payments,
+// so Accounts no longer re-enters them by hand. One file per selling
+// company, since each is a separate company in Tally.
+//
+// - Sales vouchers: party debited with the invoice total, sales credited with
+//   the taxable value, plus GST, cess, freight, installation and round-off
+//   ledgers. The voucher number is the invoice number.
+// - Receipt vouchers: bank (or cash) debited, party credited against the
+//   invoice, or as an advance against the order when not yet invoiced.
+//
+// Every voucher carries a REMOTEID derived from the order / payment id, so
+// importing the same voucher twice alters it in Tally instead of duplicating.
+//
+// Ledger names are templates with placeholders, overridable per company
+// (Models/TallySchema.js):
+//   party:         {customername} {gstno} {city} {orderId}
+//   sales, taxes:  {rate} (the ledger's own rate, e.g. 9 for CGST on 18%),
+//                  {supply} ("Local" or "Interstate")
+// Entries that end up on the same ledger name are merged.
+const { TallyLedgerMap } = require("../Models/TallySchema");
+const { getCompanyProfile } = require("./companyProfiles");
+const { computeOrderTax, taxByRate, STATE_CODES } = require("./gst");
+
+const DEFAULT_LEDGERS = {
+  salesVoucherType: "Sales",
+  receiptVoucherType: "Receipt",
+  party: "{customername}",
+  sales: "Sales",
+  cgst: "Output CGST",
+  sgst: "Output SGST",
+  igst: "Output IGST",
+  cess: "Output Cess",
+  freight: "Freight Charges",
+  installation: "Installation Charges",
+  roundOff: "Round Off",
+  cash: "Cash",
+  bank: "Bank Account",
+};
+
+const LEDGER_KEYS = Object.keys(DEFAULT_LEDGERS);
+const MAX_NAME_LENGTH = 100;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Instrument type of bank allocations per payment method
+const TRANSACTION_TYPES = {
+  Cheque: "Cheque",
+  NEFT: "e-Fund Transfer",
+  RTGS: "e-Fund Transfer",
+  UPI: "e-Fund Transfer",
+};
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const tag = (name, value) =>
+  value === undefined || value === null || value === "" ? "" : `<${name}>${escapeXml(value)}</${name}>`;
+
+// YYYYMMDD in IST
+const tallyDate = (date) =>
+  new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10).replace(/-/g, "");
+
+const fillTemplate = (template, values) =>
+  String(template)
+    .replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match))
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Defaults merged with the stored overrides for a company
+const getLedgerMap = async (company) => {
+  const config = await TallyLedgerMap.findOne({ company }).lean();
+  const map = { company, customized: Boolean(config) };
+  for (const key of LEDGER_KEYS) map[key] = config?.[key] || DEFAULT_LEDGERS[key];
+  map.tallyCompany = config?.tallyCompany || getCompanyProfile(company).legalName;
+  map.methodLedgers = { ...(config?.methodLedgers || {}) };
+  return map;
+};
+
+// Error message for an invalid set of overrides, or null
+const validateLedgerMap = (map) => {
+  for (const key of [...LEDGER_KEYS, "tallyCompany"]) {
+    const value = map[key];
+    if (value === undefined) continue;
+    if (typeof value !== "string" || !value.trim()) return `${key} must be a non-empty string`;
+    if (value.length > MAX_NAME_LENGTH) return `${key} must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  for (const [method, ledger] of Object.entries(map.methodLedgers || {})) {
+    if (typeof ledger !== "string" || !ledger.trim() || ledger.length > MAX_NAME_LENGTH) {
+      return `methodLedgers.${method} must be a ledger name of at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  return null;
+};
+
+const partyLedgerFor = (order, map) =>
+  fillTemplate(map.party, {
+    customername: order.customername || "",
+    gstno: String(order.gstno || "").trim().toUpperCase(),
+    city: order.city || "",
+    orderId: order.orderId || "",
+  });
+
+// One ledger entry. Credits are positive; Tally marks debits as "deemed
+// positive" with a negative amount.
+const ledgerEntry = (ledger, credit, { party = false, bills = [], bank = null } = {}) =>
+  [
+    "<ALLLEDGERENTRIES.LIST>",
+    tag("LEDGERNAME", ledger),
+    tag("ISDEEMEDPOSITIVE", credit < 0 ? "Yes" : "No"),
+    party ? tag("ISPARTYLEDGER", "Yes") : "",
+    tag("AMOUNT", credit.toFixed(2)),
+    ...bills.map(
+      (bill) =>
+        `<BILLALLOCATIONS.LIST>${tag("NAME", bill.name)}${tag("BILLTYPE", bill.type)}${tag("AMOUNT", credit.toFixed(2))}</BILLALLOCATIONS.LIST>`,
+    ),
+    bank
+      ? `<BANKALLOCATIONS.LIST>${tag("DATE", bank.date)}${tag("INSTRUMENTDATE", bank.date)}${tag("TRANSACTIONTYPE", bank.type)}${tag("INSTRUMENTNUMBER", bank.number)}${tag("AMOUNT", credit.toFixed(2))}</BANKALLOCATIONS.LIST>`
+      : "",
+    "</ALLLEDGERENTRIES.LIST>",
+  ].join("");
+
+// Sum credits per ledger name, dropping zero lines
+const mergeEntries = (entries) => {
+  const byLedger = new Map();
+  for (const [ledger, credit] of entries) {
+    byLedger.set(ledger, round2((byLedger.get(ledger) || 0) + credit));
+  }
+  return [...byLedger].filter(([, credit]) => credit !== 0);
+};
+
+const remoteId = (company, kind, id) => `SO-${company}-${kind}-${id}`;
+
+// { ok, xml, total } for an approved, invoiced order, or { ok: false, error }
+const buildSalesVoucher = (order, map) => {
+  if (!order.invoiceNo) return { ok: false, error: "Order has no invoice number" };
+  if (!String(order.customername || "").trim()) return { ok: false, error: "Order has no customer name" };
+
+  const { products, taxSummary } = order.taxSummary?.supplyType
+    ? { products: order.products || [], taxSummary: order.taxSummary }
+    : computeOrderTax(order);
+  const rows = taxByRate(products);
+  if (rows.length === 0) return { ok: false, error: "Order has no products" };
+
+  const supply = taxSummary.supplyType === "inter" ? "Interstate" : "Local";
+  const total = round2(
+    taxSummary.taxableValue +
+      taxSummary.cgst +
+      taxSummary.sgst +
+      taxSummary.igst +
+      taxSummary.cess +
+      (taxSummary.otherCharges || 0) +
+      (taxSummary.roundOff || 0),
+  );
+
+  const credits = [];
+  for (const row of rows) {
+    credits.push([fillTemplate(map.sales, { rate: row.rate, supply }), row.taxableValue]);
+    credits.push([fillTemplate(map.cgst, { rate: row.rate / 2, supply }), row.cgst]);
+    credits.push([fillTemplate(map.sgst, { rate: row.rate / 2, supply }), row.sgst]);
+    credits.push([fillTemplate(map.igst, { rate: row.rate, supply }), row.igst]);
+  }
+  credits.push([fillTemplate(map.cess, { supply }), taxSummary.cess]);
+  credits.push([fillTemplate(map.freight, { supply }), Number(order.freightcs) || 0]);
+  credits.push([fillTemplate(map.installation, { supply }), Number(order.installation) || 0]);
+  credits.push([fillTemplate(map.roundOff, { supply }), taxSummary.roundOff || 0]);
+
+  const party = partyLedgerFor(order, map);
+  const entries = mergeEntries(credits);
+  const balance = round2(entries.reduce((sum, [, credit]) => sum + credit, 0) - total);
+  if (balance !== 0) {
+    return { ok: false, error: `Voucher does not balance (difference ${balance.toFixed(2)})` };
+  }
+
+  const state = STATE_CODES[taxSummary.placeOfSupply] || order.state;
+  const narration = [
+    `Order ${order.orderId}`,
+    `Invoice ${order.invoiceNo}`,
+    order.piNumber && `PI ${order.piNumber}`,
+    order.eInvoice?.status === "registered" && order.eInvoice.irn && `IRN ${order.eInvoice.irn}`,
+    order.ewayBill?.status === "active" && order.ewayBill.number && `E-way bill ${order.ewayBill.number}`,
+    order.salesPerson && `Sales: ${order.salesPerson}`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+
+  const xml = [
+    "<TALLYMESSAGE>",
+    `<VOUCHER REMOTEID="${escapeXml(remoteId(order.company, "sales", order._id))}" VCHTYPE="${escapeXml(map.salesVoucherType)}" ACTION="Create" OBJVIEW="Accounting Voucher View">`,
+    tag("DATE", tallyDate(order.invoiceDate || order.soDate || new Date())),
+    tag("VOUCHERTYPENAME", map.salesVoucherType),
+    tag("VOUCHERNUMBER", order.invoiceNo),
+    tag("REFERENCE", order.orderId),
+    tag("PARTYLEDGERNAME", party),
+    tag("PARTYNAME", order.customername),
+    tag("PARTYGSTIN", String(order.gstno || "").trim().toUpperCase()),
+    tag("STATENAME", state),
+    tag("PLACEOFSUPPLY", state),
+    order.billingAddress
+      ? `<ADDRESS.LIST TYPE="String">${tag("ADDRESS", order.billingAddress)}</ADDRESS.LIST>`
+      : "",
+    tag("NARRATION", narration),
+    tag("PERSISTEDVIEW", "Accounting Voucher View"),
+    ledgerEntry(party, -total, {
+      party: true,
+      bills: [{ name: order.invoiceNo, type: "New Ref" }],
+    }),
+    ...entries.map(([ledger, credit]) => ledgerEntry(ledger, credit)),
+    "</VOUCHER>",
+    "</TALLYMESSAGE>",
+  ].join("");
+
+  return { ok: true, xml, total };
+};
+
+// { ok, xml } for an active payment of `order`, or { ok: false, error }
+const buildReceiptVoucher = (payment, order, map) => {
+  if (!String(order.customername || "").trim()) return { ok: false, error: "Order has no customer name" };
+
+  const amount = round2(payment.amount);
+  const party = partyLedgerFor(order, map);
+  const cash = payment.method === "Cash";
+  const ledger = map.methodLedgers[payment.method] || (cash ? map.cash : map.bank);
+  const date = tallyDate(payment.paymentDate);
+  // Against the invoice once billed, otherwise an advance on the order
+  const bill = order.invoiceNo
+    ? { name: order.invoiceNo, type: "Agst Ref" }
+    : { name: order.orderId, type: "Advance" };
+  const narration = [
+    `Order ${order.orderId}`,
+    order.invoiceNo && `Invoice ${order.invoiceNo}`,
+    `${payment.method}${payment.reference ? ` ${payment.reference}` : ""}`,
+    payment.bank,
+    payment.remarks,
+  ]
+    .filter(Boolean)
+    .join("; ");
+
+  const xml = [
+    "<TALLYMESSAGE>",
+    `<VOUCHER REMOTEID="${escapeXml(remoteId(order.company, "receipt", payment._id))}" VCHTYPE="${escapeXml(map.receiptVoucherType)}" ACTION="Create" OBJVIEW="Accounting Voucher View">`,
+    tag("DATE", date),
+    tag("VOUCHERTYPENAME", map.receiptVoucherType),
+    tag("REFERENCE", payment.reference),
+    tag("PARTYLEDGERNAME", party),
+    tag("NARRATION", narration),
+    tag("PERSISTEDVIEW", "Accounting Voucher View"),
+    ledgerEntry(party, amount, { party: true, bills: [bill] }),
+    ledgerEntry(ledger, -amount, {
+      bank: cash
+        ? null
+        : { date, type: TRANSACTION_TYPES[payment.method] || "Others", number: payment.reference },
+    }),
+    "</VOUCHER>",
+    "</TALLYMESSAGE>",
+  ].join("");
+
+  return { ok: true, xml };
+};
+
+// Wrap vouchers in the Import Data envelope for the company's Tally company
+const buildEnvelope = (map, vouchers) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<ENVELOPE>",
+    "<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>",
+    "<BODY><IMPORTDATA>",
+    "<REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME>",
+    `<STATICVARIABLES>${tag("SVCURRENTCOMPANY", map.tallyCompany)}</STATICVARIABLES>`,
+    "</REQUESTDESC>",
+    "<REQUESTDATA>",
+    ...vouchers,
+    "</REQUESTDATA>",
+    "</IMPORTDATA></BODY>",
+    "</ENVELOPE>",
+  ].join("\n");
+
+module.exports = {
+  DEFAULT_LEDGERS,
+  LEDGER_KEYS,
+  getLedgerMap,
+  validateLedgerMap,
+  buildSalesVoucher,
+  buildReceiptVoucher,
+  buildEnvelope,
+};
@@ -0,0 +1,187 @@
+// utils/twoFactor.js
+// TOTP enrollment state, recovery codes and the short-lived challenge token
+// handed out between the password step and the code step of Login.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const secretKey = require("./config cypt");
+const User = require("../Models/Model");
+const hashToken = require("./hashToken");
+const { generateSecret, verifyTotp, otpauthUri } = require("./totp");
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Promark Sales Order";
+const CHALLENGE_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that must use 2FA, e.g. TWO_FACTOR_REQUIRED_ROLES=Admin,Accounts
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const isTwoFactorRequired = (role) => REQUIRED_ROLES.includes(role);
+
+// TOTP secrets are encrypted at rest (AES-256-GCM, key derived from JWT_SECRET
+// unless TWO_FACTOR_KEY is set) so a database dump alone cannot mint codes
+const encryptionKey = crypto
+  .createHash("sha256")
+  .update(process.env.TWO_FACTOR_KEY || `2fa:${secretKey}`)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(":");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored)
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// "a1b2-c3d4" style single-use codes; only their hashes are stored
+const normalizeRecoveryCode = (code) =>
+  String(code || "").toLowerCase().replace(/[^a-f0-9]/g, "");
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+const loadWithSecrets = (userId) =>
+  User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes",
+  );
+
+// Start (or restart) enrollment; the secret only becomes active in enable
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } },
+  );
+  return { secret, otpauthUrl: otpauthUri(secret, user.email, ISSUER) };
+};
+
+// Confirm enrollment with a code from the app. Returns the plain recovery
+// codes (shown once) or null when the code is wrong.
+const completeEnrollment = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  const pending = user?.twoFactor?.pendingSecret;
+  if (!pending) return null;
+
+  const step = verifyTotp(decryptSecret(pending), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": pending,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.enrolledAt": new Date(),
+        "twoFactor.lastUsedStep": step,
+      },
+    },
+  );
+  return codes;
+};
+
+// Check a TOTP code for an enrolled user, consuming its time step
+const verifyUserCode = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { lastUsedStep });
+  if (step === null) return false;
+
+  // Conditional update so two requests cannot both use the same code
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": null },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } },
+  );
+  return result.modifiedCount === 1;
+};
+
+// Use up one recovery code. Returns the number of codes left, or null.
+const consumeRecoveryCode = async (userId, code) => {
+  const hash = hashToken(normalizeRecoveryCode(code));
+  const user = await User.findOneAndUpdate(
+    { _id: userId, "twoFactor.enabled": true, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } },
+    { new: true },
+  ).select("+twoFactor.recoveryCodes");
+  return user ? user.twoFactor.recoveryCodes.length : null;
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { "twoFactor.recoveryCodes": hashes } });
+  return codes;
+};
+
+const disableTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactor: {
+          enabled: false,
+          secret: null,
+          pendingSecret: null,
+          recoveryCodes: [],
+          enrolledAt: null,
+          lastUsedStep: null,
+        },
+      },
+    },
+  );
+
+// Challenge tokens prove the password step passed. purpose is "2fa" (enter a
+// code) or "2fa-enroll" (required role without 2FA yet: must enroll first).
+const issueChallenge = (user, purpose) =>
+  jwt.sign(
+    { id: user._id, purpose, tv: user.tokenVersion || 0 },
+    secretKey,
+    { expiresIn: CHALLENGE_TTL },
+  );
+
+const verifyChallenge = (token, purpose) => {
+  const decoded = jwt.verify(token, secretKey);
+  if (decoded.purpose !== purpose) {
+    const error = new Error("Wrong challenge type");
+    error.name = "JsonWebTokenError";
+    throw error;
+  }
+  return decoded;
+};
+
+module.exports = {
+  REQUIRED_ROLES,
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  verifyUserCode,
+  consumeRecoveryCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueChallenge,
+  verifyChallenge,
+};